@@ -1,17 +1,76 @@
 import { useEffect, useMemo, useState } from 'react';
 import './App.css';
 import dictionary from './data/dictionary';
+import DictionaryBrowser from './components/DictionaryBrowser';
+import SimilarityGame from './components/SimilarityGame';
 import ToastyChat from './components/ToastyChat';
-import { loadLearnedTerms, mergeTerms, saveLearnedTerms, upsertLearnedTerm } from './engine/learningStore';
+import VaultLock from './components/VaultLock';
+import {
+  ALIASES_KEY,
+  addTermAlias,
+  applyTermAliases,
+  deleteLearnedTerm,
+  loadLearnedTerms,
+  loadTermAliases,
+  mergeTerms,
+  removeTermAlias,
+  saveLearnedTerms,
+  upsertLearnedTerm,
+} from './engine/learningStore';
+import { DICTIONARY_PACK_KEYS, enabledPackTerms, loadDictionaryPacks } from './engine/dictionaryPacks';
+import { onStorageChange, onStorageWarning } from './engine/storage';
+import { getVaultStatus, onVaultChange, touchVault } from './engine/vault';
+
+const TABS = [
+  { id: 'chat', label: '🔥 Chat' },
+  { id: 'dictionary', label: '📖 Dictionary' },
+  { id: 'game', label: '🧠 Similarity Game' },
+];
 
 function App() {
+  const [tab, setTab] = useState('chat');
   const [learnedTerms, setLearnedTerms] = useState([]);
+  const [dictionaryPacks, setDictionaryPacks] = useState([]);
+  const [termAliases, setTermAliases] = useState({});
+  const [storageWarning, setStorageWarning] = useState('');
+  const [vault, setVault] = useState(() => getVaultStatus());
 
   useEffect(() => {
     setLearnedTerms(loadLearnedTerms());
+    setDictionaryPacks(loadDictionaryPacks());
+    setTermAliases(loadTermAliases());
+  }, []);
+
+  useEffect(() => onStorageWarning(setStorageWarning), []);
+
+  useEffect(() => onVaultChange(setVault), []);
+
+  // Any keyboard or pointer use counts as activity for the vault's auto-lock.
+  useEffect(() => {
+    window.addEventListener('keydown', touchVault);
+    window.addEventListener('pointerdown', touchVault);
+    return () => {
+      window.removeEventListener('keydown', touchVault);
+      window.removeEventListener('pointerdown', touchVault);
+    };
   }, []);
 
-  const terms = useMemo(() => mergeTerms(dictionary, learnedTerms), [learnedTerms]);
+  // Terms learned (or dictionary packs or aliases changed) in another tab.
+  useEffect(
+    () =>
+      onStorageChange((changed) => {
+        if (changed.has('learnedTerms')) setLearnedTerms(loadLearnedTerms());
+        if (DICTIONARY_PACK_KEYS.some((key) => changed.has(key))) setDictionaryPacks(loadDictionaryPacks());
+        if (changed.has(ALIASES_KEY)) setTermAliases(loadTermAliases());
+      }),
+    []
+  );
+
+  const packTerms = useMemo(() => enabledPackTerms(dictionaryPacks), [dictionaryPacks]);
+  const terms = useMemo(
+    () => applyTermAliases(mergeTerms(dictionary, learnedTerms, packTerms), termAliases),
+    [learnedTerms, packTerms, termAliases]
+  );
 
   function handleLearnTerm(term) {
     const saved = upsertLearnedTerm(term);
@@ -24,6 +83,18 @@ function App() {
     });
   }
 
+  function handleDeleteLearned(word) {
+    setLearnedTerms(deleteLearnedTerm(word));
+  }
+
+  function handleAddAlias(alias, word) {
+    setTermAliases(addTermAlias(alias, word));
+  }
+
+  function handleRemoveAlias(alias) {
+    setTermAliases(removeTermAlias(alias));
+  }
+
   function handleClearLearned() {
     saveLearnedTerms([]);
     setLearnedTerms([]);
@@ -34,10 +105,56 @@ function App() {
       <header className="App-header">
         <h1 className="App-title">🍞 ToastyMills</h1>
         <p className="App-subtitle">Local Ollama chat · runs on your device</p>
+        {vault.unlocked && (
+          <nav className="App-tabs" role="tablist" aria-label="Sections">
+            {TABS.map((t) => (
+              <button
+                key={t.id}
+                type="button"
+                role="tab"
+                aria-selected={tab === t.id}
+                className={`App-tab ${tab === t.id ? 'App-tab--active' : ''}`}
+                onClick={() => setTab(t.id)}
+              >
+                {t.label}
+              </button>
+            ))}
+          </nav>
+        )}
       </header>
 
+      {storageWarning && (
+        <div className="App-warning" role="alert">
+          <span>⚠️ {storageWarning}</span>
+          <button type="button" className="App-warning-close" onClick={() => setStorageWarning('')} aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      )}
+
       <main className="App-main">
-        <ToastyChat terms={terms} onLearnTerm={handleLearnTerm} onClearLearned={handleClearLearned} />
+        {vault.unlocked ? (
+          <>
+            {/* Chat stays mounted while hidden so a reply in progress isn't lost on a tab switch. */}
+            <div hidden={tab !== 'chat'}>
+              <ToastyChat terms={terms} onLearnTerm={handleLearnTerm} onClearLearned={handleClearLearned} />
+            </div>
+            {tab === 'dictionary' && (
+              <DictionaryBrowser
+                terms={terms}
+                packs={dictionaryPacks}
+                onSaveTerm={handleLearnTerm}
+                onDeleteTerm={handleDeleteLearned}
+                onPacksChange={setDictionaryPacks}
+                onAddAlias={handleAddAlias}
+                onRemoveAlias={handleRemoveAlias}
+              />
+            )}
+            {tab === 'game' && <SimilarityGame terms={terms} />}
+          </>
+        ) : (
+          <VaultLock />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,293 @@
+import React, { useMemo, useRef, useState } from "react";
+import { searchChats, sortChats } from "../engine/chatSessions";
+import styles from "./ChatSidebar.module.css";
+
+/**
+ * Wraps case-insensitive occurrences of `phrase` in <mark>.
+ */
+function Highlight({ text, phrase }) {
+  const src = String(text || "");
+  const needle = String(phrase || "").toLowerCase();
+  if (!needle) return src;
+
+  const out = [];
+  const lower = src.toLowerCase();
+  let pos = 0;
+  let at = lower.indexOf(needle);
+  while (at >= 0) {
+    if (at > pos) out.push(src.slice(pos, at));
+    out.push(
+      <mark key={at} className={styles.mark}>
+        {src.slice(at, at + needle.length)}
+      </mark>
+    );
+    pos = at + needle.length;
+    at = lower.indexOf(needle, pos);
+  }
+  if (pos < src.length) out.push(src.slice(pos));
+  return out;
+}
+
+/**
+ * Chats sidebar: list (pinned first, archived hidden), per-chat rename / pin / archive /
+ * tags / export, full-text search whose hits jump to the matching message, and
+ * JSON import. onImport(text) returns a status line to show under the header.
+ */
+function ChatSidebar({
+  chats,
+  activeId,
+  skipIds,
+  onNew,
+  onPick,
+  onDelete,
+  onUpdateMeta,
+  onJump,
+  onExport,
+  onExportAll,
+  onImport,
+}) {
+  const [query, setQuery] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  const [menuId, setMenuId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [notice, setNotice] = useState("");
+  const fileRef = useRef(null);
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setNotice(onImport(await file.text()));
+    } catch (err) {
+      setNotice(`Import failed: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+
+  const results = useMemo(() => searchChats(chats, query, { skipIds }), [chats, query, skipIds]);
+  const phrase = query
+    .trim()
+    .split(/\s+/)
+    .filter((w) => w && !w.startsWith("#"))
+    .join(" ");
+  const searching = Boolean(query.trim());
+
+  const archivedCount = chats.filter((c) => c.archived).length;
+  const visible = sortChats(chats).filter((c) => (showArchived ? c.archived : !c.archived));
+
+  function startEdit(chat, field) {
+    setEditing({ id: chat.id, field, value: field === "tags" ? (chat.tags || []).join(", ") : chat.title });
+  }
+
+  function commitEdit() {
+    if (!editing) return;
+    onUpdateMeta(editing.id, { [editing.field]: editing.value });
+    setEditing(null);
+  }
+
+  function filterByTag(tag) {
+    setQuery(`#${tag}`);
+    setMenuId(null);
+  }
+
+  function renderEditor() {
+    return (
+      <input
+        className={styles.editInput}
+        value={editing.value}
+        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            commitEdit();
+          } else if (e.key === "Escape") {
+            setEditing(null);
+          }
+        }}
+        placeholder={editing.field === "tags" ? "work, vocab, powershell (Enter to save)" : "Chat title (Enter to save)"}
+        aria-label={editing.field === "tags" ? "Chat tags" : "Chat title"}
+        autoFocus
+      />
+    );
+  }
+
+  function renderRow(c) {
+    const editingThis = editing?.id === c.id;
+    return (
+      <div key={c.id} className={styles.chatItem}>
+        <div className={`${styles.chatRow}${c.id === activeId ? ` ${styles.chatRowActive}` : ""}`}>
+          {editingThis && editing.field === "title" ? (
+            renderEditor()
+          ) : (
+            <button type="button" className={styles.chatPick} onClick={() => onPick(c.id)} title={c.title}>
+              {c.pinned && <span className={styles.pinIcon}>📌</span>}
+              {c.title || "New chat"}
+            </button>
+          )}
+          <button
+            type="button"
+            className={styles.chatIconBtn}
+            onClick={() => setMenuId(menuId === c.id ? null : c.id)}
+            aria-label="Chat actions"
+            aria-expanded={menuId === c.id}
+            title="More"
+          >
+            ⋯
+          </button>
+          <button
+            type="button"
+            className={styles.chatIconBtn}
+            onClick={() => onDelete(c.id)}
+            aria-label="Delete chat"
+            title="Delete"
+          >
+            ×
+          </button>
+        </div>
+
+        {editingThis && editing.field === "tags"
+          ? renderEditor()
+          : c.tags?.length > 0 && (
+              <div className={styles.tags}>
+                {c.tags.map((t) => (
+                  <button key={t} type="button" className={styles.tag} onClick={() => filterByTag(t)}>
+                    #{t}
+                  </button>
+                ))}
+              </div>
+            )}
+
+        {menuId === c.id && (
+          <div className={styles.menu}>
+            <button type="button" className={styles.menuBtn} onClick={() => startEdit(c, "title")}>
+              Rename
+            </button>
+            <button type="button" className={styles.menuBtn} onClick={() => onUpdateMeta(c.id, { pinned: !c.pinned })}>
+              {c.pinned ? "Unpin" : "Pin"}
+            </button>
+            <button type="button" className={styles.menuBtn} onClick={() => startEdit(c, "tags")}>
+              Tags
+            </button>
+            <button
+              type="button"
+              className={styles.menuBtn}
+              onClick={() => {
+                onUpdateMeta(c.id, { archived: !c.archived });
+                setMenuId(null);
+              }}
+            >
+              {c.archived ? "Unarchive" : "Archive"}
+            </button>
+            <span className={styles.menuLabel}>Export</span>
+            {["md", "json", "html"].map((f) => (
+              <button key={f} type="button" className={styles.menuBtn} onClick={() => onExport(c.id, f)}>
+                {f.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <aside className={styles.sidebar}>
+      <div className={styles.sidebarHeader}>
+        <div className={styles.sidebarTitle}>Chats</div>
+        <div className={styles.sidebarActions}>
+          <button
+            className={styles.sidebarIconBtn}
+            type="button"
+            onClick={onExportAll}
+            title="Export all chats (JSON)"
+            aria-label="Export all chats"
+          >
+            ⇩
+          </button>
+          <button
+            className={styles.sidebarIconBtn}
+            type="button"
+            onClick={() => fileRef.current?.click()}
+            title="Import chats from a JSON export"
+            aria-label="Import chats"
+          >
+            ⇪
+          </button>
+          <button className={styles.sidebarNewBtn} type="button" onClick={onNew}>
+            +
+          </button>
+        </div>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className={styles.fileInput}
+          onChange={importFile}
+          aria-label="Chat export file"
+        />
+      </div>
+
+      {notice && (
+        <div className={styles.notice} role="status">
+          <span>{notice}</span>
+          <button type="button" className={styles.noticeClose} onClick={() => setNotice("")} aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      )}
+
+      <div className={styles.searchRow}>
+        <input
+          className={styles.searchInput}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") setQuery("");
+          }}
+          placeholder="Search chats… (#tag to filter)"
+          aria-label="Search chats"
+        />
+        {searching && (
+          <button type="button" className={styles.chatIconBtn} onClick={() => setQuery("")} aria-label="Clear search">
+            ×
+          </button>
+        )}
+      </div>
+
+      <div className={styles.chatList}>
+        {searching ? (
+          <>
+            {!results.length && <div className={styles.empty}>No matches.</div>}
+            {results.map(({ chat, hits }) => (
+              <div key={chat.id} className={styles.result}>
+                <button type="button" className={styles.resultTitle} onClick={() => onPick(chat.id)}>
+                  <Highlight text={chat.title || "New chat"} phrase={phrase} />
+                  {chat.archived && <span className={styles.archivedBadge}>archived</span>}
+                </button>
+                {hits.map((h) => (
+                  <button key={h.id} type="button" className={styles.hit} onClick={() => onJump(chat.id, h.id)}>
+                    <span className={styles.hitRole}>{h.role === "user" ? "You" : "Toasty"}</span>
+                    <Highlight text={h.snippet} phrase={phrase} />
+                  </button>
+                ))}
+              </div>
+            ))}
+          </>
+        ) : (
+          <>
+            {visible.map(renderRow)}
+            {showArchived && !visible.length && <div className={styles.empty}>Nothing archived.</div>}
+          </>
+        )}
+      </div>
+
+      {!searching && (archivedCount > 0 || showArchived) && (
+        <button type="button" className={styles.archiveToggle} onClick={() => setShowArchived(!showArchived)}>
+          {showArchived ? "← Back to chats" : `Archived (${archivedCount})`}
+        </button>
+      )}
+    </aside>
+  );
+}
+
+export default ChatSidebar;
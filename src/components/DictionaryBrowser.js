@@ -0,0 +1,430 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { loadUnknownQuestions } from "../engine/learningStore";
+import { onStorageChange } from "../engine/storage";
+import { termSenses } from "../engine/termModel";
+import DictionaryPacks from "./DictionaryPacks";
+import UnknownQuestions from "./UnknownQuestions";
+import styles from "./DictionaryBrowser.module.css";
+
+// Large learned or imported dictionaries render in pages instead of all at once.
+const PAGE_SIZE = 120;
+
+const SOURCE_LABELS = { all: "All entries", learned: "Learned", pack: "From packs", builtin: "Built-in" };
+
+const BADGES = {
+  learned: { label: "Learned", className: styles.badgeLearned },
+  pack: { label: "Pack", className: styles.badgePack },
+  builtin: { label: "Built-in", className: styles.badgeBuiltin },
+};
+
+function splitList(text) {
+  return String(text || "")
+    .split(/[,;\n]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function errorText(e) {
+  return e instanceof Error ? e.message : String(e);
+}
+
+/**
+ * Matches on word, alias, definition (any sense), category or synonyms. Exact word hits come first, then
+ * words starting with the query, then everything else A–Z.
+ */
+function searchTerms(terms, { query, category, source }) {
+  const q = String(query || "").trim().toLowerCase();
+  const rank = (t) => (!q ? 2 : t.word === q || t.aliases?.includes(q) ? 0 : t.word.startsWith(q) ? 1 : 2);
+  return terms
+    .filter((t) => category === "all" || t.category === category)
+    .filter((t) => source === "all" || t.source === source)
+    .filter(
+      (t) =>
+        !q ||
+        t.word.includes(q) ||
+        (t.aliases || []).some((a) => a.includes(q)) ||
+        t.definition.toLowerCase().includes(q) ||
+        (t.senses || []).some((s) => s.definition.toLowerCase().includes(q)) ||
+        t.category.includes(q) ||
+        t.synonyms.some((s) => s.includes(q))
+    )
+    // Plain comparison: localeCompare is too slow once packs bring in 100k+ words.
+    .sort((a, b) => rank(a) - rank(b) || (a.word < b.word ? -1 : a.word > b.word ? 1 : 0));
+}
+
+/**
+ * Dictionary tab: live search over the merged terms, category filters, synonym/antonym
+ * chips that jump to the linked entry, inline edit/delete for learned terms, the
+ * dictionary packs panel and the unknown-questions review queue. onSaveTerm(term) may
+ * throw; its message is shown under the form.
+ */
+function DictionaryBrowser({
+  terms,
+  packs,
+  onSaveTerm,
+  onDeleteTerm,
+  onPacksChange,
+  onAddAlias,
+  onRemoveAlias,
+}) {
+  const [query, setQuery] = useState("");
+  const [category, setCategory] = useState("all");
+  const [source, setSource] = useState("all");
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [focusWord, setFocusWord] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+  const [showPacks, setShowPacks] = useState(false);
+  const [showUnknown, setShowUnknown] = useState(false);
+  const [unknownQuestions, setUnknownQuestions] = useState(() => loadUnknownQuestions());
+  const cardRefs = useRef(new Map());
+
+  const byWord = useMemo(() => new Map(terms.map((t) => [t.word, t])), [terms]);
+
+  const categories = useMemo(() => {
+    const counts = new Map();
+    terms.forEach((t) => counts.set(t.category, (counts.get(t.category) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  }, [terms]);
+
+  const results = useMemo(() => searchTerms(terms, { query, category, source }), [terms, query, category, source]);
+  const visible = results.slice(0, limit);
+
+  // The chat logs misses while this tab is closed (or in another browser tab).
+  useEffect(() => {
+    setUnknownQuestions(loadUnknownQuestions());
+  }, [showUnknown]);
+  useEffect(
+    () =>
+      onStorageChange((changed) => {
+        if (changed.has("unknownQuestions")) setUnknownQuestions(loadUnknownQuestions());
+      }),
+    []
+  );
+
+  // A chip jump searches for the linked word, so its card is the first result; scroll it into view.
+  useEffect(() => {
+    if (!focusWord) return undefined;
+    cardRefs.current.get(focusWord)?.scrollIntoView?.({ block: "center", behavior: "smooth" });
+    const timer = setTimeout(() => setFocusWord(""), 1600);
+    return () => clearTimeout(timer);
+  }, [focusWord]);
+
+  function jumpTo(word) {
+    setQuery(word);
+    setCategory("all");
+    setSource("all");
+    setLimit(PAGE_SIZE);
+    setFocusWord(word);
+  }
+
+  function startEdit(term) {
+    setError("");
+    setEditing({
+      senses: term.senses,
+      word: term.word,
+      definition: term.definition,
+      category: term.category,
+      synonyms: term.synonyms.join(", "),
+      antonyms: term.antonyms.join(", "),
+    });
+  }
+
+  function saveEdit() {
+    try {
+      // The form edits the first sense of a multi-sense term; the rest are kept as they are.
+      const senses = editing.senses?.length
+        ? editing.senses.map((s, i) => (i === 0 ? { ...s, definition: editing.definition } : s))
+        : undefined;
+      onSaveTerm({
+        word: editing.word,
+        senses,
+        definition: editing.definition,
+        category: editing.category,
+        synonyms: splitList(editing.synonyms),
+        antonyms: splitList(editing.antonyms),
+      });
+      setEditing(null);
+      setError("");
+    } catch (e) {
+      setError(errorText(e));
+    }
+  }
+
+  function removeTerm(word) {
+    if (!window.confirm(`Delete the learned term "${word}"?`)) return;
+    if (editing?.word === word) setEditing(null);
+    onDeleteTerm(word);
+  }
+
+  function renderChips(words, kind) {
+    if (!words.length) return null;
+    const chipClass = kind === "synonym" ? styles.chipSyn : styles.chipAnt;
+    return (
+      <div className={styles.chipRow}>
+        <span className={styles.chipLabel}>{kind === "synonym" ? "Synonyms" : "Antonyms"}</span>
+        {words.map((w) =>
+          byWord.has(w) ? (
+            <button
+              key={w}
+              type="button"
+              className={`${styles.chip} ${chipClass}`}
+              onClick={() => jumpTo(w)}
+              title={`Go to ${w}`}
+            >
+              {w}
+            </button>
+          ) : (
+            <span
+              key={w}
+              className={`${styles.chip} ${chipClass} ${styles.chipMissing}`}
+              title="Not in the dictionary"
+            >
+              {w}
+            </span>
+          )
+        )}
+      </div>
+    );
+  }
+
+  function renderSenses(term) {
+    return (
+      <ol className={styles.senses}>
+        {termSenses(term).map((sense, i) => (
+          <li key={i} className={styles.sense}>
+            {sense.partOfSpeech && sense.partOfSpeech !== term.partOfSpeech && (
+              <span className={styles.pos}>{sense.partOfSpeech}</span>
+            )}
+            {sense.register && <span className={styles.register}>{sense.register}</span>}
+            {sense.definition}
+            {sense.examples.map((e) => (
+              <div key={e} className={styles.example}>
+                “{e}”
+              </div>
+            ))}
+            {sense.usage && <div className={styles.usage}>{sense.usage}</div>}
+          </li>
+        ))}
+      </ol>
+    );
+  }
+
+  function renderEditor() {
+    const set = (key) => (e) => setEditing((prev) => ({ ...prev, [key]: e.target.value }));
+    return (
+      <div className={styles.editor}>
+        <textarea
+          className={styles.textarea}
+          value={editing.definition}
+          onChange={set("definition")}
+          rows={2}
+          aria-label="Definition"
+        />
+        {editing.senses?.length > 1 && (
+          <div className={styles.editorHint}>
+            Editing sense 1 of {editing.senses.length}; use <code>learn json</code> in the chat to change the others.
+          </div>
+        )}
+        <input className={styles.input} value={editing.category} onChange={set("category")} aria-label="Category" />
+        <input
+          className={styles.input}
+          value={editing.synonyms}
+          onChange={set("synonyms")}
+          placeholder="Synonyms, comma separated"
+          aria-label="Synonyms"
+        />
+        <input
+          className={styles.input}
+          value={editing.antonyms}
+          onChange={set("antonyms")}
+          placeholder="Antonyms, comma separated"
+          aria-label="Antonyms"
+        />
+        {error && <div className={styles.error}>{error}</div>}
+        <div className={styles.editorActions}>
+          <button type="button" className={styles.btnPrimary} onClick={saveEdit}>
+            Save
+          </button>
+          <button type="button" className={styles.btn} onClick={() => setEditing(null)}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.browser}>
+      <div className={styles.toolbar}>
+        <input
+          className={styles.search}
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setLimit(PAGE_SIZE);
+          }}
+          placeholder="Search words, definitions, categories or synonyms…"
+          aria-label="Search the dictionary"
+        />
+        <select
+          className={styles.select}
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          aria-label="Entry source"
+        >
+          {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className={styles.btn}
+          onClick={() => setShowPacks((v) => !v)}
+          aria-expanded={showPacks}
+          title="Import and manage dictionary packs"
+        >
+          📚 Packs{packs.length ? ` (${packs.filter((p) => p.enabled).length}/${packs.length})` : ""}
+        </button>
+        <button
+          type="button"
+          className={styles.btn}
+          onClick={() => setShowUnknown((v) => !v)}
+          aria-expanded={showUnknown}
+          title="Review questions the chat couldn't answer"
+        >
+          ❓ Unknown{unknownQuestions.length ? ` (${unknownQuestions.length})` : ""}
+        </button>
+      </div>
+
+      {showPacks && <DictionaryPacks packs={packs} onPacksChange={onPacksChange} onClose={() => setShowPacks(false)} />}
+      {showUnknown && (
+        <UnknownQuestions
+          questions={unknownQuestions}
+          terms={terms}
+          onQuestionsChange={setUnknownQuestions}
+          onSaveTerm={onSaveTerm}
+          onAddAlias={onAddAlias}
+          onClose={() => setShowUnknown(false)}
+        />
+      )}
+
+      <div className={styles.categories} role="group" aria-label="Categories">
+        {[["all", terms.length], ...categories].map(([name, count]) => (
+          <button
+            key={name}
+            type="button"
+            className={`${styles.category} ${category === name ? styles.categoryActive : ""}`}
+            onClick={() => setCategory(name)}
+            aria-pressed={category === name}
+          >
+            {name === "all" ? "All" : name} <span className={styles.count}>{count}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className={styles.summary} role="status">
+        {results.length} {results.length === 1 ? "entry" : "entries"}
+      </div>
+
+      {!results.length && <div className={styles.empty}>Nothing matches. Try another word or category.</div>}
+
+      <div className={styles.grid}>
+        {visible.map((t) => (
+          <article
+            key={t.word}
+            ref={(node) => {
+              if (node) cardRefs.current.set(t.word, node);
+              else cardRefs.current.delete(t.word);
+            }}
+            className={`${styles.card} ${focusWord === t.word ? styles.cardFocus : ""}`}
+            aria-label={t.word}
+          >
+            <div className={styles.cardHeader}>
+              <h3 className={styles.word}>{t.word}</h3>
+              {t.ipa && <span className={styles.ipa}>{t.ipa}</span>}
+              {t.partOfSpeech && <span className={styles.pos}>{t.partOfSpeech}</span>}
+              <span className={styles.categoryBadge}>{t.category}</span>
+              <span
+                className={(BADGES[t.source] || BADGES.builtin).className}
+                title={t.source === "pack" ? `From the ${t.pack} pack` : undefined}
+              >
+                {t.source === "pack" && t.pack ? `📚 ${t.pack}` : (BADGES[t.source] || BADGES.builtin).label}
+              </span>
+              {t.source === "learned" && (
+                <span className={styles.cardActions}>
+                  <button
+                    type="button"
+                    className={styles.iconBtn}
+                    onClick={() => startEdit(t)}
+                    aria-label={`Edit ${t.word}`}
+                    title="Edit"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.iconBtn}
+                    onClick={() => removeTerm(t.word)}
+                    aria-label={`Delete ${t.word}`}
+                    title="Delete"
+                  >
+                    🗑
+                  </button>
+                </span>
+              )}
+            </div>
+
+            {editing?.word === t.word ? (
+              renderEditor()
+            ) : (
+              <>
+                {t.senses?.length > 1 ? (
+                  renderSenses(t)
+                ) : (
+                  <p className={styles.definition}>
+                    {t.register && <span className={styles.register}>{t.register}</span>}
+                    {t.definition}
+                  </p>
+                )}
+                {t.usage && <p className={styles.usage}>{t.usage}</p>}
+                {renderChips(t.synonyms, "synonym")}
+                {renderChips(t.antonyms, "antonym")}
+                {t.aliases?.length > 0 && (
+                  <div className={styles.chipRow}>
+                    <span className={styles.chipLabel}>Also looked up as</span>
+                    {t.aliases.map((a) => (
+                      <span key={a} className={`${styles.chip} ${styles.chipAlias}`}>
+                        {a}
+                        <button
+                          type="button"
+                          className={styles.chipRemove}
+                          onClick={() => onRemoveAlias(a)}
+                          aria-label={`Remove alias ${a}`}
+                          title="Remove alias"
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </article>
+        ))}
+      </div>
+
+      {results.length > visible.length && (
+        <button type="button" className={styles.more} onClick={() => setLimit((n) => n + PAGE_SIZE)}>
+          Show {Math.min(PAGE_SIZE, results.length - visible.length)} more
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default DictionaryBrowser;
@@ -0,0 +1,185 @@
+import React, { useRef, useState } from "react";
+import {
+  DICTIONARY_FORMATS,
+  addDictionaryPack,
+  deleteDictionaryPack,
+  parseDictionaryFile,
+  setDictionaryPackEnabled,
+} from "../engine/dictionaryPacks";
+import styles from "./DictionaryPacks.module.css";
+
+const PREVIEW_WORDS = 8;
+
+function errorText(e) {
+  return e instanceof Error ? e.message : String(e);
+}
+
+function packNameFrom(fileName) {
+  return String(fileName || "")
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[_-]+/g, " ")
+    .trim();
+}
+
+/**
+ * Dictionary packs panel: import a WordNet, Moby or CSV/TSV file as a named pack (parsed
+ * here, offline), and switch stored packs on/off or delete them. onPacksChange(list)
+ * receives the packs after every change.
+ */
+function DictionaryPacks({ packs, onPacksChange, onClose }) {
+  const [format, setFormat] = useState("auto");
+  const [parsed, setParsed] = useState(null);
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("");
+  const fileRef = useRef(null);
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    setStatus("");
+    setParsed(null);
+    setBusy(true);
+    try {
+      const result = parseDictionaryFile(await file.text(), { format });
+      setParsed({ ...result, fileName: file.name });
+      setName(packNameFrom(file.name));
+    } catch (err) {
+      setError(errorText(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function savePack() {
+    try {
+      onPacksChange(addDictionaryPack({ name, format: parsed.format, fileName: parsed.fileName, terms: parsed.terms }));
+      setStatus(`Added "${name || parsed.fileName}" with ${parsed.terms.length.toLocaleString()} terms.`);
+      setParsed(null);
+    } catch (err) {
+      setError(errorText(err));
+    }
+  }
+
+  function removePack(pack) {
+    if (!window.confirm(`Delete the dictionary pack "${pack.name}"?`)) return;
+    setStatus("");
+    onPacksChange(deleteDictionaryPack(pack.id));
+  }
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div className={styles.title}>Dictionary packs</div>
+        <button className={styles.btn} type="button" onClick={onClose} aria-label="Close dictionary packs">
+          ×
+        </button>
+      </div>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Your packs</div>
+        <div className={styles.hint}>
+          Learned terms override packs, packs override the built-in list; a pack higher up wins over the ones below.
+        </div>
+        {!packs.length && <div className={styles.hint}>No packs yet. Import one below.</div>}
+        {packs.map((p) => (
+          <div key={p.id} className={styles.packRow}>
+            <label className={styles.check}>
+              <input
+                type="checkbox"
+                checked={p.enabled}
+                onChange={(e) => onPacksChange(setDictionaryPackEnabled(p.id, e.target.checked))}
+              />
+              <span className={styles.checkName}>{p.name}</span>
+            </label>
+            <span className={styles.checkHint}>
+              {DICTIONARY_FORMATS[p.format] || p.format} · {p.count.toLocaleString()} terms
+            </span>
+            <button
+              className={styles.btnDanger}
+              type="button"
+              onClick={() => removePack(p)}
+              aria-label={`Delete ${p.name}`}
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Import</div>
+        <div className={styles.hint}>
+          WordNet data files (data.noun, data.verb, …), the Moby thesaurus (mthesaur.txt), or a CSV/TSV with a
+          header row: word, definition, category, synonyms, antonyms (lists separated by ; or |).
+        </div>
+        <div className={styles.row}>
+          <select
+            className={styles.select}
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            aria-label="File format"
+          >
+            <option value="auto">Detect format</option>
+            {Object.entries(DICTIONARY_FORMATS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button className={styles.btn} type="button" onClick={() => fileRef.current?.click()} disabled={busy}>
+            {busy ? "Reading…" : "Choose file…"}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".txt,.csv,.tsv,.tab,text/plain,text/csv,text/tab-separated-values,*"
+            className={styles.fileInput}
+            onChange={pickFile}
+            aria-label="Dictionary file"
+          />
+        </div>
+
+        {parsed && (
+          <>
+            <div className={styles.preview}>
+              <strong>{parsed.terms.length.toLocaleString()}</strong> terms read as {DICTIONARY_FORMATS[parsed.format]}
+              {parsed.truncated && " (stopped at the pack size limit)"} · e.g.{" "}
+              {parsed.terms
+                .slice(0, PREVIEW_WORDS)
+                .map((t) => t.word)
+                .join(", ")}
+            </div>
+            <div className={styles.row}>
+              <input
+                className={styles.input}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Pack name"
+                aria-label="Pack name"
+              />
+              <button className={styles.btnPrimary} type="button" onClick={savePack}>
+                Add pack
+              </button>
+              <button className={styles.btn} type="button" onClick={() => setParsed(null)}>
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </section>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {status && (
+        <div className={styles.status} role="status">
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DictionaryPacks;
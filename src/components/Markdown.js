@@ -0,0 +1,348 @@
+import React, { useEffect, useRef, useState } from "react";
+import styles from "./Markdown.module.css";
+
+/**
+ * Markdown.js
+ * Small, dependency-free markdown renderer for chat bubbles.
+ *
+ * Everything is rendered as React elements (never innerHTML), so model output
+ * can't inject markup. Supported:
+ *   blocks  → fenced code (```lang), headings, blockquotes, lists (nested by indent),
+ *             tables, horizontal rules, paragraphs (single newlines = line breaks)
+ *   inline  → `code`, **bold**, __bold__, *italic*, _italic_, ~~strike~~,
+ *             [links](https://…) and bare http(s) URLs
+ * An unclosed fence is treated as code to the end, so streaming replies render sanely.
+ */
+
+const FENCE_RE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING_RE = /^(#{1,4})\s+(.*)$/;
+const HR_RE = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s*>/;
+const LIST_RE = /^(\s*)([-*+•]|\d{1,3}[.)])\s+(.*)$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isTableStart(lines, i) {
+  return lines[i].includes("|") && i + 1 < lines.length && lines[i + 1].includes("|") && TABLE_SEP_RE.test(lines[i + 1]);
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    HR_RE.test(line) ||
+    QUOTE_RE.test(line) ||
+    LIST_RE.test(line) ||
+    isTableStart(lines, i)
+  );
+}
+
+function splitRow(line) {
+  let t = line.trim();
+  if (t.startsWith("|")) t = t.slice(1);
+  if (t.endsWith("|") && !t.endsWith("\\|")) t = t.slice(0, -1);
+  // Escaped pipes (\|) stay inside the cell.
+  return t
+    .replace(/\\\|/g, "\uE000")
+    .split("|")
+    .map((c) => c.trim().replace(/\uE000/g, "|"));
+}
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_RE);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const m = lines[i].match(LIST_RE);
+    if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break;
+
+    const text = m[3];
+    const rest = [];
+    i++;
+    // Continuation: deeper-indented lines (nested lists, wrapped text) belong to this item.
+    while (i < lines.length && lines[i].trim() && lines[i].match(/^\s*/)[0].length > indent) {
+      rest.push(lines[i]);
+      i++;
+    }
+    const cut = Math.min(...rest.map((l) => l.match(/^\s*/)[0].length));
+    items.push({ text, children: rest.length ? parseBlocks(rest.map((l) => l.slice(cut)).join("\n")) : [] });
+
+    // Allow one blank line between items of the same list.
+    if (i + 1 < lines.length && !lines[i]?.trim()) {
+      const next = lines[i + 1].match(LIST_RE);
+      if (next && next[1].length === indent && /\d/.test(next[2]) === ordered) i++;
+    }
+  }
+
+  const startNum = ordered ? parseInt(first[2], 10) || 1 : 1;
+  return { block: { type: "list", ordered, start: startNum, items }, next: i };
+}
+
+function parseBlocks(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim() === fence[1])) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence (or past the end while a reply is still streaming)
+      blocks.push({ type: "code", lang: fence[2], text: body.join("\n") });
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) {
+        body.push(lines[i].replace(/^\s*>\s?/, ""));
+        i++;
+      }
+      blocks.push({ type: "quote", blocks: parseBlocks(body.join("\n")) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitRow(lines[i]);
+      const align = splitRow(lines[i + 1]).map((c) =>
+        c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : c.startsWith(":") ? "left" : undefined
+      );
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      blocks.push({ type: "table", header, align, rows });
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const body = [];
+    while (i < lines.length && lines[i].trim() && (!body.length || !startsBlock(lines, i))) {
+      body.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: "paragraph", lines: body });
+  }
+
+  return blocks;
+}
+
+// ─── Inline ───────────────────────────────────────────────────────────────────
+
+const INLINE_RULES = [
+  { type: "code", re: /`([^`\n]+)`/g },
+  { type: "link", re: /\[([^\]\n]+)\]\(([^)\s]+)\)/g },
+  { type: "strong", re: /\*\*(.+?)\*\*/g },
+  { type: "strong", re: /__(.+?)__/g },
+  { type: "del", re: /~~(.+?)~~/g },
+  { type: "em", re: /\*([^\s*](?:[^*]*[^\s*])?)\*/g },
+  { type: "em", re: /\b_([^_\s](?:[^_]*[^_\s])?)_\b/g },
+  { type: "url", re: /https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"*]/g },
+];
+
+function safeHref(href) {
+  const h = String(href || "").trim();
+  return /^(https?:|mailto:)/i.test(h) ? h : "";
+}
+
+function renderInline(text, keyPrefix = "i") {
+  const src = String(text || "");
+  const out = [];
+  let pos = 0;
+
+  while (pos < src.length) {
+    let best = null;
+    for (const rule of INLINE_RULES) {
+      rule.re.lastIndex = pos;
+      const m = rule.re.exec(src);
+      if (m && (!best || m.index < best.m.index)) best = { rule, m };
+    }
+    if (!best) break;
+
+    const { rule, m } = best;
+    if (m.index > pos) out.push(src.slice(pos, m.index));
+    const key = `${keyPrefix}-${out.length}`;
+
+    if (rule.type === "code") {
+      out.push(
+        <code key={key} className={styles.inlineCode}>
+          {m[1]}
+        </code>
+      );
+    } else if (rule.type === "link" || rule.type === "url") {
+      const label = rule.type === "link" ? m[1] : m[0];
+      const href = safeHref(rule.type === "link" ? m[2] : m[0]);
+      out.push(
+        href ? (
+          <a key={key} className={styles.link} href={href} target="_blank" rel="noopener noreferrer">
+            {rule.type === "link" ? renderInline(label, key) : label}
+          </a>
+        ) : (
+          <span key={key}>{renderInline(label, key)}</span>
+        )
+      );
+    } else {
+      const Tag = rule.type;
+      out.push(<Tag key={key}>{renderInline(m[1], key)}</Tag>);
+    }
+    pos = m.index + m[0].length;
+  }
+
+  if (pos < src.length) out.push(src.slice(pos));
+  return out;
+}
+
+// ─── Blocks ───────────────────────────────────────────────────────────────────
+
+function CodeBlock({ lang, text }) {
+  const [copied, setCopied] = useState(false);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // clipboard can be blocked (non-secure origin); nothing useful to do
+    }
+  }
+
+  return (
+    <div className={styles.codeBlock}>
+      <div className={styles.codeHeader}>
+        <span className={styles.codeLang}>{lang || "text"}</span>
+        <button type="button" className={styles.copyBtn} onClick={copy}>
+          {copied ? "Copied!" : "Copy"}
+        </button>
+      </div>
+      <pre className={styles.pre}>
+        <code>{text}</code>
+      </pre>
+    </div>
+  );
+}
+
+function renderBlocks(blocks, keyPrefix = "b") {
+  return blocks.map((block, idx) => {
+    const key = `${keyPrefix}-${idx}`;
+    switch (block.type) {
+      case "code":
+        return <CodeBlock key={key} lang={block.lang} text={block.text} />;
+      case "heading": {
+        const Tag = `h${Math.min(6, block.level + 2)}`;
+        return (
+          <Tag key={key} className={styles.heading}>
+            {renderInline(block.text, key)}
+          </Tag>
+        );
+      }
+      case "hr":
+        return <hr key={key} className={styles.hr} />;
+      case "quote":
+        return (
+          <blockquote key={key} className={styles.quote}>
+            {renderBlocks(block.blocks, key)}
+          </blockquote>
+        );
+      case "table":
+        return (
+          <div key={key} className={styles.tableWrap}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  {block.header.map((cell, c) => (
+                    <th key={c} style={{ textAlign: block.align[c] }}>
+                      {renderInline(cell, `${key}-h${c}`)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, r) => (
+                  <tr key={r}>
+                    {block.header.map((_, c) => (
+                      <td key={c} style={{ textAlign: block.align[c] }}>
+                        {renderInline(row[c] || "", `${key}-${r}-${c}`)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case "list": {
+        const Tag = block.ordered ? "ol" : "ul";
+        return (
+          <Tag key={key} className={styles.list} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+            {block.items.map((item, n) => (
+              <li key={n}>
+                {renderInline(item.text, `${key}-${n}`)}
+                {item.children.length > 0 && renderBlocks(item.children, `${key}-${n}`)}
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      default:
+        return (
+          <p key={key} className={styles.paragraph}>
+            {block.lines.map((line, n) => (
+              <React.Fragment key={n}>
+                {n > 0 && <br />}
+                {renderInline(line, `${key}-${n}`)}
+              </React.Fragment>
+            ))}
+          </p>
+        );
+    }
+  });
+}
+
+function Markdown({ text }) {
+  return <div className={styles.markdown}>{renderBlocks(parseBlocks(text))}</div>;
+}
+
+// Every bubble re-renders while a reply streams or the composer changes; only a bubble
+// whose text changed needs parsing again.
+export default React.memo(Markdown);
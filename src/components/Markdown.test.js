@@ -0,0 +1,38 @@
+import { render, screen } from "@testing-library/react";
+import Markdown from "./Markdown";
+
+test("links only keep http(s) and mailto targets", () => {
+  const text = "[site](https://example.com) [bad](javascript:alert(1)) [mail](MAILTO:a@b.c) [x](JavaScript:void)";
+  render(<Markdown text={text} />);
+  expect(screen.getAllByRole("link").map((a) => a.getAttribute("href"))).toEqual([
+    "https://example.com",
+    "MAILTO:a@b.c",
+  ]);
+  expect(screen.getByText("bad")).not.toHaveAttribute("href");
+  expect(screen.getByText("x")).not.toHaveAttribute("href");
+});
+
+test("raw HTML in the text is shown as text, never as markup", () => {
+  render(<Markdown text={'<img src=x onerror="alert(1)"> and <a href="javascript:alert(1)">**hi**</a>'} />);
+  expect(screen.queryByRole("img")).toBeNull();
+  expect(screen.queryByRole("link")).toBeNull();
+  expect(screen.getByText(/<img src=x onerror="alert\(1\)"> and <a href="javascript:alert\(1\)">/)).toBeInTheDocument();
+  expect(screen.getByText("hi").tagName).toBe("STRONG");
+});
+
+test("a fence inside another fence is code, and markdown in code stays literal", () => {
+  render(<Markdown text={"~~~markdown\n```js\n**not bold** [x](https://example.com)\n```\n~~~\nAfter"} />);
+  expect(screen.getByText("markdown")).toBeInTheDocument();
+  const code = "```js\n**not bold** [x](https://example.com)\n```";
+  expect(screen.getByText(code, { normalizer: (s) => s })).toBeInTheDocument();
+  expect(screen.queryByRole("link")).toBeNull();
+  expect(screen.getByText("After").tagName).toBe("P");
+});
+
+test("an unterminated fence runs to the end, as while a reply streams", () => {
+  render(<Markdown text={"Here:\n```python\nprint(1)\n\n# still code"} />);
+  expect(screen.getByText("python")).toBeInTheDocument();
+  expect(screen.getByText("print(1)\n\n# still code", { normalizer: (s) => s })).toBeInTheDocument();
+  expect(screen.queryByRole("heading")).toBeNull();
+  expect(screen.getByRole("button", { name: "Copy" })).toBeInTheDocument();
+});
@@ -0,0 +1,273 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  deleteOllamaModel,
+  fetchOllamaModelDetails,
+  fetchRunningModels,
+  pullOllamaModel,
+  setModelKeepAlive,
+  showOllamaModel,
+} from "../engine/ollamaModels";
+import styles from "./ModelManager.module.css";
+
+function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n <= 0) return "—";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i >= 3 ? 1 : 0)} ${units[i]}`;
+}
+
+/**
+ * Model manager panel: list, pull, delete, inspect and load/unload Ollama models.
+ * onModelsChanged(localNames) lets the parent refresh its model dropdown.
+ */
+function ModelManager({ currentModel, onUseModel, onModelsChanged, onClose }) {
+  const [models, setModels] = useState([]);
+  const [running, setRunning] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState("");
+
+  const [pullName, setPullName] = useState("");
+  const [pull, setPull] = useState(null);
+  const pullAbortRef = useRef(null);
+
+  const [details, setDetails] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setStatus("loading");
+    try {
+      const [list, ps] = await Promise.all([fetchOllamaModelDetails(), fetchRunningModels().catch(() => [])]);
+      setModels(list);
+      setRunning(ps);
+      setStatus("ready");
+      if (typeof onModelsChanged === "function") {
+        onModelsChanged(list.filter((m) => !m.remote).map((m) => m.name));
+      }
+    } catch (e) {
+      setStatus("error");
+      setError(e instanceof Error ? e.message : String(e));
+    }
+  }, [onModelsChanged]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    return () => pullAbortRef.current?.abort();
+  }, []);
+
+  async function runAction(label, fn) {
+    setBusy(label);
+    setError("");
+    try {
+      await fn();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function startPull() {
+    const name = pullName.trim();
+    if (!name || pull) return;
+
+    const controller = new AbortController();
+    pullAbortRef.current = controller;
+    setError("");
+    setPull({ name, status: "starting", percent: null });
+    try {
+      await pullOllamaModel(name, {
+        signal: controller.signal,
+        onProgress: (p) => setPull({ name, status: p.status, percent: p.percent }),
+      });
+      setPullName("");
+      await refresh();
+    } catch (e) {
+      if (!controller.signal.aborted) setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      pullAbortRef.current = null;
+      setPull(null);
+    }
+  }
+
+  function removeModel(name) {
+    if (!window.confirm(`Delete ${name} from this machine?`)) return;
+    runAction(`delete:${name}`, async () => {
+      await deleteOllamaModel(name);
+      if (details?.name === name) setDetails(null);
+      await refresh();
+    });
+  }
+
+  function inspectModel(name) {
+    if (details?.name === name) {
+      setDetails(null);
+      return;
+    }
+    runAction(`show:${name}`, async () => {
+      const info = await showOllamaModel(name);
+      setDetails({ name, ...info });
+    });
+  }
+
+  function loadModel(name, keepAlive) {
+    runAction(`load:${name}`, async () => {
+      await setModelKeepAlive(name, keepAlive);
+      setRunning(await fetchRunningModels().catch(() => []));
+    });
+  }
+
+  const runningNames = new Set(running.map((r) => r.name));
+  const selected = details ? models.find((m) => m.name === details.name) : null;
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div className={styles.title}>Models</div>
+        <div className={styles.headerActions}>
+          <button className={styles.btn} type="button" onClick={refresh} disabled={status === "loading"}>
+            ↻ Refresh
+          </button>
+          <button className={styles.btn} type="button" onClick={onClose} aria-label="Close model manager">
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.pullRow}>
+        <input
+          className={styles.input}
+          value={pullName}
+          onChange={(e) => setPullName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              startPull();
+            }
+          }}
+          placeholder="Pull a model, e.g. qwen2.5-coder:7b"
+          aria-label="Model name to pull"
+          disabled={Boolean(pull)}
+        />
+        {pull ? (
+          <button className={styles.btn} type="button" onClick={() => pullAbortRef.current?.abort()}>
+            Cancel
+          </button>
+        ) : (
+          <button className={styles.btnPrimary} type="button" onClick={startPull} disabled={!pullName.trim()}>
+            Pull
+          </button>
+        )}
+      </div>
+
+      {pull && (
+        <div className={styles.pullStatus} aria-live="polite">
+          <div className={styles.pullStatusLine}>
+            <span>
+              {pull.name}: {pull.status}
+            </span>
+            <span>{pull.percent === null ? "" : `${pull.percent}%`}</span>
+          </div>
+          <div className={styles.barOuter}>
+            <div className={styles.barInner} style={{ width: `${pull.percent ?? 0}%` }} />
+          </div>
+        </div>
+      )}
+
+      {error && <div className={styles.error}>{error}</div>}
+      {status === "error" && !error && (
+        <div className={styles.error}>Ollama is not reachable. Make sure it is running on localhost:11434.</div>
+      )}
+
+      <div className={styles.list}>
+        {status === "ready" && !models.length && <div className={styles.empty}>No models installed yet.</div>}
+        {models.map((m) => (
+          <div key={m.name} className={`${styles.row}${m.name === currentModel ? ` ${styles.rowActive}` : ""}`}>
+            <div className={styles.rowMain}>
+              <div className={styles.rowName}>
+                {m.name}
+                {runningNames.has(m.name) && <span className={styles.badgeLoaded}>loaded</span>}
+                {m.remote && <span className={styles.badgeCloud}>cloud</span>}
+              </div>
+              <div className={styles.rowMeta}>
+                {[formatBytes(m.size), m.parameterSize, m.quantization, m.family].filter(Boolean).join(" · ")}
+              </div>
+            </div>
+            <div className={styles.rowActions}>
+              <button
+                className={styles.btn}
+                type="button"
+                onClick={() => onUseModel(m.name)}
+                disabled={m.name === currentModel}
+              >
+                Use
+              </button>
+              <button className={styles.btn} type="button" onClick={() => inspectModel(m.name)} disabled={Boolean(busy)}>
+                Info
+              </button>
+              {runningNames.has(m.name) ? (
+                <button className={styles.btn} type="button" onClick={() => loadModel(m.name, 0)} disabled={Boolean(busy)}>
+                  Unload
+                </button>
+              ) : (
+                <button className={styles.btn} type="button" onClick={() => loadModel(m.name, "30m")} disabled={Boolean(busy)}>
+                  Warm
+                </button>
+              )}
+              <button
+                className={styles.btnDanger}
+                type="button"
+                onClick={() => removeModel(m.name)}
+                disabled={Boolean(busy)}
+                aria-label={`Delete ${m.name}`}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {details && (
+        <div className={styles.details}>
+          <div className={styles.detailsTitle}>{details.name}</div>
+          <dl className={styles.facts}>
+            <dt>Family</dt>
+            <dd>{details.family || "—"}</dd>
+            <dt>Parameters</dt>
+            <dd>{details.parameterSize || "—"}</dd>
+            <dt>Quantization</dt>
+            <dd>{details.quantization || "—"}</dd>
+            <dt>Context length</dt>
+            <dd>{details.contextLength ? details.contextLength.toLocaleString() : "—"}</dd>
+            <dt>Size on disk</dt>
+            <dd>{formatBytes(selected?.size)}</dd>
+            {details.license && (
+              <>
+                <dt>License</dt>
+                <dd>{details.license}</dd>
+              </>
+            )}
+          </dl>
+          {details.parameters && (
+            <>
+              <div className={styles.detailsLabel}>Default parameters</div>
+              <pre className={styles.pre}>{details.parameters}</pre>
+            </>
+          )}
+          {details.template && (
+            <>
+              <div className={styles.detailsLabel}>Prompt template</div>
+              <pre className={styles.pre}>{details.template}</pre>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelManager;
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { renderPrompt } from "../engine/promptLibrary";
+import styles from "./PromptFillForm.module.css";
+
+/**
+ * Asks for a template prompt's {{variables}} and hands the rendered text to `onInsert`.
+ * Fields start at each variable's default; Escape cancels.
+ */
+function PromptFillForm({ prompt, onInsert, onCancel }) {
+  const variables = prompt?.variables || [];
+  const [values, setValues] = useState(() => Object.fromEntries(variables.map((v) => [v.name, v.default])));
+
+  const rendered = renderPrompt(prompt?.text, values);
+
+  function setValue(name, value) {
+    setValues((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (rendered.trim()) onInsert(rendered.trim());
+  }
+
+  return (
+    <form
+      className={styles.form}
+      onSubmit={submit}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onCancel();
+      }}
+      aria-label={`Fill in ${prompt?.title || "prompt"}`}
+    >
+      <div className={styles.title}>{prompt?.title}</div>
+
+      {variables.map((v, i) => (
+        <label key={v.name} className={styles.row}>
+          <span className={styles.label}>{v.name}</span>
+          {v.type === "multiline" ? (
+            <textarea
+              className={styles.textarea}
+              value={values[v.name] ?? ""}
+              onChange={(e) => setValue(v.name, e.target.value)}
+              onKeyDown={(e) => {
+                // Ctrl/Cmd+Enter inserts; plain Enter is a new line here.
+                if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) submit(e);
+              }}
+              autoFocus={i === 0}
+            />
+          ) : v.type === "choice" ? (
+            <select
+              className={styles.input}
+              value={values[v.name] ?? v.default}
+              onChange={(e) => setValue(v.name, e.target.value)}
+              autoFocus={i === 0}
+            >
+              {v.options.map((o) => (
+                <option key={o} value={o}>
+                  {o}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              className={styles.input}
+              value={values[v.name] ?? ""}
+              onChange={(e) => setValue(v.name, e.target.value)}
+              autoFocus={i === 0}
+            />
+          )}
+        </label>
+      ))}
+
+      <div className={styles.preview} aria-label="Prompt preview">
+        {rendered}
+      </div>
+
+      <div className={styles.actions}>
+        <button className={styles.btnPrimary} type="submit" disabled={!rendered.trim()}>
+          Insert
+        </button>
+        <button className={styles.btn} type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PromptFillForm;
@@ -0,0 +1,262 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  BUILTIN_PACKS,
+  CONFLICT_CHOICES,
+  findPromptConflict,
+  getEnabledPacks,
+  importPrompts,
+  setPackEnabled,
+} from "../engine/promptLibrary";
+import { createPromptPack, parsePromptPack, promptPackFileName } from "../engine/promptPacks";
+import styles from "./PromptPacks.module.css";
+
+const CHOICE_LABELS = { keepBoth: "Keep both", overwrite: "Overwrite", skip: "Skip" };
+
+function errorText(e) {
+  return e instanceof Error ? e.message : String(e);
+}
+
+/**
+ * Prompt packs panel: turn built-in packs on/off, export selected prompts as a pack file
+ * and import one, choosing per conflicting prompt whether to keep both, overwrite or skip.
+ * onPromptsChange(list) receives the library after every change.
+ */
+function PromptPacks({ prompts, onPromptsChange, onDownload, onClose }) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [packName, setPackName] = useState("");
+  const [includeImages, setIncludeImages] = useState(false);
+
+  const [pack, setPack] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("");
+  const fileRef = useRef(null);
+
+  // Re-read on every library change so another tab's toggle shows up here too.
+  const enabledPacks = useMemo(() => (prompts ? getEnabledPacks() : []), [prompts]);
+
+  const rows = useMemo(
+    () => (pack ? pack.prompts.map((p) => ({ prompt: p, conflict: findPromptConflict(prompts, p) })) : []),
+    [pack, prompts]
+  );
+  const conflicts = rows.filter((r) => r.conflict).length;
+
+  function togglePack(id, enabled) {
+    setError("");
+    setStatus("");
+    onPromptsChange(setPackEnabled(id, enabled));
+  }
+
+  function toggleSelected(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function exportPack() {
+    const chosen = prompts.filter((p) => selected.has(p.id));
+    if (!chosen.length) return;
+    onDownload(promptPackFileName(packName), createPromptPack(chosen, { name: packName, includeImages }));
+    setStatus(`Exported ${chosen.length} prompt${chosen.length === 1 ? "" : "s"}.`);
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    setStatus("");
+    setPack(null);
+    try {
+      const parsed = parsePromptPack(await file.text());
+      setPack({ ...parsed, fileName: file.name });
+      setChoices({});
+    } catch (err) {
+      setError(errorText(err));
+    }
+  }
+
+  function setAllChoices(choice) {
+    setChoices(Object.fromEntries(rows.filter((r) => r.conflict).map((r) => [r.prompt.id, choice])));
+  }
+
+  function runImport() {
+    const result = importPrompts(pack.prompts, choices);
+    onPromptsChange(result.prompts);
+    setPack(null);
+    setStatus(
+      [
+        `${result.added} added`,
+        result.replaced ? `${result.replaced} overwritten` : "",
+        result.skipped ? `${result.skipped} skipped` : "",
+      ]
+        .filter(Boolean)
+        .join(", ") + "."
+    );
+  }
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div className={styles.title}>Prompt packs</div>
+        <button className={styles.btn} type="button" onClick={onClose} aria-label="Close prompt packs">
+          ×
+        </button>
+      </div>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Built-in packs</div>
+        <div className={styles.hint}>Turning a pack off removes its prompts; ones you've edited are kept.</div>
+        {BUILTIN_PACKS.map((p) => (
+          <label key={p.id} className={styles.check}>
+            <input
+              type="checkbox"
+              checked={enabledPacks.includes(p.id)}
+              onChange={(e) => togglePack(p.id, e.target.checked)}
+            />
+            <span className={styles.checkName}>{p.name}</span>
+            <span className={styles.checkHint}>
+              {p.description} · {p.prompts.length} prompts
+            </span>
+          </label>
+        ))}
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Export</div>
+        <div className={styles.row}>
+          <button className={styles.btn} type="button" onClick={() => setSelected(new Set(prompts.map((p) => p.id)))}>
+            Select all
+          </button>
+          <button className={styles.btn} type="button" onClick={() => setSelected(new Set())}>
+            None
+          </button>
+          <span className={styles.hint}>{selected.size} selected</span>
+        </div>
+        <div className={styles.pickList}>
+          {prompts.map((p) => (
+            <label key={p.id} className={styles.check}>
+              <input type="checkbox" checked={selected.has(p.id)} onChange={() => toggleSelected(p.id)} />
+              <span className={styles.checkName}>{p.title}</span>
+              {p.trigger && <span className={styles.checkHint}>/{p.trigger}</span>}
+            </label>
+          ))}
+        </div>
+        <div className={styles.row}>
+          <input
+            className={styles.input}
+            value={packName}
+            onChange={(e) => setPackName(e.target.value)}
+            placeholder="Pack name (e.g. IT team)"
+            aria-label="Pack name"
+          />
+          <label className={styles.check}>
+            <input type="checkbox" checked={includeImages} onChange={(e) => setIncludeImages(e.target.checked)} />
+            Include avatar images
+          </label>
+          <button className={styles.btnPrimary} type="button" onClick={exportPack} disabled={!selected.size}>
+            Download pack
+          </button>
+        </div>
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Import</div>
+        <div className={styles.row}>
+          <button className={styles.btn} type="button" onClick={() => fileRef.current?.click()}>
+            Choose pack file…
+          </button>
+          {pack && (
+            <span className={styles.fileName}>
+              {pack.name || pack.fileName} · {pack.prompts.length} prompts
+              {conflicts ? ` · ${conflicts} conflict${conflicts === 1 ? "" : "s"}` : ""}
+            </span>
+          )}
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className={styles.fileInput}
+            onChange={pickFile}
+            aria-label="Prompt pack file"
+          />
+        </div>
+
+        {pack && (
+          <>
+            {conflicts > 0 && (
+              <div className={styles.row}>
+                <span className={styles.hint}>For every conflict:</span>
+                {CONFLICT_CHOICES.map((c) => (
+                  <button key={c} className={styles.btn} type="button" onClick={() => setAllChoices(c)}>
+                    {CHOICE_LABELS[c]}
+                  </button>
+                ))}
+              </div>
+            )}
+            <table className={styles.preview}>
+              <thead>
+                <tr>
+                  <th>Prompt</th>
+                  <th>In your library</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ prompt, conflict }, i) => (
+                  <tr key={`${prompt.id}-${i}`}>
+                    <td>
+                      {prompt.title}
+                      {prompt.trigger && <span className={styles.checkHint}> /{prompt.trigger}</span>}
+                    </td>
+                    <td className={conflict ? styles.conflict : undefined}>
+                      {conflict ? `Same as "${conflict.title}"` : "—"}
+                    </td>
+                    <td>
+                      {conflict ? (
+                        <select
+                          className={styles.select}
+                          value={choices[prompt.id] || "keepBoth"}
+                          onChange={(e) => setChoices((prev) => ({ ...prev, [prompt.id]: e.target.value }))}
+                          aria-label={`Conflict for ${prompt.title}`}
+                        >
+                          {CONFLICT_CHOICES.map((c) => (
+                            <option key={c} value={c}>
+                              {CHOICE_LABELS[c]}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        "Add"
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className={styles.row}>
+              <button className={styles.btnPrimary} type="button" onClick={runImport}>
+                Import
+              </button>
+              <button className={styles.btn} type="button" onClick={() => setPack(null)}>
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </section>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {status && (
+        <div className={styles.status} role="status">
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PromptPacks;
@@ -0,0 +1,268 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { generateChallenge, scoreGuess } from "../engine/similarityEngine";
+import {
+  GAME_STATS_KEY,
+  averageScore,
+  hardestWords,
+  loadGameStats,
+  recordGameRound,
+  resetGameStats,
+} from "../engine/gameStats";
+import { onStorageChange } from "../engine/storage";
+import styles from "./SimilarityGame.module.css";
+
+const CONNECTION_LABELS = {
+  synonym: "Synonym",
+  antonym: "Antonym",
+  "shared synonym": "Shares",
+  "same category": "Same category",
+};
+
+function playableTerms(terms) {
+  return terms.filter((t) => t.word && t.definition);
+}
+
+// A new mystery word, avoiding an immediate repeat when there's a choice.
+function nextChallenge(terms, previous) {
+  const pool = playableTerms(terms);
+  if (!pool.length) return null;
+  const fresh = pool.length > 1 ? pool.filter((t) => t.word !== previous) : pool;
+  return generateChallenge(fresh);
+}
+
+function scoreTone(score) {
+  if (score >= 80) return styles.barHot;
+  if (score >= 40) return styles.barWarm;
+  return styles.barCold;
+}
+
+/**
+ * Similarity Game tab: guess the mystery word in five tries. Each guess is scored 0–100
+ * by scoreGuess and listed with its thesaurus path; every miss unlocks another hint.
+ * Plays over whatever `terms` holds (built-in and learned) and keeps stats on this device.
+ */
+function SimilarityGame({ terms }) {
+  const [challenge, setChallenge] = useState(() => nextChallenge(terms, ""));
+  const [guesses, setGuesses] = useState([]);
+  const [input, setInput] = useState("");
+  const [error, setError] = useState("");
+  const [finished, setFinished] = useState(false);
+  const [stats, setStats] = useState(() => loadGameStats());
+
+  useEffect(
+    () =>
+      onStorageChange((changed) => {
+        if (changed.has(GAME_STATS_KEY)) setStats(loadGameStats());
+      }),
+    []
+  );
+
+  // Terms can arrive after the first render (learned terms load from storage).
+  useEffect(() => {
+    if (!challenge && terms.length) setChallenge(nextChallenge(terms, ""));
+  }, [challenge, terms]);
+
+  const target = useMemo(
+    () => (challenge ? terms.find((t) => t.word === challenge.targetWord) : null),
+    [challenge, terms]
+  );
+  const solved = guesses.some((g) => g.score === 100);
+  const misses = guesses.length - (solved ? 1 : 0);
+  const hints = challenge ? challenge.hints.slice(0, Math.min(1 + misses, challenge.hints.length)) : [];
+  const hardest = useMemo(() => hardestWords(stats), [stats]);
+
+  // Connections and paths end at the mystery word; keep it hidden until the round is over.
+  const mask = (w) => (!finished && w === challenge?.targetWord ? "?" : w);
+
+  function finishRound(list, won) {
+    setFinished(true);
+    setStats(
+      recordGameRound({
+        word: challenge.targetWord,
+        solved: won,
+        guesses: list.length,
+        score: Math.max(0, ...list.map((g) => g.score)),
+      })
+    );
+  }
+
+  function submitGuess(e) {
+    e.preventDefault();
+    const word = input.trim().toLowerCase();
+    if (!word || finished) return;
+    if (guesses.some((g) => g.word === word)) {
+      setError(`You already tried "${word}".`);
+      return;
+    }
+    const result = scoreGuess(word, challenge.targetWord, terms);
+    const next = [...guesses, { word, ...result }];
+    setGuesses(next);
+    setInput("");
+    setError("");
+    if (result.score === 100 || next.length >= challenge.maxGuesses) finishRound(next, result.score === 100);
+  }
+
+  function giveUp() {
+    if (!finished) finishRound(guesses, false);
+  }
+
+  function newRound() {
+    setChallenge(nextChallenge(terms, challenge?.targetWord));
+    setGuesses([]);
+    setInput("");
+    setError("");
+    setFinished(false);
+  }
+
+  function clearStats() {
+    if (!window.confirm("Reset all Similarity Game stats?")) return;
+    setStats(resetGameStats());
+  }
+
+  if (!challenge) {
+    return <div className={styles.empty}>The dictionary is empty, so there's nothing to guess yet.</div>;
+  }
+
+  return (
+    <div className={styles.game}>
+      <section className={styles.board}>
+        <div className={styles.boardHeader}>
+          <h2 className={styles.title}>Guess the mystery word</h2>
+          <span className={styles.counter}>
+            Guess {Math.min(guesses.length + (finished ? 0 : 1), challenge.maxGuesses)} of {challenge.maxGuesses}
+          </span>
+        </div>
+
+        <ol className={styles.hints} aria-label="Hints">
+          {hints.map((h) => (
+            <li key={h} className={styles.hint}>
+              💡 {h}
+            </li>
+          ))}
+          {!finished && hints.length < challenge.hints.length && (
+            <li className={styles.hintLocked}>🔒 Another hint unlocks after a miss</li>
+          )}
+        </ol>
+
+        {!finished ? (
+          <form className={styles.guessRow} onSubmit={submitGuess}>
+            <input
+              className={styles.input}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Type a word…"
+              aria-label="Your guess"
+              autoComplete="off"
+            />
+            <button type="submit" className={styles.btnPrimary} disabled={!input.trim()}>
+              Guess
+            </button>
+            <button type="button" className={styles.btn} onClick={giveUp}>
+              Give up
+            </button>
+          </form>
+        ) : (
+          <div className={`${styles.reveal} ${solved ? styles.revealWon : ""}`} role="status">
+            <div className={styles.revealTitle}>
+              {solved ? "🎉 Solved!" : "The word was"} <strong>{challenge.targetWord}</strong>
+            </div>
+            {target && <p className={styles.revealDef}>{target.definition}</p>}
+            {target?.synonyms.length > 0 && (
+              <div className={styles.revealSyns}>Synonyms: {target.synonyms.join(", ")}</div>
+            )}
+            <button type="button" className={styles.btnPrimary} onClick={newRound}>
+              Next word
+            </button>
+          </div>
+        )}
+        {error && <div className={styles.error}>{error}</div>}
+
+        {guesses.length > 0 && (
+          <ul className={styles.history} aria-label="Your guesses">
+            {guesses.map((g) => {
+              const path = g.connections.find((c) => c.type === "path");
+              const links = g.connections.filter((c) => c.type !== "path");
+              return (
+                <li key={g.word} className={styles.guess}>
+                  <div className={styles.guessTop}>
+                    <span className={styles.guessWord}>{g.word}</span>
+                    <span className={styles.bar} aria-hidden="true">
+                      <span className={`${styles.barFill} ${scoreTone(g.score)}`} style={{ width: `${g.score}%` }} />
+                    </span>
+                    <span className={styles.score}>{g.score}</span>
+                  </div>
+                  <div className={styles.feedback}>{g.feedback}</div>
+                  {links.map((c) => (
+                    <div key={c.type} className={styles.connection}>
+                      {CONNECTION_LABELS[c.type] || c.type}: {c.words.map(mask).join(", ")}
+                    </div>
+                  ))}
+                  {path && path.words.length > 1 && (
+                    <div className={styles.path} aria-label={`Path from ${g.word}`}>
+                      {path.words.map((w, i) => (
+                        <React.Fragment key={`${w}-${i}`}>
+                          {i > 0 && <span className={styles.pathArrow}>→</span>}
+                          <span className={styles.pathWord}>{mask(w)}</span>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      <aside className={styles.stats} aria-label="Game stats">
+        <div className={styles.statsHeader}>
+          <h3 className={styles.statsTitle}>Your stats</h3>
+          {stats.played > 0 && (
+            <button type="button" className={styles.linkBtn} onClick={clearStats}>
+              Reset
+            </button>
+          )}
+        </div>
+        <dl className={styles.statGrid}>
+          <div>
+            <dt>Played</dt>
+            <dd>{stats.played}</dd>
+          </div>
+          <div>
+            <dt>Solved</dt>
+            <dd>{stats.played ? Math.round((stats.solved / stats.played) * 100) : 0}%</dd>
+          </div>
+          <div>
+            <dt>Streak</dt>
+            <dd>{stats.streak}</dd>
+          </div>
+          <div>
+            <dt>Best streak</dt>
+            <dd>{stats.bestStreak}</dd>
+          </div>
+          <div>
+            <dt>Avg score</dt>
+            <dd>{averageScore(stats)}</dd>
+          </div>
+        </dl>
+        <h4 className={styles.statsSub}>Hardest words</h4>
+        {hardest.length ? (
+          <ol className={styles.hardest}>
+            {hardest.map((w) => (
+              <li key={w.word}>
+                <span>{w.word}</span>
+                <span className={styles.hardestMeta}>
+                  {w.solved}/{w.played} solved
+                </span>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <div className={styles.muted}>No misses yet.</div>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default SimilarityGame;
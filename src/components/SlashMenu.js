@@ -0,0 +1,43 @@
+import React, { useEffect, useRef } from "react";
+import styles from "./SlashMenu.module.css";
+
+export const SLASH_MENU_ID = "slash-menu";
+
+/**
+ * The composer's "/" popup. Keyboard handling lives in the composer (focus stays in the
+ * textarea); this only renders the list and handles mouse picks.
+ */
+function SlashMenu({ items, activeIndex, onPick, onHover }) {
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const node = listRef.current?.children[activeIndex];
+    node?.scrollIntoView?.({ block: "nearest" });
+  }, [activeIndex]);
+
+  return (
+    <ul className={styles.menu} id={SLASH_MENU_ID} role="listbox" aria-label="Commands and prompts" ref={listRef}>
+      {items.map((item, i) => (
+        <li
+          key={item.key}
+          id={`${SLASH_MENU_ID}-${i}`}
+          role="option"
+          aria-selected={i === activeIndex}
+          className={`${styles.item} ${i === activeIndex ? styles.itemActive : ""}`}
+          // mousedown, not click: keep focus in the textarea.
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onPick(item);
+          }}
+          onMouseEnter={() => onHover(i)}
+        >
+          <span className={styles.label}>{item.label}</span>
+          <span className={styles.hint}>{item.hint}</span>
+          <span className={styles.kind}>{item.kind === "prompt" ? "Prompt" : "Command"}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default SlashMenu;
@@ -1,23 +1,71 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import { detectIntent, generateReply } from "../engine/chatEngine";
-import { getOllamaConfig, isOllamaEnabled, isOllamaRemote, ollamaGenerate } from "../engine/ollamaClient";
-import { loadLearnedTerms, logUnknownQuestion } from "../engine/learningStore";
+import { getOllamaConfig, isOllamaEnabled, isOllamaRemote, ollamaChat } from "../engine/ollamaClient";
+import { loadLearnedTerms, logUnknownQuestion, mergeTerms } from "../engine/learningStore";
 import { detectGrammarIssues, suggestCorrection } from "../engine/grammarEngine";
 import { isRigBridgeEnabled, rigClear, rigLookup, rigSearchLocal } from "../engine/rigBridgeClient";
-import { connectIdeas } from "../engine/ideaConnector";
+import { connectIdeas, relevantTerms } from "../engine/ideaConnector";
 import { assessRisk } from "../engine/riskEngine";
-import { getBrainConfig, setBrainConfig } from "../engine/brainStore";
+import { getBrainConfig, resetBrainOptions, setBrainConfig } from "../engine/brainStore";
 import { fetchOllamaModels } from "../engine/ollamaModels";
-import { llmRouteToCommand } from "../engine/llmRouter";
-import { deletePrompt, loadPrompts, upsertPrompt } from "../engine/promptLibrary";
+import { llmDraftTerm, llmRouteToCommand } from "../engine/llmRouter";
+import {
+  deletePrompt,
+  filterPrompts,
+  loadPrompts,
+  PROMPT_SORTS,
+  normalizeTrigger,
+  parsePromptVariables,
+  promptFolders,
+  promptTags,
+  recordPromptUse,
+  renderPrompt,
+  sortPrompts,
+  updatePromptMeta,
+  upsertPrompt,
+} from "../engine/promptLibrary";
+import { slashQuery, slashSuggestions } from "../engine/slashCommands";
+import { onStorageChange } from "../engine/storage";
+import { getVaultStatus, lockVault } from "../engine/vault";
 import {
   createChat,
   deleteChat,
+  importChats,
   loadChatSessions,
+  resolveChatBrain,
   setActiveChat,
-  updateChatMessages,
+  updateChatMeta,
   updateChatSettings,
+  updateChatThread,
 } from "../engine/chatSessions";
+import {
+  applyBranch,
+  branchOf,
+  forkAt,
+  linearThread,
+  revealMessage,
+  sameThread,
+  settledThread,
+  siblingsOf,
+  switchSibling,
+  withPending,
+} from "../engine/messageTree";
+import {
+  chatsToHtml,
+  chatsToJson,
+  chatsToMarkdown,
+  exportFileName,
+  normalizeFormat,
+  parseChatsJson,
+} from "../engine/chatExport";
+import ChatSidebar from "./ChatSidebar";
+import Markdown from "./Markdown";
+import ModelManager from "./ModelManager";
+import PromptFillForm from "./PromptFillForm";
+import PromptPacks from "./PromptPacks";
+import SlashMenu, { SLASH_MENU_ID } from "./SlashMenu";
+import VaultPanel from "./VaultPanel";
+import WorkspaceBackup from "./WorkspaceBackup";
 import styles from "./ToastyChat.module.css";
 
 const CAN_AUTO_LEARN = (() => {
@@ -35,6 +83,38 @@ const AUTO_LOOKUP_DEFINE = (() => {
   return v === "1" || v === "true" || v === "yes" || v === "on";
 })();
 
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+const EXPORT_TYPES = {
+  md: "text/markdown",
+  json: "application/json",
+  html: "text/html",
+};
+
+// Reference context for the model: terms the message mentions (and their neighbours), capped.
+const MAX_CONTEXT_TERMS = 40;
+const MAX_CONTEXT_DEFINITION = 300;
+
+// Folder filter value for prompts without a folder (folder names are trimmed, so it can't clash).
+const NO_FOLDER = " none";
+
+const PROMPT_SORT_LABELS = { level: "Level, A–Z", used: "Most used", recent: "Recently used" };
+
+function formatPromptUse(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+
 function initialsFrom(title) {
   const t = String(title || "").trim();
   if (!t) return "P";
@@ -59,52 +139,350 @@ const WELCOME_MESSAGES = [
   },
 ];
 
+// Aliases accepted by brain commands like `temp 0.2` or `ctx 8192`.
+const OPTION_ALIASES = {
+  temp: "temperature",
+  temperature: "temperature",
+  top_p: "top_p",
+  topp: "top_p",
+  top_k: "top_k",
+  topk: "top_k",
+  repeat: "repeat_penalty",
+  repeat_penalty: "repeat_penalty",
+  seed: "seed",
+  ctx: "num_ctx",
+  num_ctx: "num_ctx",
+};
+
+const OPTION_FIELDS = [
+  { key: "temperature", label: "Temperature", step: "0.1", placeholder: "0.8" },
+  { key: "top_p", label: "Top P", step: "0.05", placeholder: "0.9" },
+  { key: "top_k", label: "Top K", step: "1", placeholder: "40" },
+  { key: "repeat_penalty", label: "Repeat penalty", step: "0.05", placeholder: "1.1" },
+  { key: "seed", label: "Seed", step: "1", placeholder: "random" },
+  { key: "num_ctx", label: "Context (num_ctx)", step: "256", placeholder: "model default" },
+];
+
+function describeOptions(cfg) {
+  const o = cfg?.options || {};
+  const parts = OPTION_FIELDS.map((f) => `${f.key}=${o[f.key] === null || o[f.key] === undefined ? "default" : o[f.key]}`);
+  parts.push(`stop=${o.stop?.length ? o.stop.map((x) => JSON.stringify(x)).join(" ") : "none"}`);
+  parts.push(`keep_alive=${cfg?.keepAlive || "default"}`);
+  return parts.join(" · ");
+}
+
+const WELCOME_IDS = new Set(WELCOME_MESSAGES.map((m) => m.id));
+
 /**
- * Render plain text with **bold** markdown as <strong> elements.
+ * Turns the visible thread into role-tagged /api/chat history.
+ * Skips the welcome text, system notes and pending bubbles; user turns are redacted
+ * the same way the current message is.
  */
-function RichText({ text }) {
-  const parts = text.split(/\*\*(.+?)\*\*/g);
-  return (
-    <>
-      {parts.map((part, i) =>
-        i % 2 === 1 ? <strong key={i}>{part}</strong> : part
-      )}
-    </>
-  );
+function toChatHistory(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((m) => (m.role === "user" || m.role === "assistant") && !m.pending && !WELCOME_IDS.has(m.id))
+    .map((m) => ({
+      role: m.role,
+      content: m.role === "user" ? assessRisk(m.text).redactedText : String(m.text || ""),
+    }));
+}
+
+const EFFORT_CHOICES = [
+  { value: "off", label: "Off", effort: null },
+  { value: "standard", label: "Standard", effort: "standard" },
+  { value: "extended", label: "Extended", effort: "extended" },
+];
+
+function effortValue(effort) {
+  return effort === "extended" ? "extended" : effort === null ? "off" : "standard";
 }
 
-function Message({ msg }) {
+/**
+ * One chat bubble. User turns can be edited and resent; assistant replies can be
+ * regenerated, optionally with another model or thinking effort. Both keep the old
+ * version as a sibling branch, reachable through the ‹ n/m › switcher. Actions are
+ * hidden while a reply is generating. High-risk user turns offer to keep only a
+ * redacted copy.
+ */
+function Message({
+  msg,
+  busy,
+  canEdit,
+  canRegenerate,
+  modelOptions,
+  currentModel,
+  currentEffort,
+  siblings,
+  focused,
+  onEdit,
+  onRegenerate,
+  onSwitchBranch,
+  onRedact,
+}) {
+  const [draft, setDraft] = useState(null);
+  const [regen, setRegen] = useState(null);
+  // Secrets (tokens, keys, passwords) typed into the chat would otherwise be saved as-is.
+  const risk = useMemo(
+    () => (msg.role === "user" && !msg.redacted ? assessRisk(msg.text) : null),
+    [msg.role, msg.redacted, msg.text]
+  );
+
+  function submitEdit() {
+    const text = draft.trim();
+    if (!text) return;
+    setDraft(null);
+    onEdit(msg.id, text);
+  }
+
+  function submitRegen() {
+    const choice = EFFORT_CHOICES.find((c) => c.value === regen.effort);
+    setRegen(null);
+    onRegenerate(msg.id, {
+      model: regen.model || undefined,
+      thinkingEffort: choice ? choice.effort : undefined,
+    });
+  }
+
+  if (draft !== null) {
+    return (
+      <div className={`${styles.message} ${styles[msg.role]}`}>
+        <div className={styles.editBox}>
+          <textarea
+            className={styles.editInput}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && !e.shiftKey) {
+                e.preventDefault();
+                submitEdit();
+              } else if (e.key === "Escape") {
+                setDraft(null);
+              }
+            }}
+            rows={Math.min(8, Math.max(2, draft.split("\n").length))}
+            aria-label="Edit message"
+            autoFocus
+          />
+          <div className={styles.editHint}>Resending starts a new branch here; the original stays under ‹ ›.</div>
+          <div className={styles.editActions}>
+            <button className={styles.msgActionBtn} type="button" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+            <button className={styles.msgActionPrimary} type="button" onClick={submitEdit} disabled={!draft.trim() || busy}>
+              Save &amp; resend
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const showEdit = canEdit && !busy;
+  const showRegen = canRegenerate && !busy;
+  const branchIndex = siblings.findIndex((m) => m.id === msg.id);
+
   return (
-    <div className={`${styles.message} ${styles[msg.role]}`}>
+    <div className={`${styles.message} ${styles[msg.role]}${focused ? ` ${styles.focused}` : ""}`} data-msg-id={msg.id}>
       <div className={styles.bubble}>
-        {msg.text.split("\n").map((line, i) => (
-          <span key={i}>
-            {i > 0 && <br />}
-            <RichText text={line} />
-          </span>
-        ))}
+        {/* User text is shown verbatim; replies and notes are rendered as markdown. */}
+        {msg.role === "user" ? msg.text : <Markdown text={msg.text} />}
       </div>
-      {msg.time && <span className={styles.meta}>{msg.time}</span>}
+      {(msg.time || msg.stopped || showEdit || showRegen || siblings.length > 1) && (
+        <span className={styles.meta}>
+          {siblings.length > 1 && (
+            <span className={styles.branchSwitch}>
+              <button
+                className={styles.branchBtn}
+                type="button"
+                onClick={() => onSwitchBranch(msg.id, -1)}
+                disabled={busy || branchIndex <= 0}
+                aria-label="Previous version"
+              >
+                ‹
+              </button>
+              {branchIndex + 1}/{siblings.length}
+              <button
+                className={styles.branchBtn}
+                type="button"
+                onClick={() => onSwitchBranch(msg.id, 1)}
+                disabled={busy || branchIndex >= siblings.length - 1}
+                aria-label="Next version"
+              >
+                ›
+              </button>
+            </span>
+          )}
+          {msg.time}
+          {msg.model && <span className={styles.modelTag}>{msg.model}</span>}
+          {msg.edited && <span className={styles.editedTag}>edited</span>}
+          {msg.redacted && <span className={styles.editedTag}>redacted</span>}
+          {msg.stopped && <span className={styles.stoppedTag}>⏹ stopped</span>}
+          {showEdit && (
+            <button className={styles.msgActionBtn} type="button" onClick={() => setDraft(msg.text)} title="Edit and resend">
+              ✎ Edit
+            </button>
+          )}
+          {showRegen && (
+            <button
+              className={styles.msgActionBtn}
+              type="button"
+              onClick={() => setRegen(regen ? null : { model: "", effort: effortValue(currentEffort) })}
+              title="Regenerate this reply"
+              aria-expanded={Boolean(regen)}
+            >
+              ↻ Regenerate
+            </button>
+          )}
+        </span>
+      )}
+      {risk?.level === "high" && (
+        <div className={styles.riskNote}>
+          ⚠ Contains {risk.reasons.join(", ")}; it is saved as typed.
+          <button
+            className={styles.msgActionBtn}
+            type="button"
+            onClick={() => onRedact(msg.id, risk.redactedText)}
+            disabled={busy}
+            title="Replace the saved message with its redacted version (can't be undone)"
+          >
+            Keep redacted copy only
+          </button>
+        </div>
+      )}
+      {regen && showRegen && (
+        <div className={styles.regenPanel}>
+          <label className={styles.regenField}>
+            Model
+            <select
+              className={styles.regenSelect}
+              value={regen.model}
+              onChange={(e) => setRegen({ ...regen, model: e.target.value })}
+            >
+              <option value="">Current ({currentModel || "default"})</option>
+              {modelOptions
+                .filter((m) => m !== currentModel)
+                .map((m) => (
+                  <option key={m} value={m}>
+                    {m}
+                  </option>
+                ))}
+            </select>
+          </label>
+          <label className={styles.regenField}>
+            Thinking
+            <select
+              className={styles.regenSelect}
+              value={regen.effort}
+              onChange={(e) => setRegen({ ...regen, effort: e.target.value })}
+            >
+              {EFFORT_CHOICES.map((c) => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button className={styles.msgActionPrimary} type="button" onClick={submitRegen}>
+            Regenerate
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
+function threadOf(chat) {
+  return chat ? { messages: chat.messages, leafId: chat.leafId } : linearThread(WELCOME_MESSAGES);
+}
+
 function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
   const [sessionState, setSessionState] = useState(() => loadChatSessions(WELCOME_MESSAGES));
   const activeChat = sessionState.chats.find((c) => c.id === sessionState.activeId) || sessionState.chats[0];
-  const [messages, setMessages] = useState(activeChat.messages || WELCOME_MESSAGES);
+  const [thread, setThread] = useState(() => threadOf(activeChat));
+  // What's on screen (and sent as history) is the active branch of the message tree.
+  const messages = useMemo(() => branchOf(thread), [thread]);
+  const setMessages = useCallback((update) => {
+    setThread((prev) => applyBranch(prev, typeof update === "function" ? update(branchOf(prev)) : update));
+  }, []);
+  const messagesRef = useRef(messages);
+  const activeIdRef = useRef(sessionState.activeId);
+  // Chat id of the message being answered (null when idle); `sending` mirrors it for the UI.
+  const sendingRef = useRef(null);
+  const [sending, setSending] = useState(false);
+
+  /**
+   * setMessages bound to one chat: while that chat is open it updates the screen; once the
+   * user has moved elsewhere it updates the chat's stored thread (and drops updates for a
+   * deleted chat).
+   */
+  const chatMessagesSetter = useCallback(
+    (chatId) => (update) => {
+      if (activeIdRef.current === chatId) {
+        setMessages(update);
+        return;
+      }
+      setSessionState((prev) => {
+        const chat = prev.chats.find((c) => c.id === chatId);
+        if (!chat) return prev;
+        const saved = threadOf(chat);
+        const next = settledThread(applyBranch(saved, typeof update === "function" ? update(branchOf(saved)) : update));
+        // Streaming into a chat that isn't on screen: nothing to save until the reply settles.
+        return sameThread(next, saved) ? prev : updateChatThread(prev, chatId, next);
+      });
+    },
+    [setMessages]
+  );
   const [input, setInput] = useState("");
   const bottomRef = useRef(null);
+  const messagesBoxRef = useRef(null);
+  const jumpingRef = useRef(false);
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
   const inputRef = useRef(null);
   const thinkingRef = useRef(null);
+  const abortRef = useRef(null);
 
   const [brainCfg, setBrainCfg] = useState(() => getBrainConfig());
+  const chatBrain = resolveChatBrain(activeChat, brainCfg);
+  const [chatSettingsDraft, setChatSettingsDraft] = useState(null);
+  const [samplingDraft, setSamplingDraft] = useState(null);
+  const [showModelManager, setShowModelManager] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showVault, setShowVault] = useState(false);
   const [ollamaModels, setOllamaModels] = useState([]);
   const [ollamaModelsStatus, setOllamaModelsStatus] = useState("idle");
 
   const [prompts, setPrompts] = useState(() => loadPrompts());
   const [editingPrompt, setEditingPrompt] = useState(null);
   const [showPromptEditor, setShowPromptEditor] = useState(false);
+  const [fillingPrompt, setFillingPrompt] = useState(null);
+  const [showPromptPacks, setShowPromptPacks] = useState(false);
+  const [promptView, setPromptView] = useState({ query: "", show: "all", folder: "", sort: "level" });
+  const promptGroups = useMemo(() => {
+    const { query, show, folder, sort } = promptView;
+    const list = sortPrompts(
+      filterPrompts(prompts, { query, show, folder: folder === NO_FOLDER ? null : folder }),
+      sort
+    );
+    // Browsing A–Z across every folder: one row per folder, unfiled last.
+    if (sort !== "level" || folder || !list.some((p) => p.folder)) return [{ name: "", prompts: list }];
+    return [...promptFolders(list), ""]
+      .map((name) => ({ name: name || "Other", prompts: list.filter((p) => p.folder === name) }))
+      .filter((g) => g.prompts.length);
+  }, [prompts, promptView]);
+  const editingVariables = useMemo(() => parsePromptVariables(editingPrompt?.text), [editingPrompt?.text]);
+  const editingTriggerTaken = useMemo(() => {
+    const trigger = normalizeTrigger(editingPrompt?.trigger);
+    return Boolean(trigger) && prompts.some((p) => p.trigger === trigger && p.id !== editingPrompt?.id);
+  }, [prompts, editingPrompt?.trigger, editingPrompt?.id]);
+
+  // "/" autocomplete in the composer.
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [slashDismissed, setSlashDismissed] = useState(false);
+  const slashItems = useMemo(() => {
+    const query = slashDismissed ? null : slashQuery(input);
+    return query === null ? [] : slashSuggestions(query, prompts, { bridge: isRigBridgeEnabled() });
+  }, [input, prompts, slashDismissed]);
+  const slashActive = Math.min(slashIndex, slashItems.length - 1);
 
   const [thinkingEffort, setThinkingEffort] = useState(() => {
     const v = activeChat?.settings?.thinkingEffort;
@@ -117,6 +495,10 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
     startedAt: 0,
     percent: 0,
     elapsedMs: 0,
+    tokens: 0,
+    numPredict: 0,
+    // Effort the running reply uses (a regenerate override can differ from the chat's).
+    effort: null,
   }));
 
   const MAX_MESSAGES = 250;
@@ -127,13 +509,16 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
       description: "",
       text: "",
       level: "basic",
+      trigger: "",
       avatarText: "",
       avatarImage: "",
     });
+    setFillingPrompt(null);
     setShowPromptEditor(true);
   }
 
   function openEditPrompt(p) {
+    setFillingPrompt(null);
     setEditingPrompt({ ...p });
     setShowPromptEditor(true);
   }
@@ -163,7 +548,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
     if (!p) return;
     const title = String(p.title || "").trim();
     const text = String(p.text || "").trim();
-    if (!title || !text) return;
+    if (!title || !text || editingTriggerTaken) return;
 
     const avatarText = String(p.avatarText || "").trim() || initialsFrom(title);
     const next = upsertPrompt({ ...p, title, text, avatarText });
@@ -182,26 +567,74 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
   function handlePromptUse(p) {
     const text = String(p?.text || "").trim();
     if (!text) return;
+    setPrompts(recordPromptUse(p.id));
+    // Templates ask for their {{variables}} first.
+    if (p.variables?.length) {
+      closePromptEditor();
+      setFillingPrompt(p);
+      return;
+    }
+    insertPromptText(text);
+  }
+
+  function insertPromptText(text) {
+    setFillingPrompt(null);
     setInput(text);
     queueMicrotask(() => inputRef.current?.focus());
   }
 
+  function pickSlashItem(item) {
+    setSlashIndex(0);
+    if (item.kind === "prompt") {
+      setInput("");
+      handlePromptUse(item.prompt);
+      return;
+    }
+    insertPromptText(item.insert);
+  }
+
   useEffect(() => {
-    // Keep local state in sync with localStorage-backed config.
+    // Keep local state in sync with the stored config.
     setBrainCfg(getBrainConfig());
   }, []);
 
+  useEffect(
+    () =>
+      onStorageChange((changed) => {
+        // Another tab saved something; storage has already merged it into the cache.
+        if (changed.has("chats")) {
+          const fresh = loadChatSessions(WELCOME_MESSAGES);
+          setSessionState((prev) => ({
+            ...fresh,
+            // Which chat is open stays a per-tab choice.
+            activeId: fresh.chats.some((c) => c.id === prev.activeId) ? prev.activeId : fresh.activeId,
+          }));
+        }
+        if (changed.has("prompts")) setPrompts(loadPrompts());
+        if (changed.has("brainConfig")) setBrainCfg(getBrainConfig());
+      }),
+    []
+  );
+
   useEffect(() => {
     // When active chat changes, load its messages.
     const current = sessionState.chats.find((c) => c.id === sessionState.activeId);
-    const nextMessages = current?.messages || WELCOME_MESSAGES;
-    setMessages((prev) => (prev === nextMessages ? prev : nextMessages));
+    // The stored copy lacks a streaming reply's bubble (see below); that still counts as the same thread.
+    // A copy another tab changed is taken as saved, plus that bubble so the reply keeps streaming into it.
+    setThread((prev) => {
+      if (current && (sameThread(prev, current) || sameThread(settledThread(prev), current))) return prev;
+      return current ? withPending(threadOf(current), prev) : threadOf(current);
+    });
 
     const eff = current?.settings?.thinkingEffort;
     setThinkingEffort(eff === "extended" ? "extended" : eff === null ? null : "standard");
     setThinkingMenuOpen(false);
   }, [sessionState.activeId, sessionState.chats]);
 
+  useEffect(() => {
+    setChatSettingsDraft(null);
+  }, [sessionState.activeId]);
+
   useEffect(() => {
     if (!thinkingMenuOpen) return;
 
@@ -219,36 +652,67 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
   useEffect(() => {
     if (!genStatus.active) return;
 
+    // Percent comes from streamed tokens (see trackGeneration); this only ticks the clock.
     const startedAt = genStatus.startedAt || Date.now();
     const id = setInterval(() => {
       const elapsedMs = Date.now() - startedAt;
-      const t = elapsedMs / 1000;
-      // Indeterminate-but-informative progress: rise to 90% and wait for completion.
-      const rise = Math.min(0.9, 1 - Math.exp(-t / 2.4));
-      const wobble = 0.015 * Math.sin(t * 2.2);
-      const percent = Math.max(1, Math.min(90, Math.floor((rise + wobble) * 100)));
-      setGenStatus((prev) => (prev.active ? { ...prev, percent, elapsedMs } : prev));
+      setGenStatus((prev) => (prev.active ? { ...prev, elapsedMs } : prev));
     }, 160);
 
     return () => clearInterval(id);
   }, [genStatus.active, genStatus.startedAt]);
 
-  function startGenerating() {
-    setGenStatus({ active: true, startedAt: Date.now(), percent: 1, elapsedMs: 0 });
+  function startGenerating(numPredict, effort) {
+    setGenStatus({ active: true, startedAt: Date.now(), percent: 0, elapsedMs: 0, tokens: 0, numPredict, effort });
   }
 
   function stopGenerating() {
-    setGenStatus((prev) => ({ ...prev, active: false, percent: 0, elapsedMs: 0 }));
+    abortRef.current = null;
+    setGenStatus((prev) => ({ ...prev, active: false, percent: 0, elapsedMs: 0, tokens: 0 }));
   }
 
-  function persistThinking(nextEffort) {
-    setThinkingEffort(nextEffort);
+  function cancelGeneration() {
+    abortRef.current?.abort();
+  }
+
+  useEffect(() => {
+    // Don't leave a request streaming into an unmounted chat.
+    return () => abortRef.current?.abort();
+  }, []);
+
+  /**
+   * Builds an onToken handler that grows the pending bubble and drives the progress bar
+   * from real token counts. UI updates are throttled so long replies don't re-render on
+   * every single token; the chat is saved once the reply settles (see the thread effect).
+   */
+  const trackGeneration = useCallback(
+    (pendingId, setChatMessages = setMessages) => {
+      let lastFlush = 0;
+      return (token, { text, tokens, numPredict, done }) => {
+        const now = Date.now();
+        if (!done && now - lastFlush < 80) return;
+        lastFlush = now;
+
+        const percent = done ? 100 : Math.max(1, Math.min(99, Math.floor((tokens / Math.max(1, numPredict)) * 100)));
+        setGenStatus((prev) => (prev.active ? { ...prev, percent, tokens, numPredict } : prev));
+        setChatMessages((prev) => prev.map((m) => (m.id === pendingId ? { ...m, text } : m)));
+      };
+    },
+    [setMessages]
+  );
+
+  function persistChatSettings(patch) {
     setSessionState((prev) => {
       if (!prev?.activeId) return prev;
-      return updateChatSettings(prev, prev.activeId, { thinkingEffort: nextEffort });
+      return updateChatSettings(prev, prev.activeId, patch);
     });
   }
 
+  function persistThinking(nextEffort) {
+    setThinkingEffort(nextEffort);
+    persistChatSettings({ thinkingEffort: nextEffort });
+  }
+
   function applyThinkingCommand(text, time) {
     const t = String(text || "").trim();
     if (!t) return { handled: false };
@@ -276,12 +740,16 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
   }
 
   useEffect(() => {
-    // Persist message updates for the active chat.
+    // Persist message-tree updates for the active chat. A pending (streaming) bubble isn't
+    // saved, so flushes that only grow it write nothing; the finished reply is saved once.
+    const settled = settledThread(thread);
     setSessionState((prev) => {
       if (!prev?.activeId) return prev;
-      return updateChatMessages(prev, prev.activeId, messages);
+      const current = prev.chats.find((c) => c.id === prev.activeId);
+      if (current && sameThread(current, settled)) return prev;
+      return updateChatThread(prev, prev.activeId, settled);
     });
-  }, [messages]);
+  }, [thread]);
 
   useEffect(() => {
     let cancelled = false;
@@ -315,6 +783,11 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
 
   const showOllamaUnavailableHint = ollamaModelsStatus === "error" || !ollamaModels.length;
 
+  const handleModelsChanged = useCallback((names) => {
+    setOllamaModels(names);
+    setOllamaModelsStatus("ready");
+  }, []);
+
   const modelOptions = useMemo(() => {
     const unique = Array.from(new Set(ollamaModels));
     unique.sort((a, b) => a.localeCompare(b));
@@ -324,7 +797,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
   function newChat() {
     const next = createChat(sessionState, WELCOME_MESSAGES);
     setSessionState(next);
-    setMessages(next.chats.find((c) => c.id === next.activeId)?.messages || WELCOME_MESSAGES);
+    setThread(threadOf(next.chats.find((c) => c.id === next.activeId)));
   }
 
   function pickChat(id) {
@@ -332,10 +805,27 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
     setSessionState(next);
   }
 
+  function updateMeta(id, patch) {
+    setSessionState((prev) => updateChatMeta(prev, id, patch));
+  }
+
+  // Search hit → open that chat on the branch containing the message and scroll to it.
+  function jumpToMessage(chatId, msgId) {
+    const chat = sessionState.chats.find((c) => c.id === chatId);
+    if (!chat || sendingRef.current) return;
+    const next = setActiveChat(updateChatThread(sessionState, chatId, revealMessage(threadOf(chat), msgId)), chatId);
+    setSessionState(next);
+    setThread(threadOf(next.chats.find((c) => c.id === chatId)));
+    jumpingRef.current = true;
+    setFocusedMessageId(msgId);
+  }
+
   function removeChat(id) {
+    // Nowhere left for its reply to go.
+    if (sendingRef.current === id) cancelGeneration();
     const next = deleteChat(sessionState, id, WELCOME_MESSAGES);
     setSessionState(next);
-    setMessages(next.chats.find((c) => c.id === next.activeId)?.messages || WELCOME_MESSAGES);
+    setThread(threadOf(next.chats.find((c) => c.id === next.activeId)));
   }
 
   function updateBrain(patch) {
@@ -343,6 +833,64 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
     setBrainCfg(next);
   }
 
+  // Header dropdowns edit the chat's pinned value when there is one, else the global brain config.
+  function changeModel(model) {
+    if (activeChat?.settings?.model) persistChatSettings({ model });
+    else updateBrain({ model, provider: "ollama" });
+  }
+
+  function changeStyle(style) {
+    if (activeChat?.settings?.style) persistChatSettings({ style });
+    else updateBrain({ style });
+  }
+
+  function togglePin(key) {
+    const pinned = Boolean(activeChat?.settings?.[key]);
+    persistChatSettings({ [key]: pinned ? null : chatBrain[key] });
+  }
+
+  function openSampling() {
+    const o = brainCfg.options || {};
+    const draft = { stop: (o.stop || []).join("\n"), keepAlive: brainCfg.keepAlive || "" };
+    OPTION_FIELDS.forEach((f) => {
+      draft[f.key] = o[f.key] === null || o[f.key] === undefined ? "" : String(o[f.key]);
+    });
+    setSamplingDraft(draft);
+  }
+
+  function saveSamplingDraft() {
+    const d = samplingDraft;
+    if (!d) return;
+    const options = { stop: String(d.stop || "").split("\n") };
+    OPTION_FIELDS.forEach((f) => {
+      options[f.key] = d[f.key];
+    });
+    updateBrain({ options, keepAlive: d.keepAlive });
+    setSamplingDraft(null);
+  }
+
+  function resetSampling() {
+    setBrainCfg(resetBrainOptions());
+    setSamplingDraft(null);
+  }
+
+  function openChatSettings() {
+    setChatSettingsDraft({
+      temperature: chatBrain.temperature === null ? "" : String(chatBrain.temperature),
+      systemPrompt: chatBrain.systemPrompt,
+    });
+  }
+
+  function saveChatSettingsDraft() {
+    const d = chatSettingsDraft;
+    if (!d) return;
+    persistChatSettings({
+      temperature: String(d.temperature).trim() === "" ? null : d.temperature,
+      systemPrompt: d.systemPrompt,
+    });
+    setChatSettingsDraft(null);
+  }
+
   function applyBrainCommand(text, time) {
     const trimmed = String(text || "").trim();
 
@@ -352,7 +900,92 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         reply:
           "Brain commands:\n" +
           "• `model <name>` — switch Ollama model (ex: `mistral:latest`)\n" +
-          "• `style claude|neutral` — switch writing style",
+          "• `style claude|neutral` — switch writing style\n" +
+          "• `temp 0.2` · `top_p 0.9` · `top_k 40` · `repeat 1.1` · `seed 42` · `ctx 8192` — sampling (use `off` for default)\n" +
+          '• `stop "###"` / `stop clear` — stop sequences\n' +
+          "• `keep_alive 10m` — how long Ollama keeps the model loaded\n" +
+          "• `options` / `options reset` — show or reset sampling options\n" +
+          "• `models` — open the model manager (pull, delete, inspect, warm)",
+        time,
+      };
+    }
+
+    if (/^models\s*$/i.test(trimmed)) {
+      setShowModelManager(true);
+      return { handled: true, reply: "Opened the model manager.", time };
+    }
+
+    if (/^(?:backup|restore)(?:\s+workspace)?\s*$/i.test(trimmed)) {
+      setShowBackup(true);
+      return { handled: true, reply: "Opened workspace backup & restore.", time };
+    }
+
+    if (/^(?:prompt\s+)?packs?\s*$/i.test(trimmed)) {
+      setShowPromptPacks(true);
+      return { handled: true, reply: "Opened prompt packs (below the chat).", time };
+    }
+
+    if (/^vault\s*$/i.test(trimmed)) {
+      setShowVault(true);
+      return { handled: true, reply: "Opened vault settings.", time };
+    }
+
+    if (/^lock\s*$/i.test(trimmed)) {
+      if (!getVaultStatus().enabled) {
+        return { handled: true, reply: "The vault is off, so there's nothing to lock. Type `vault` to turn it on.", time };
+      }
+      // Let this reply be saved (encrypted) before the chat closes.
+      setTimeout(() => void lockVault(), 0);
+      return { handled: true, reply: "Locking the vault…", time };
+    }
+
+    if (/^options\s*$/i.test(trimmed)) {
+      return { handled: true, reply: `Sampling options: ${describeOptions(getBrainConfig())}`, time };
+    }
+
+    if (/^options\s+reset\s*$/i.test(trimmed)) {
+      const next = resetBrainOptions();
+      setBrainCfg(next);
+      return { handled: true, reply: "Sampling options reset to model defaults.", time };
+    }
+
+    const mOpt = trimmed.match(/^(temp|temperature|top_?p|top_?k|repeat(?:_penalty)?|seed|ctx|num_ctx)\s+(\S+)\s*$/i);
+    if (mOpt) {
+      const key = OPTION_ALIASES[mOpt[1].toLowerCase()];
+      const raw = mOpt[2].toLowerCase();
+      const reset = /^(off|default|auto|random|none)$/.test(raw);
+      if (!reset && !Number.isFinite(Number(raw))) {
+        return { handled: true, reply: `\`${key}\` needs a number (or \`off\`).`, time };
+      }
+      const next = setBrainConfig({ options: { [key]: reset ? null : raw } });
+      setBrainCfg(next);
+      const value = next.options[key];
+      return { handled: true, reply: `**${key}** ${value === null ? "reset to model default" : `set to **${value}**`}.`, time };
+    }
+
+    const mStop = trimmed.match(/^stop\s+(?:"(.+)"|(clear|none))\s*$/i);
+    if (mStop) {
+      const prev = getBrainConfig();
+      const stop = mStop[2] ? [] : [...prev.options.stop, mStop[1]];
+      const next = setBrainConfig({ options: { stop } });
+      setBrainCfg(next);
+      return {
+        handled: true,
+        reply: next.options.stop.length
+          ? `Stop sequences: ${next.options.stop.map((x) => `\`${x}\``).join(", ")}`
+          : "Stop sequences cleared.",
+        time,
+      };
+    }
+
+    const mKeep = trimmed.match(/^keep[_ ]?alive\s+(\S+)\s*$/i);
+    if (mKeep) {
+      const raw = mKeep[1].toLowerCase();
+      const next = setBrainConfig({ keepAlive: /^(off|default)$/.test(raw) ? "" : raw });
+      setBrainCfg(next);
+      return {
+        handled: true,
+        reply: next.keepAlive ? `keep_alive set to **${next.keepAlive}**.` : "keep_alive reset to the server default.",
         time,
       };
     }
@@ -413,40 +1046,115 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
     };
   }
 
-  function handleExportLearned(time) {
-    const learned = loadLearnedTerms();
-    const blob = new Blob([JSON.stringify(learned, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `toastyMills-learned-${new Date().toISOString().slice(0, 10)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-
-    setMessages((prev) => [
-      ...prev,
-      {
-        id: `b-${Date.now() + 8}`,
-        role: "assistant",
-        text: `Exported ${learned.length} learned term${learned.length === 1 ? "" : "s"} to a JSON download.`,
-        time,
-      },
-    ]);
+  const handleExportLearned = useCallback(
+    (time) => {
+      const learned = loadLearnedTerms();
+      downloadText(
+        `toastyMills-learned-${new Date().toISOString().slice(0, 10)}.json`,
+        JSON.stringify(learned, null, 2),
+        "application/json"
+      );
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: `b-${Date.now() + 8}`,
+          role: "assistant",
+          text: `Exported ${learned.length} learned term${learned.length === 1 ? "" : "s"} to a JSON download.`,
+          time,
+        },
+      ]);
+    },
+    [setMessages]
+  );
+
+  /**
+   * Downloads chats as md (active branch), html (active branch) or json (everything).
+   * Returns the number of chats written.
+   */
+  const exportChats = useCallback(
+    (chatIds, format) => {
+      const chats = sessionState.chats.filter((c) => chatIds.includes(c.id));
+      if (!chats.length) return 0;
+      const text =
+        format === "json"
+          ? chatsToJson(chats)
+          : format === "html"
+          ? chatsToHtml(chats, { skipIds: WELCOME_IDS })
+          : chatsToMarkdown(chats, { skipIds: WELCOME_IDS });
+      downloadText(exportFileName(chats, format), text, EXPORT_TYPES[format]);
+      return chats.length;
+    },
+    [sessionState.chats]
+  );
+
+  function handleImportChats(text) {
+    try {
+      const result = importChats(sessionState, parseChatsJson(text));
+      setSessionState(result.state);
+      const parts = [];
+      if (result.added) parts.push(`${result.added} new chat${result.added === 1 ? "" : "s"}`);
+      if (result.merged) parts.push(`${result.merged} merged`);
+      return `Imported ${parts.join(", ") || "nothing"} (${result.newMessages} new message${result.newMessages === 1 ? "" : "s"}).`;
+    } catch (e) {
+      return `Import failed: ${e instanceof Error ? e.message : String(e)}`;
+    }
   }
 
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  useEffect(() => {
+    activeIdRef.current = sessionState.activeId;
+  }, [sessionState.activeId]);
+
   // Auto-scroll to latest message
   useEffect(() => {
+    // A search jump scrolls to its own target instead.
+    if (jumpingRef.current) {
+      jumpingRef.current = false;
+      return;
+    }
     bottomRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
+  useEffect(() => {
+    if (!focusedMessageId) return;
+    jumpingRef.current = false;
+    const el = Array.from(messagesBoxRef.current?.querySelectorAll("[data-msg-id]") || []).find(
+      (node) => node.dataset.msgId === focusedMessageId
+    );
+    el?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+    const t = setTimeout(() => setFocusedMessageId(null), 2400);
+    return () => clearTimeout(t);
+  }, [focusedMessageId]);
+
+  /**
+   * Sends a message. Options are used by edit/regenerate:
+   *   edited          → marks the user bubble as edited
+   *   regenerate      → the user turn is already the active leaf; only add a new reply
+   *   model, thinkingEffort → one-off overrides for this reply only
+   */
   const send = useCallback(
-    async (text) => {
+    async (text, { edited = false, regenerate = false, model: modelOverride, thinkingEffort: effortOverride } = {}) => {
       const trimmed = (text || input).trim();
-      if (!trimmed) return;
+      if (!trimmed || sendingRef.current) return;
+      const effort = effortOverride === undefined ? thinkingEffort : effortOverride;
+
+      // Everything below posts to the chat this was sent from, even if another one is open by then.
+      const chatId = sessionState.activeId;
+      const setChatMessages = chatMessagesSetter(chatId);
+      sendingRef.current = chatId;
+      setSending(true);
+      // Stop, deleting this chat or unmounting aborts every Ollama call below (router, auto-learn, reply).
+      const controller = new AbortController();
+      abortRef.current = controller;
+      const signal = controller.signal;
 
       const risk = assessRisk(trimmed);
+      // Earlier turns of this chat, captured before the new message is appended.
+      const history = toChatHistory(regenerate ? messagesRef.current.slice(0, -1) : messagesRef.current);
 
       const time = new Date().toLocaleTimeString([], {
         hour: "2-digit",
@@ -458,17 +1166,21 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         role: "user",
         text: trimmed,
         time,
+        ...(edited ? { edited: true } : {}),
       };
 
-      setMessages((prev) => [...prev, userMsg]);
-      setMessages((prev) => (prev.length > MAX_MESSAGES ? prev.slice(-MAX_MESSAGES) : prev));
-      setInput("");
+      if (!regenerate) {
+        setChatMessages((prev) => [...prev, userMsg]);
+        setChatMessages((prev) => (prev.length > MAX_MESSAGES ? prev.slice(-MAX_MESSAGES) : prev));
+      }
+      // Edits and regenerations pass their own text; leave whatever is in the composer alone.
+      if (text === undefined) setInput("");
 
       try {
         {
           const thinkCmd = applyThinkingCommand(trimmed, time);
           if (thinkCmd.handled) {
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               { id: `b-${Date.now() + 40}`, role: "assistant", text: thinkCmd.reply, time },
             ]);
@@ -479,7 +1191,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         {
           const brainCmd = applyBrainCommand(trimmed, time);
           if (brainCmd.handled) {
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               { id: `b-${Date.now() + 41}`, role: "assistant", text: brainCmd.reply, time },
             ]);
@@ -488,14 +1200,15 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         }
 
         if (/^clear\s+chat\s*$/i.test(trimmed)) {
-          setMessages(WELCOME_MESSAGES);
-          setMessages((prev) => [...prev, { id: `b-${Date.now() + 20}`, role: "assistant", text: "Chat cleared.", time }]);
+          // Clearing drops every branch, not just the visible one.
+          setThread(linearThread(WELCOME_MESSAGES));
+          setChatMessages((prev) => [...prev, { id: `b-${Date.now() + 20}`, role: "assistant", text: "Chat cleared.", time }]);
           return;
         }
 
         if (/^clear\s+learned\s*$/i.test(trimmed)) {
           if (typeof onClearLearned === "function") onClearLearned();
-          setMessages((prev) => [
+          setChatMessages((prev) => [
             ...prev,
             { id: `b-${Date.now() + 21}`, role: "assistant", text: "Cleared learned terms on this machine.", time },
           ]);
@@ -503,7 +1216,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         }
 
         if (/^bridge\s+help\s*$/i.test(trimmed)) {
-          setMessages((prev) => [
+          setChatMessages((prev) => [
             ...prev,
             {
               id: `b-${Date.now() + 10}`,
@@ -524,7 +1237,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
           if (mLookup) {
             const query = mLookup[1].trim();
             const r = await rigLookup(query, { engine: "define", chrome: true });
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `b-${Date.now() + 11}`,
@@ -547,7 +1260,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
                   ...rows.map((x) => `• ${x.path}${x.snippet ? `\n  ${x.snippet}` : ""}`),
                 ].join("\n")
               : `No local matches for **${query}**.`;
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               { id: `b-${Date.now() + 12}`, role: "assistant", text, time },
             ]);
@@ -556,7 +1269,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
 
           if (/^clear\s+local\s+logs\s*$/i.test(trimmed)) {
             await rigClear("learn");
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               { id: `b-${Date.now() + 13}`, role: "assistant", text: "Cleared local rig logs.", time },
             ]);
@@ -569,11 +1282,27 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
           return;
         }
 
+        {
+          // export chat [md|json|html] · export all chats [md|json|html]
+          const m = trimmed.match(/^export\s+(all\s+chats|chat)(?:\s+(?:as\s+)?(\w+))?\s*$/i);
+          if (m) {
+            const all = /^all/i.test(m[1]);
+            const format = m[2] ? normalizeFormat(m[2]) : all ? "json" : "md";
+            const text = !format
+              ? "Export formats: `md`, `json` or `html` — e.g. `export chat html`."
+              : `Exported ${exportChats(all ? sessionState.chats.map((c) => c.id) : [sessionState.activeId], format)} chat(s) as ${format.toUpperCase()}.${
+                  format === "json" ? " Import it from the sidebar (⇪) on another machine." : ""
+                }`;
+            setChatMessages((prev) => [...prev, { id: `b-${Date.now() + 14}`, role: "assistant", text, time }]);
+            return;
+          }
+        }
+
         // Local learning command (no Ollama required)
         const learn = parseLearnCommand(trimmed);
         if (learn) {
           if (learn.kind === "help") {
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `b-${Date.now() + 1}`,
@@ -581,7 +1310,9 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
                 text:
                   "Learning commands:\n" +
                   "• learn word | category | definition | synonyms,comma | antonyms,comma\n" +
-                  "• learn json { ...term }  (or an array of terms)",
+                  "• learn json { ...term }  (or an array of terms)\n" +
+                  "  A term may also have partOfSpeech, ipa, register, usage and senses:\n" +
+                  '  [{ "definition": "...", "examples": ["..."], "synonyms": ["..."] }, ...]',
                 time,
               },
             ]);
@@ -606,7 +1337,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
               count += 1;
             }
 
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `b-${Date.now() + 2}`,
@@ -622,7 +1353,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             const add = typeof onLearnTerm === "function" ? onLearnTerm : null;
             if (!add) throw new Error("Learning is not wired (missing onLearnTerm).");
             add(learn.term);
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `b-${Date.now() + 2}`,
@@ -644,13 +1375,17 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
           const remote = isOllamaRemote(baseUrl);
           if (!(remote && risk.level === "high")) {
             try {
-              const brain = getBrainConfig();
-              const routed = await llmRouteToCommand(risk.redactedText, terms, { model: brain.model, baseUrl });
+              const routerBrain = resolveChatBrain(activeChat, getBrainConfig());
+              const routed = await llmRouteToCommand(risk.redactedText, terms, {
+                model: routerBrain.model,
+                baseUrl,
+                signal,
+              });
               if (routed?.command && (routed.confidence ?? 0) >= 0.55) {
                 intent = detectIntent(routed.command);
                 if (intent) {
                   const replyText = generateReply(routed.command, terms);
-                  setMessages((prev) => {
+                  setChatMessages((prev) => {
                     const botMsg = {
                       id: `b-${Date.now() + 4}`,
                       role: "assistant",
@@ -663,7 +1398,8 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
                   return;
                 }
               }
-            } catch {
+            } catch (routeErr) {
+              if (routeErr?.name === "AbortError") throw routeErr;
               // best-effort; fall through
             }
           }
@@ -681,7 +1417,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             if (suggestion && suggestion !== trimmed) {
               lines.push(`Suggestion: ${suggestion}`);
             }
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `g-${Date.now() + 5}`,
@@ -695,10 +1431,14 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
 
         // Keep the original local-first behavior for supported commands.
         if (intent) {
+          let replyTerms = terms;
+
           // If the user is trying to define a word we don't have, optionally learn it.
           if (intent.id === "define") {
             const w = String(intent.params?.word || "").trim().toLowerCase();
-            const exists = terms.some((t) => String(t.word || "").trim().toLowerCase() === w);
+            const exists = terms.some(
+              (t) => String(t.word || "").trim().toLowerCase() === w || t.aliases?.includes(w)
+            );
             if (!exists) {
               logUnknownQuestion(trimmed);
 
@@ -706,7 +1446,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
               if (AUTO_LOOKUP_DEFINE && isRigBridgeEnabled()) {
                 try {
                   await rigLookup(`meaning of ${w}`, { engine: "define", chrome: true });
-                  setMessages((prev) => [
+                  setChatMessages((prev) => [
                     ...prev,
                     {
                       id: `b-${Date.now() + 22}`,
@@ -727,49 +1467,57 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
                   text: "Learning…",
                   time,
                 };
-                setMessages((prev) => [...prev, thinkingMsg]);
-
-                const prompt = [
-                  "Create ONE new dictionary entry as STRICT JSON (no markdown, no extra text).",
-                  "Schema:",
-                  "{\"word\":string,\"definition\":string,\"category\":string,\"synonyms\":string[],\"antonyms\":string[]}",
-                  "Rules:",
-                  "- Use lowercase for word/synonyms/antonyms.",
-                  "- Keep definition short (1-2 sentences).",
-                  "- If unsure, set category to 'misc' and leave lists empty.",
-                  "",
-                  `WORD: ${w}`,
-                ].join("\n");
-
-                const json = await ollamaGenerate(prompt);
-                const term = JSON.parse(json);
-                if (typeof onLearnTerm === "function") onLearnTerm(term);
-
-                setMessages((prev) => prev.filter((m) => m.id !== thinkingMsg.id));
+                setChatMessages((prev) => [...prev, thinkingMsg]);
+
+                const learnBrain = resolveChatBrain(activeChat, getBrainConfig());
+                try {
+                  const term = await llmDraftTerm(w, {
+                    model: learnBrain.model,
+                    baseUrl: getOllamaConfig().baseUrl,
+                    signal,
+                  });
+                  if (typeof onLearnTerm === "function") onLearnTerm(term);
+                  replyTerms = mergeTerms(terms, [term]);
+                  setChatMessages((prev) => prev.filter((m) => m.id !== thinkingMsg.id));
+                } catch (learnErr) {
+                  if (learnErr?.name === "AbortError") {
+                    setChatMessages((prev) => prev.filter((m) => m.id !== thinkingMsg.id));
+                    throw learnErr;
+                  }
+                  const why = learnErr instanceof Error ? learnErr.message : String(learnErr);
+                  setChatMessages((prev) =>
+                    prev.map((m) =>
+                      m.id === thinkingMsg.id
+                        ? { ...m, role: "system", text: `Couldn't learn **${w}** automatically (${why}).` }
+                        : m
+                    )
+                  );
+                }
               }
             }
           }
 
-          const replyText = generateReply(trimmed, terms);
+          const replyText = generateReply(trimmed, replyTerms);
           const botMsg = {
             id: `b-${Date.now() + 1}`,
             role: "assistant",
             text: replyText,
             time,
           };
-          setMessages((prev) => {
+          setChatMessages((prev) => {
             const next = [...prev, botMsg];
             return next.length > MAX_MESSAGES ? next.slice(-MAX_MESSAGES) : next;
           });
           return;
         }
 
-        const brain = getBrainConfig();
+        const brain = { ...getBrainConfig(), ...resolveChatBrain(activeChat, getBrainConfig()) };
+        if (modelOverride) brain.model = modelOverride;
 
         // Optional: if Ollama is enabled and selected, use it for non-command inputs.
         if (brain.provider === "ollama" && isOllamaEnabled()) {
           if (/-cloud\b/i.test(brain.model)) {
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `b-${Date.now() + 31}`,
@@ -786,7 +1534,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
 
           // Hard safety: never send high-risk text to remote endpoints.
           if (remote && risk.level === "high") {
-            setMessages((prev) => [
+            setChatMessages((prev) => [
               ...prev,
               {
                 id: `b-${Date.now() + 30}`,
@@ -798,17 +1546,24 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             return;
           }
 
+          const numPredict = effort === "extended" ? 1400 : effort === "standard" ? 850 : 450;
           const thinkingMsg = {
             id: `t-${Date.now() + 2}`,
             role: "assistant",
             text: "💭 Thinking…",
             time,
+            pending: true,
           };
-          setMessages((prev) => [...prev, thinkingMsg]);
-          startGenerating();
-
-          const context = terms
-            .map((t) => `${t.word}: ${t.definition} (synonyms: ${t.synonyms.join(", ")}; antonyms: ${t.antonyms.join(", ")})`)
+          setChatMessages((prev) => [...prev, thinkingMsg]);
+          startGenerating(numPredict, effort);
+          const onToken = trackGeneration(thinkingMsg.id, setChatMessages);
+
+          // Only the terms this message is about: the full list (with packs, 100k+ words) would swamp the window.
+          const context = relevantTerms(trimmed, terms, MAX_CONTEXT_TERMS)
+            .map((t) => {
+              const related = `synonyms: ${t.synonyms.slice(0, 12).join(", ")}; antonyms: ${t.antonyms.slice(0, 12).join(", ")}`;
+              return `${t.word}: ${t.definition.slice(0, MAX_CONTEXT_DEFINITION)} (${related})`;
+            })
             .join("\n");
 
           // Optional local retrieval (RAG) from your machine via the rig bridge.
@@ -841,19 +1596,20 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             : "Tone: concise and neutral.";
 
           const effortLine =
-            thinkingEffort === "extended"
+            effort === "extended"
               ? "Reasoning effort: EXTENDED. Spend extra effort to be correct. Check edge cases. Output only the final answer."
-              : thinkingEffort === "standard"
+              : effort === "standard"
               ? "Reasoning effort: STANDARD. Be correct and clear. Output only the final answer."
               : "Reasoning effort: OFF. Keep it short and direct. Output only the final answer.";
 
-          const prompt = [
+          const system = [
             "You are ToastyMills, a local-first vocabulary assistant.",
             "Write in clear, correct English.",
             "If the user message is fragmented, propose a corrected version before answering (1 line).",
             "Use ONLY the provided context for factual claims.",
             "If you do not have enough evidence, say what you can infer and what you cannot.",
             "If the user request is ambiguous, ask ONE short clarifying question and stop.",
+            "Earlier turns of this conversation follow; use them to resolve follow-ups like \"the second one\".",
             styleLine,
             effortLine,
             HUMOR_MODE ? "If the user is joking, reply lightly (no sarcasm), but stay helpful." : "",
@@ -861,18 +1617,32 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             risk.level !== "low" ? `Privacy: the user message may contain personal info; treat placeholders like [REDACTED_*] as redacted.` : "",
             "",
             "REFERENCE CONTEXT:",
-            context,
+            context || "(no dictionary terms mentioned)",
             localSnippets ? "\nLOCAL FILE SNIPPETS (system-only):\n" + localSnippets : "",
             connectionsText ? "\nIDEA CONNECTIONS (thesaurus graph):\n" + connectionsText : "",
-            "",
-            "USER:",
-            risk.redactedText,
+            brain.systemPrompt ? "\nINSTRUCTIONS FOR THIS CHAT:\n" + brain.systemPrompt : "",
           ].filter(Boolean).join("\n");
 
+          // A chat-pinned temperature wins over the global default.
+          const options = brain.temperature === null ? brain.options : { ...brain.options, temperature: brain.temperature };
+
+          const chatMessages = [
+            { role: "system", content: system },
+            ...history,
+            { role: "user", content: risk.redactedText },
+          ];
+
           let reply;
           try {
-            const numPredict = thinkingEffort === "extended" ? 1400 : thinkingEffort === "standard" ? 850 : 450;
-            reply = await ollamaGenerate(prompt, { model: brain.model, baseUrl, numPredict });
+            reply = await ollamaChat(chatMessages, {
+              model: brain.model,
+              baseUrl,
+              numPredict,
+              options,
+              keepAlive: brain.keepAlive,
+              onToken,
+              signal,
+            });
           } catch (e) {
             const msg = e instanceof Error ? e.message : String(e);
             const modelRelated = /model/i.test(msg) && /(not found|pull|unknown)/i.test(msg);
@@ -882,12 +1652,25 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             let recovered = false;
             for (const m of fallbacks) {
               try {
-                const numPredict = thinkingEffort === "extended" ? 1400 : thinkingEffort === "standard" ? 850 : 450;
-                reply = await ollamaGenerate(prompt, { model: m, baseUrl, numPredict });
-                setBrainConfig({ provider: "ollama", model: m });
+                reply = await ollamaChat(chatMessages, {
+                  model: m,
+                  baseUrl,
+                  numPredict,
+                  options,
+                  keepAlive: brain.keepAlive,
+                  onToken,
+                  signal,
+                });
+                brain.model = m;
+                // A one-off regenerate model shouldn't rewrite the chat or global choice.
+                if (!modelOverride) {
+                  if (activeChat?.settings?.model) persistChatSettings({ model: m });
+                  else setBrainConfig({ provider: "ollama", model: m });
+                }
                 recovered = true;
                 break;
-              } catch {
+              } catch (fallbackErr) {
+                if (fallbackErr?.name === "AbortError") throw fallbackErr;
                 // try next
               }
             }
@@ -898,9 +1681,10 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             role: "assistant",
             text: reply || "(No response)",
             time,
+            model: brain.model,
           };
 
-          setMessages((prev) => {
+          setChatMessages((prev) => {
             const next = prev.filter((m) => m.id !== thinkingMsg.id).concat(botMsg);
             return next.length > MAX_MESSAGES ? next.slice(-MAX_MESSAGES) : next;
           });
@@ -919,7 +1703,7 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
           text: replyText,
           time,
         };
-        setMessages((prev) => {
+        setChatMessages((prev) => {
           const next = [...prev, botMsg];
           return next.length > MAX_MESSAGES ? next.slice(-MAX_MESSAGES) : next;
         });
@@ -927,15 +1711,33 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         const msg = err instanceof Error ? err.message : String(err);
         stopGenerating();
 
+        // User pressed Stop: keep whatever was streamed so far in place of the pending bubble.
+        if (err?.name === "AbortError") {
+          setChatMessages((prev) =>
+            prev.map((m) =>
+              m.pending
+                ? {
+                    id: `s-${Date.now() + 7}`,
+                    role: "assistant",
+                    text: err.partialText || "(Stopped before any reply)",
+                    time,
+                    stopped: true,
+                  }
+                : m
+            )
+          );
+          return;
+        }
+
         // Keep failures seamless: avoid scary error dumps for optional components.
         const isOllamaError = /Ollama request failed|fetch failed|Failed to fetch|ECONNREFUSED|ETIMEDOUT/i.test(msg);
         if (isOllamaError) {
           const modelHint = /model/i.test(msg)
-            ? "Tip: your selected model may not be installed. Try `model mistral:latest` (or run `ollama list`)."
+            ? "Tip: your selected model may not be installed. Open **🧰 Models** (or type `models`) to pull it, or try `model mistral:latest`."
             : "Tip: make sure Ollama is running locally on http://localhost:11434.";
 
-          setMessages((prev) => [
-            ...prev.filter((m) => m.role !== "assistant" || m.text !== "💭 Thinking…"),
+          setChatMessages((prev) => [
+            ...prev.filter((m) => !m.pending),
             {
               id: `e-${Date.now() + 9}`,
               role: "assistant",
@@ -946,8 +1748,8 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
           return;
         }
 
-        setMessages((prev) => [
-          ...prev,
+        setChatMessages((prev) => [
+          ...prev.filter((m) => !m.pending),
           {
             id: `e-${Date.now() + 9}`,
             role: "assistant",
@@ -955,121 +1757,378 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
             time,
           },
         ]);
+      } finally {
+        if (abortRef.current === controller) abortRef.current = null;
+        sendingRef.current = null;
+        setSending(false);
       }
     },
-    [input, terms, onLearnTerm, onClearLearned]
+    [
+      input,
+      terms,
+      onLearnTerm,
+      onClearLearned,
+      activeChat,
+      chatMessagesSetter,
+      trackGeneration,
+      handleExportLearned,
+      exportChats,
+      sessionState.activeId,
+      sessionState.chats,
+    ]
   );
 
+  // Moves the active leaf back to `leafIndex` of the visible branch; the old continuation
+  // stays in the tree as a sibling branch.
+  function forkBranchAt(leafIndex) {
+    const list = messagesRef.current;
+    messagesRef.current = list.slice(0, leafIndex + 1);
+    setThread((prev) => forkAt(prev, leafIndex >= 0 ? list[leafIndex].id : null));
+  }
+
+  // Branch edits wait for the whole send (router, auto-learn, reply), not just the streaming part.
+  function editAndResend(msgId, text) {
+    if (sendingRef.current) return;
+    const index = messagesRef.current.findIndex((m) => m.id === msgId);
+    if (index < 0) return;
+    forkBranchAt(index - 1);
+    void send(text, { edited: true });
+  }
+
+  function regenerateReply(msgId, overrides) {
+    if (sendingRef.current) return;
+    const list = messagesRef.current;
+    const index = list.findIndex((m) => m.id === msgId);
+    let userIndex = index - 1;
+    while (userIndex >= 0 && list[userIndex].role !== "user") userIndex--;
+    if (index < 0 || userIndex < 0) return;
+    // The new reply becomes a sibling of the old one under the same user turn.
+    forkBranchAt(userIndex);
+    void send(list[userIndex].text, { ...overrides, regenerate: true });
+  }
+
+  function switchBranch(msgId, delta) {
+    if (sendingRef.current) return;
+    setThread((prev) => switchSibling(prev, msgId, delta));
+  }
+
+  function redactMessage(msgId, redactedText) {
+    const original = thread.messages.find((m) => m.id === msgId);
+    if (!original || sendingRef.current) return;
+    const next = {
+      ...thread,
+      messages: thread.messages.map((m) => {
+        if (m.id === msgId) return { ...m, text: redactedText, redacted: true };
+        // Replies and notes can quote the secret back (e.g. the English check), so scrub them too.
+        if (m.parentId !== msgId || m.role === "user") return m;
+        const scrubbed = assessRisk(m.text).redactedText;
+        return scrubbed === m.text ? m : { ...m, text: scrubbed, redacted: true };
+      }),
+    };
+    // Save thread and title together so the chat-switch effect doesn't reload the old messages.
+    setSessionState((prev) => {
+      const saved = updateChatThread(prev, prev.activeId, next);
+      // An automatic title copied from this message would still hold the secret.
+      return activeChat?.title === String(original.text).trim().slice(0, 42)
+        ? updateChatMeta(saved, prev.activeId, { title: redactedText.trim().slice(0, 42) })
+        : saved;
+    });
+    setThread(next);
+  }
+
   function handleSubmit(e) {
     e.preventDefault();
     void send();
   }
 
   function handleComposerKeyDown(e) {
+    if (slashItems.length) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setSlashIndex((slashActive + step + slashItems.length) % slashItems.length);
+        return;
+      }
+      if ((e.key === "Enter" && !e.shiftKey) || e.key === "Tab") {
+        e.preventDefault();
+        pickSlashItem(slashItems[slashActive]);
+        return;
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        setSlashDismissed(true);
+        return;
+      }
+    }
+
     // Enter sends; Shift+Enter inserts a newline.
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
-      void send();
+      if (!sending) void send();
     }
   }
 
   return (
     <div className={styles.shell}>
       {/* Left chats list */}
-      <aside className={styles.sidebar}>
-        <div className={styles.sidebarHeader}>
-          <div className={styles.sidebarTitle}>Chats</div>
-          <button className={styles.sidebarNewBtn} type="button" onClick={newChat}>
-            +
-          </button>
-        </div>
-
-        <div className={styles.chatList}>
-          {sessionState.chats
-            .slice()
-            .sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")))
-            .map((c) => (
-              <div
-                key={c.id}
-                className={`${styles.chatRow}${c.id === sessionState.activeId ? ` ${styles.chatRowActive}` : ""}`}
-              >
-                <button
-                  type="button"
-                  className={styles.chatPick}
-                  onClick={() => pickChat(c.id)}
-                  title={c.title}
-                >
-                  {c.title || "New chat"}
-                </button>
-                <button
-                  type="button"
-                  className={styles.chatDelete}
-                  onClick={() => removeChat(c.id)}
-                  aria-label="Delete chat"
-                  title="Delete"
-                >
-                  ×
-                </button>
-              </div>
-            ))}
-        </div>
-      </aside>
+      <ChatSidebar
+        chats={sessionState.chats}
+        activeId={sessionState.activeId}
+        skipIds={WELCOME_IDS}
+        onNew={newChat}
+        onPick={pickChat}
+        onDelete={removeChat}
+        onUpdateMeta={updateMeta}
+        onJump={jumpToMessage}
+        onExport={(id, format) => exportChats([id], format)}
+        onExportAll={() => exportChats(sessionState.chats.map((c) => c.id), "json")}
+        onImport={handleImportChats}
+      />
 
       {/* Main chat */}
       <div className={styles.container}>
       {/* Controls (local-only) */}
       <div className={styles.controls}>
         <div className={styles.controlGroup}>
-          <label className={styles.label}>Model</label>
-          <select
-            className={styles.select}
-            value={brainCfg.model}
-            onChange={(e) => updateBrain({ model: e.target.value, provider: "ollama" })}
-            aria-label="Ollama model"
-            disabled={ollamaModelsStatus === "loading"}
-          >
-            {modelOptions.length ? (
-              modelOptions.map((m) => (
-                <option key={m} value={m}>
-                  {m}
+          <label className={styles.label}>{activeChat?.settings?.model ? "Model (this chat)" : "Model"}</label>
+          <div className={styles.controlRow}>
+            <select
+              className={styles.select}
+              value={chatBrain.model}
+              onChange={(e) => changeModel(e.target.value)}
+              aria-label="Ollama model"
+              disabled={ollamaModelsStatus === "loading"}
+            >
+              {modelOptions.length ? (
+                (modelOptions.includes(chatBrain.model) ? modelOptions : [chatBrain.model, ...modelOptions]).map((m) => (
+                  <option key={m} value={m}>
+                    {m}
+                  </option>
+                ))
+              ) : (
+                <option value={chatBrain.model}>
+                  {ollamaModelsStatus === "loading" ? "Loading…" : chatBrain.model}
                 </option>
-              ))
-            ) : (
-              <option value={brainCfg.model}>
-                {ollamaModelsStatus === "loading" ? "Loading…" : brainCfg.model}
-              </option>
-            )}
-          </select>
+              )}
+            </select>
+            <button
+              type="button"
+              className={`${styles.pinBtn}${activeChat?.settings?.model ? ` ${styles.pinBtnActive}` : ""}`}
+              onClick={() => togglePin("model")}
+              aria-pressed={activeChat?.settings?.model ? "true" : "false"}
+              title={activeChat?.settings?.model ? "Unpin (use the global model)" : "Pin this model to this chat"}
+            >
+              📌
+            </button>
+          </div>
         </div>
 
         <div className={styles.controlGroup}>
-          <label className={styles.label}>Style</label>
-          <select
-            className={styles.select}
-            value={brainCfg.style}
-            onChange={(e) => updateBrain({ style: e.target.value })}
-            aria-label="Writing style"
-          >
-            <option value="claude">Claude-like</option>
-            <option value="neutral">Neutral</option>
-          </select>
+          <label className={styles.label}>{activeChat?.settings?.style ? "Style (this chat)" : "Style"}</label>
+          <div className={styles.controlRow}>
+            <select
+              className={styles.select}
+              value={chatBrain.style}
+              onChange={(e) => changeStyle(e.target.value)}
+              aria-label="Writing style"
+            >
+              <option value="claude">Claude-like</option>
+              <option value="neutral">Neutral</option>
+            </select>
+            <button
+              type="button"
+              className={`${styles.pinBtn}${activeChat?.settings?.style ? ` ${styles.pinBtnActive}` : ""}`}
+              onClick={() => togglePin("style")}
+              aria-pressed={activeChat?.settings?.style ? "true" : "false"}
+              title={activeChat?.settings?.style ? "Unpin (use the global style)" : "Pin this style to this chat"}
+            >
+              📌
+            </button>
+          </div>
         </div>
 
+        <button
+          className={styles.newChatBtn}
+          type="button"
+          onClick={() => setShowModelManager((v) => !v)}
+          aria-expanded={showModelManager ? "true" : "false"}
+        >
+          🧰 Models
+        </button>
+
+        <button
+          className={styles.newChatBtn}
+          type="button"
+          onClick={() => setShowBackup((v) => !v)}
+          aria-expanded={showBackup ? "true" : "false"}
+        >
+          💾 Backup
+        </button>
+
+        <button
+          className={styles.newChatBtn}
+          type="button"
+          onClick={() => setShowVault((v) => !v)}
+          aria-expanded={showVault ? "true" : "false"}
+        >
+          🔐 Vault
+        </button>
+
+        <button
+          className={styles.newChatBtn}
+          type="button"
+          onClick={() => (samplingDraft ? setSamplingDraft(null) : openSampling())}
+          aria-expanded={samplingDraft ? "true" : "false"}
+        >
+          🎛 Sampling
+        </button>
+
+        <button
+          className={styles.newChatBtn}
+          type="button"
+          onClick={() => (chatSettingsDraft ? setChatSettingsDraft(null) : openChatSettings())}
+          aria-expanded={chatSettingsDraft ? "true" : "false"}
+        >
+          ⚙ Chat
+        </button>
+
         <button className={styles.newChatBtn} type="button" onClick={newChat}>
           New chat
         </button>
       </div>
 
+      {showModelManager && (
+        <ModelManager
+          currentModel={chatBrain.model}
+          onUseModel={changeModel}
+          onModelsChanged={handleModelsChanged}
+          onClose={() => setShowModelManager(false)}
+        />
+      )}
+
+      {showBackup && (
+        <WorkspaceBackup
+          onDownload={(filename, text) => downloadText(filename, text, "application/json")}
+          onClose={() => setShowBackup(false)}
+        />
+      )}
+
+      {showVault && <VaultPanel onClose={() => setShowVault(false)} />}
+
+      {samplingDraft && (
+        <div className={styles.chatSettings}>
+          <div className={styles.samplingGrid}>
+            {OPTION_FIELDS.map((f) => (
+              <div key={f.key} className={styles.editorRow}>
+                <label className={styles.editorLabel}>{f.label}</label>
+                <input
+                  className={styles.editorInput}
+                  type="number"
+                  step={f.step}
+                  value={samplingDraft[f.key]}
+                  onChange={(e) => setSamplingDraft((prev) => ({ ...prev, [f.key]: e.target.value }))}
+                  placeholder={f.placeholder}
+                />
+              </div>
+            ))}
+            <div className={styles.editorRow}>
+              <label className={styles.editorLabel}>Keep alive</label>
+              <input
+                className={styles.editorInput}
+                value={samplingDraft.keepAlive}
+                onChange={(e) => setSamplingDraft((prev) => ({ ...prev, keepAlive: e.target.value }))}
+                placeholder="5m"
+              />
+            </div>
+          </div>
+          <div className={styles.editorRow}>
+            <label className={styles.editorLabel}>Stop sequences (one per line)</label>
+            <textarea
+              className={styles.editorTextarea}
+              value={samplingDraft.stop}
+              onChange={(e) => setSamplingDraft((prev) => ({ ...prev, stop: e.target.value }))}
+              placeholder="###"
+            />
+          </div>
+          <div className={styles.editorActions}>
+            <button className={styles.editorBtnPrimary} type="button" onClick={saveSamplingDraft}>
+              Save
+            </button>
+            <button className={styles.editorBtn} type="button" onClick={() => setSamplingDraft(null)}>
+              Cancel
+            </button>
+            <button className={styles.editorBtnDanger} type="button" onClick={resetSampling}>
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      )}
+
+      {chatSettingsDraft && (
+        <div className={styles.chatSettings}>
+          <div className={styles.editorRow}>
+            <label className={styles.editorLabel}>Temperature (blank = global sampling setting)</label>
+            <input
+              className={styles.editorInput}
+              type="number"
+              min="0"
+              max="2"
+              step="0.1"
+              value={chatSettingsDraft.temperature}
+              onChange={(e) => setChatSettingsDraft((prev) => ({ ...prev, temperature: e.target.value }))}
+              placeholder="e.g. 0.2"
+            />
+          </div>
+          <div className={styles.editorRow}>
+            <label className={styles.editorLabel}>System prompt for this chat</label>
+            <textarea
+              className={styles.editorTextarea}
+              value={chatSettingsDraft.systemPrompt}
+              onChange={(e) => setChatSettingsDraft((prev) => ({ ...prev, systemPrompt: e.target.value }))}
+              placeholder="e.g. You are a PowerShell expert. Always answer with a script first."
+            />
+          </div>
+          <div className={styles.editorActions}>
+            <button className={styles.editorBtnPrimary} type="button" onClick={saveChatSettingsDraft}>
+              Save
+            </button>
+            <button className={styles.editorBtn} type="button" onClick={() => setChatSettingsDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {showOllamaUnavailableHint && (
         <div className={styles.controlsHint}>
-          Ollama models not detected. Ensure Ollama is running locally (localhost:11434).
+          Ollama models not detected. Ensure Ollama is running locally (localhost:11434), or open 🧰 Models to pull one.
         </div>
       )}
 
       {/* Message thread */}
-      <div className={styles.messages}>
-        {messages.map((msg) => (
-          <Message key={msg.id} msg={msg} />
+      <div className={styles.messages} ref={messagesBoxRef}>
+        {messages.map((msg, i) => (
+          <Message
+            key={msg.id}
+            msg={msg}
+            busy={sending}
+            canEdit={msg.role === "user"}
+            canRegenerate={
+              msg.role === "assistant" &&
+              !msg.pending &&
+              !WELCOME_IDS.has(msg.id) &&
+              messages.slice(0, i).some((m) => m.role === "user")
+            }
+            modelOptions={modelOptions}
+            currentModel={chatBrain.model}
+            currentEffort={thinkingEffort}
+            siblings={siblingsOf(thread, msg.id)}
+            focused={msg.id === focusedMessageId}
+            onEdit={editAndResend}
+            onRegenerate={regenerateReply}
+            onSwitchBranch={switchBranch}
+            onRedact={redactMessage}
+          />
         ))}
         <div ref={bottomRef} />
       </div>
@@ -1078,51 +2137,168 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
       <div className={styles.promptBar}>
         <div className={styles.promptHeaderRow}>
           <div className={styles.promptHeader}>Prompts</div>
-          <button className={styles.promptAddBtn} type="button" onClick={openNewPrompt}>
-            + Add
-          </button>
+          <div className={styles.promptHeaderActions}>
+            <button
+              className={styles.promptAddBtn}
+              type="button"
+              onClick={() => setShowPromptPacks((v) => !v)}
+              aria-expanded={showPromptPacks}
+            >
+              📦 Packs
+            </button>
+            <button className={styles.promptAddBtn} type="button" onClick={openNewPrompt}>
+              + Add
+            </button>
+          </div>
         </div>
 
-        <div className={styles.promptGrid}>
-          {prompts
-            .slice()
-            .sort(
-              (a, b) =>
-                String(a.level || "").localeCompare(String(b.level || "")) ||
-                String(a.title || "").localeCompare(String(b.title || ""))
-            )
-            .map((p) => (
-              <div key={p.id} className={styles.promptCard}>
-                <button type="button" className={styles.promptUse} onClick={() => handlePromptUse(p)} title={p.text}>
-                  <div className={styles.promptAvatar}>
-                    {p.avatarImage ? (
-                      <img className={styles.promptAvatarImg} src={p.avatarImage} alt="" />
-                    ) : (
-                      <span>{String(p.avatarText || initialsFrom(p.title)).slice(0, 3).toUpperCase()}</span>
-                    )}
-                  </div>
-                  <div className={styles.promptMeta}>
-                    <div className={styles.promptTitleRow}>
-                      <span className={styles.promptTitle}>{p.title}</span>
-                      <span className={styles.promptLevel}>{p.level === "intermediate" ? "Intermediate" : "Basic"}</span>
+        {showPromptPacks && (
+          <PromptPacks
+            prompts={prompts}
+            onPromptsChange={setPrompts}
+            onDownload={(filename, text) => downloadText(filename, text, "application/json")}
+            onClose={() => setShowPromptPacks(false)}
+          />
+        )}
+
+        {prompts.length > 0 && (
+          <div className={styles.promptTools}>
+            <input
+              className={styles.promptSearch}
+              value={promptView.query}
+              onChange={(e) => setPromptView((v) => ({ ...v, query: e.target.value }))}
+              placeholder="Filter prompts… (#tag)"
+              aria-label="Filter prompts"
+            />
+            <select
+              className={styles.promptSelect}
+              value={promptView.show}
+              onChange={(e) => setPromptView((v) => ({ ...v, show: e.target.value }))}
+              aria-label="Show prompts"
+            >
+              <option value="all">All</option>
+              <option value="favorites">★ Favorites</option>
+              <option value="basic">Basic</option>
+              <option value="intermediate">Intermediate</option>
+              {promptTags(prompts).map((t) => (
+                <option key={t} value={`#${t}`}>
+                  #{t}
+                </option>
+              ))}
+            </select>
+            {promptFolders(prompts).length > 0 && (
+              <select
+                className={styles.promptSelect}
+                value={promptView.folder}
+                onChange={(e) => setPromptView((v) => ({ ...v, folder: e.target.value }))}
+                aria-label="Prompt folder"
+              >
+                <option value="">All folders</option>
+                {promptFolders(prompts).map((f) => (
+                  <option key={f} value={f}>
+                    📁 {f}
+                  </option>
+                ))}
+                <option value={NO_FOLDER}>No folder</option>
+              </select>
+            )}
+            <select
+              className={styles.promptSelect}
+              value={promptView.sort}
+              onChange={(e) => setPromptView((v) => ({ ...v, sort: e.target.value }))}
+              aria-label="Sort prompts"
+            >
+              {PROMPT_SORTS.map((sort) => (
+                <option key={sort} value={sort}>
+                  {PROMPT_SORT_LABELS[sort]}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className={styles.promptGroups}>
+          {!prompts.length && (
+            <div className={styles.promptEmpty}>No prompts yet. Add one, import a pack or turn on a built-in pack.</div>
+          )}
+          {prompts.length > 0 && !promptGroups.some((g) => g.prompts.length) && (
+            <div className={styles.promptEmpty}>No prompts match this filter.</div>
+          )}
+          {promptGroups.map((group) => (
+            <div key={group.name || "all"}>
+              {group.name && <div className={styles.promptFolder}>📁 {group.name}</div>}
+              <div className={styles.promptGrid}>
+                {group.prompts.map((p) => (
+                  <div key={p.id} className={styles.promptCard}>
+                    <button
+                      type="button"
+                      className={styles.promptUse}
+                      onClick={() => handlePromptUse(p)}
+                      title={p.text}
+                    >
+                      <div className={styles.promptAvatar}>
+                        {p.avatarImage ? (
+                          <img className={styles.promptAvatarImg} src={p.avatarImage} alt="" />
+                        ) : (
+                          <span>{String(p.avatarText || initialsFrom(p.title)).slice(0, 3).toUpperCase()}</span>
+                        )}
+                      </div>
+                      <div className={styles.promptMeta}>
+                        <div className={styles.promptTitleRow}>
+                          <span className={styles.promptTitle}>{p.title}</span>
+                          {p.trigger && <span className={styles.promptTrigger}>/{p.trigger}</span>}
+                          <span
+                            className={styles.promptLevel}
+                            title={p.uses ? `Used ${p.uses}× · last ${formatPromptUse(p.lastUsedAt)}` : ""}
+                          >
+                            {p.level === "intermediate" ? "Intermediate" : "Basic"}
+                            {p.uses > 0 && ` · ${p.uses}×`}
+                          </span>
+                        </div>
+                        <div className={styles.promptDesc}>{p.description || ""}</div>
+                        {p.tags.length > 0 && (
+                          <div className={styles.promptTags}>{p.tags.map((t) => `#${t}`).join(" ")}</div>
+                        )}
+                      </div>
+                    </button>
+
+                    <div className={styles.promptSide}>
+                      <button
+                        type="button"
+                        className={`${styles.promptEditBtn} ${p.favorite ? styles.promptFavOn : ""}`}
+                        onClick={() => setPrompts(updatePromptMeta(p.id, { favorite: !p.favorite }))}
+                        aria-label={p.favorite ? "Remove from favorites" : "Add to favorites"}
+                        aria-pressed={p.favorite}
+                        title={p.favorite ? "Unfavorite" : "Favorite"}
+                      >
+                        {p.favorite ? "★" : "☆"}
+                      </button>
+                      <button
+                        type="button"
+                        className={styles.promptEditBtn}
+                        onClick={() => openEditPrompt(p)}
+                        aria-label="Edit prompt"
+                        title="Edit"
+                      >
+                        ✎
+                      </button>
                     </div>
-                    <div className={styles.promptDesc}>{p.description || ""}</div>
                   </div>
-                </button>
-
-                <button
-                  type="button"
-                  className={styles.promptEditBtn}
-                  onClick={() => openEditPrompt(p)}
-                  aria-label="Edit prompt"
-                  title="Edit"
-                >
-                  ✎
-                </button>
+                ))}
               </div>
-            ))}
+            </div>
+          ))}
         </div>
 
+        {fillingPrompt && (
+          <PromptFillForm
+            key={fillingPrompt.id}
+            prompt={fillingPrompt}
+            onInsert={insertPromptText}
+            onCancel={() => setFillingPrompt(null)}
+          />
+        )}
+
         {showPromptEditor && editingPrompt && (
           <div className={styles.promptEditor}>
             <div className={styles.editorRow}>
@@ -1154,6 +2330,44 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
                 <option value="intermediate">Intermediate</option>
               </select>
             </div>
+            <div className={styles.editorRow}>
+              <label className={styles.editorLabel}>Trigger</label>
+              <input
+                className={styles.editorInput}
+                value={editingPrompt.trigger ? `/${normalizeTrigger(editingPrompt.trigger)}` : ""}
+                onChange={(e) => setEditingPrompt((prev) => ({ ...prev, trigger: normalizeTrigger(e.target.value) }))}
+                placeholder="/triage (optional) — type it in the input box to use this prompt"
+                aria-label="Slash trigger"
+              />
+              {editingTriggerTaken && (
+                <div className={styles.editorError}>Another prompt already uses /{editingPrompt.trigger}.</div>
+              )}
+            </div>
+            <div className={styles.editorRow}>
+              <label className={styles.editorLabel}>Folder &amp; tags</label>
+              <div className={styles.editorAvatarRow}>
+                <input
+                  className={styles.editorInput}
+                  value={editingPrompt.folder || ""}
+                  onChange={(e) => setEditingPrompt((prev) => ({ ...prev, folder: e.target.value }))}
+                  placeholder="Folder (optional)"
+                  aria-label="Prompt folder name"
+                  list="prompt-folders"
+                />
+                <datalist id="prompt-folders">
+                  {promptFolders(prompts).map((f) => (
+                    <option key={f} value={f} />
+                  ))}
+                </datalist>
+                <input
+                  className={styles.editorInput}
+                  value={Array.isArray(editingPrompt.tags) ? editingPrompt.tags.join(", ") : editingPrompt.tags || ""}
+                  onChange={(e) => setEditingPrompt((prev) => ({ ...prev, tags: e.target.value }))}
+                  placeholder="Tags: it, scripts"
+                  aria-label="Prompt tags"
+                />
+              </div>
+            </div>
             <div className={styles.editorRow}>
               <label className={styles.editorLabel}>Avatar</label>
               <div className={styles.editorAvatarRow}>
@@ -1177,11 +2391,29 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
                 className={styles.editorTextarea}
                 value={editingPrompt.text || ""}
                 onChange={(e) => setEditingPrompt((prev) => ({ ...prev, text: e.target.value }))}
-                placeholder="What should it say / ask?"
+                placeholder="What should it say / ask? e.g. Define {{word=ephemeral}}"
               />
             </div>
+            {editingVariables.length > 0 && (
+              <div className={styles.editorRow}>
+                <label className={styles.editorLabel}>
+                  Preview · asks for {editingVariables.map((v) => v.name).join(", ")}
+                </label>
+                <div className={styles.editorPreview}>
+                  {renderPrompt(
+                    editingPrompt.text,
+                    Object.fromEntries(editingVariables.map((v) => [v.name, v.default || `[${v.name}]`]))
+                  )}
+                </div>
+              </div>
+            )}
             <div className={styles.editorActions}>
-              <button className={styles.editorBtnPrimary} type="button" onClick={savePromptDraft}>
+              <button
+                className={styles.editorBtnPrimary}
+                type="button"
+                onClick={savePromptDraft}
+                disabled={editingTriggerTaken}
+              >
                 Save
               </button>
               <button className={styles.editorBtn} type="button" onClick={closePromptEditor}>
@@ -1203,14 +2435,21 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
           <div className={styles.genStatus} aria-live="polite">
             <div className={styles.genStatusLine}>
               <span className={styles.genStatusText}>
-                Processing <span className={styles.genStatusPct}>{genStatus.percent}%</span>
+                {genStatus.tokens ? "Writing" : "Reading prompt"}{" "}
+                <span className={styles.genStatusPct}>{genStatus.percent}%</span>
               </span>
               <span className={styles.genStatusMeta}>
-                {Math.max(0, genStatus.elapsedMs / 1000).toFixed(1)}s • {thinkingEffort === "extended" ? "Extended" : thinkingEffort === "standard" ? "Standard" : "Off"}
+                {genStatus.tokens} / {genStatus.numPredict} tokens • {Math.max(0, genStatus.elapsedMs / 1000).toFixed(1)}s •{" "}
+                {genStatus.effort === "extended" ? "Extended" : genStatus.effort === "standard" ? "Standard" : "Off"}
               </span>
             </div>
-            <div className={styles.genBarOuter}>
-              <div className={styles.genBarInner} style={{ width: `${genStatus.percent}%` }} />
+            <div className={styles.genBarRow}>
+              <div className={styles.genBarOuter}>
+                <div className={styles.genBarInner} style={{ width: `${genStatus.percent}%` }} />
+              </div>
+              <button className={styles.genStopBtn} type="button" onClick={cancelGeneration}>
+                ⏹ Stop
+              </button>
             </div>
           </div>
         )}
@@ -1287,20 +2526,31 @@ function ToastyChat({ terms, onLearnTerm, onClearLearned }) {
         </div>
 
         <div className={styles.composerRow}>
+          {slashItems.length > 0 && (
+            <SlashMenu items={slashItems} activeIndex={slashActive} onPick={pickSlashItem} onHover={setSlashIndex} />
+          )}
           <textarea
             className={styles.input}
             value={input}
-            onChange={(e) => setInput(e.target.value)}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setSlashIndex(0);
+              setSlashDismissed(false);
+            }}
             onKeyDown={handleComposerKeyDown}
-            placeholder="Ask anything"
+            placeholder="Ask anything — type / for prompts and commands"
             aria-label="Chat input"
+            aria-autocomplete="list"
+            aria-controls={slashItems.length ? SLASH_MENU_ID : undefined}
+            aria-activedescendant={slashItems.length ? `${SLASH_MENU_ID}-${slashActive}` : undefined}
             autoFocus
             ref={inputRef}
           />
           <button
             type="submit"
             className={styles.sendBtn}
-            disabled={!input.trim()}
+            disabled={!input.trim() || sending}
+            title={sending ? "Wait for the reply (or press Stop)" : undefined}
           >
             Send 🔥
           </button>
@@ -0,0 +1,96 @@
+import { act, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import dictionary from "../data/dictionary";
+import { loadChatSessions, updateChatThread } from "../engine/chatSessions";
+import { notifyStorageChange } from "../engine/storage";
+import ToastyChat from "./ToastyChat";
+
+Element.prototype.scrollIntoView = () => {};
+
+const reply = (body, type) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => type },
+  body: null,
+  text: async () => body,
+  json: async () => JSON.parse(body),
+});
+
+let holdRouter = null;
+let holdReply = null;
+
+beforeEach(() => {
+  holdRouter = null;
+  holdReply = null;
+  global.fetch = async (url) => {
+    if (url.includes("/api/tags")) return reply(JSON.stringify({ models: [{ name: "llama3.2" }] }), "application/json");
+    if (url.includes("/api/generate")) {
+      if (holdRouter) await holdRouter;
+      const route = JSON.stringify({ command: null, confidence: 0, reason: "chat" });
+      return reply(JSON.stringify({ response: route, done: true }), "application/json");
+    }
+    if (url.includes("/api/chat")) {
+      if (holdReply) await holdReply;
+      const lines = ['{"message":{"content":"Sure thing"},"done":false}', '{"message":{"content":""},"done":true}'];
+      return reply(lines.join("\n") + "\n", "application/x-ndjson");
+    }
+    return reply("{}", "application/json");
+  };
+});
+
+function sendText(text) {
+  const box = screen.getByLabelText("Chat input");
+  fireEvent.change(box, { target: { value: text } });
+  fireEvent.keyDown(box, { key: "Enter" });
+}
+
+test("an edit can't be resent while the router is still deciding", async () => {
+  render(<ToastyChat terms={dictionary} onLearnTerm={() => {}} onClearLearned={() => {}} />);
+  sendText("tell me about the sea please");
+  await screen.findByText("Sure thing");
+
+  fireEvent.click(screen.getByTitle("Edit and resend"));
+  fireEvent.change(screen.getByLabelText("Edit message"), { target: { value: "tell me about rivers" } });
+
+  let release;
+  holdRouter = new Promise((resolve) => {
+    release = resolve;
+  });
+  sendText("and the mountains too");
+  await act(() => new Promise((resolve) => setTimeout(resolve, 50)));
+
+  // Nothing is streaming yet, but the send is under way.
+  expect(screen.queryByText(/💭 Thinking…/)).toBeNull();
+  expect(screen.getByRole("button", { name: "Save & resend" })).toBeDisabled();
+  expect(screen.queryAllByTitle("Edit and resend")).toHaveLength(0);
+
+  await act(async () => release());
+  await waitFor(() => expect(screen.getAllByText("Sure thing")).toHaveLength(2));
+  expect(screen.getByRole("button", { name: "Save & resend" })).toBeEnabled();
+});
+
+test("a reply still streaming survives another tab saving the chat", async () => {
+  render(<ToastyChat terms={dictionary} onLearnTerm={() => {}} onClearLearned={() => {}} />);
+  fireEvent.click(screen.getByRole("button", { name: "+" }));
+  let release;
+  holdReply = new Promise((resolve) => {
+    release = resolve;
+  });
+  sendText("tell me about the sea please");
+  await screen.findByText(/💭 Thinking…/);
+
+  // The other tab added a note under the question; storage merged it and says chats changed.
+  const state = loadChatSessions([]);
+  const chat = state.chats.find((c) => c.id === state.activeId);
+  const question = chat.messages.find((m) => m.id === chat.leafId);
+  const note = { id: "other-tab", parentId: question.id, role: "assistant", text: "From the other tab" };
+  await act(async () => {
+    updateChatThread(state, chat.id, { messages: [...chat.messages, note], leafId: chat.leafId });
+    notifyStorageChange(["chats"]);
+  });
+  expect(screen.getByText(/💭 Thinking…/)).toBeInTheDocument();
+
+  await act(async () => release());
+  await screen.findByText("Sure thing");
+  const saved = loadChatSessions([]).chats.find((c) => c.id === chat.id);
+  expect(saved.messages.map((m) => m.text)).toEqual(expect.arrayContaining(["From the other tab", "Sure thing"]));
+});
@@ -0,0 +1,291 @@
+import React, { useMemo, useState } from "react";
+import { getBrainConfig } from "../engine/brainStore";
+import { clearUnknownQuestions, dismissUnknownQuestions, groupUnknownQuestions } from "../engine/learningStore";
+import { llmDraftTerm } from "../engine/llmRouter";
+import { getOllamaConfig, isOllamaEnabled } from "../engine/ollamaClient";
+import styles from "./UnknownQuestions.module.css";
+
+const SAMPLE_QUESTIONS = 2;
+const ALIAS_SUGGESTIONS = 30;
+
+function errorText(e) {
+  return e instanceof Error ? e.message : String(e);
+}
+
+function splitList(text) {
+  return String(text || "")
+    .split(/[,;\n]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function formatAsked(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+
+function emptyDraft(word) {
+  return { word, definition: "", category: "misc", synonyms: "", antonyms: "" };
+}
+
+/**
+ * Unknown questions panel: the chat's logged misses grouped by word, each with one-click
+ * follow-ups: draft a term (by hand or with Ollama, reviewed before saving), map the word
+ * to an existing one as an alias, or dismiss it. Any of these drops the word's questions
+ * from the log; onQuestionsChange(list) receives what's left.
+ */
+function UnknownQuestions({ questions, terms, onQuestionsChange, onSaveTerm, onAddAlias, onClose }) {
+  const [open, setOpen] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [aliasTarget, setAliasTarget] = useState("");
+  const [drafting, setDrafting] = useState("");
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("");
+
+  const groups = useMemo(() => groupUnknownQuestions(questions, terms), [questions, terms]);
+  const words = useMemo(() => new Set(terms.map((t) => t.word)), [terms]);
+
+  const aliasSuggestions = useMemo(() => {
+    const q = aliasTarget.trim().toLowerCase();
+    if (!q) return [];
+    const hits = [];
+    for (const t of terms) {
+      if (t.word.startsWith(q)) hits.push(t.word);
+      if (hits.length >= ALIAS_SUGGESTIONS) break;
+    }
+    return hits;
+  }, [aliasTarget, terms]);
+
+  function openAction(word, mode) {
+    setError("");
+    setStatus("");
+    setOpen({ word, mode });
+    if (mode === "draft") setDraft(emptyDraft(word));
+    if (mode === "alias") setAliasTarget("");
+  }
+
+  function close() {
+    setOpen(null);
+    setDraft(null);
+  }
+
+  function dismiss(word) {
+    onQuestionsChange(dismissUnknownQuestions(word));
+    if (open?.word === word) close();
+  }
+
+  async function draftWithOllama(word) {
+    setError("");
+    setStatus("");
+    setDrafting(word);
+    try {
+      const term = await llmDraftTerm(word, { model: getBrainConfig().model, baseUrl: getOllamaConfig().baseUrl });
+      setOpen({ word, mode: "draft" });
+      setDraft({
+        word,
+        definition: term.definition || "",
+        category: term.category || "misc",
+        synonyms: (term.synonyms || []).join(", "),
+        antonyms: (term.antonyms || []).join(", "),
+      });
+    } catch (err) {
+      setError(`Couldn't draft "${word}" with Ollama (${errorText(err)}).`);
+    } finally {
+      setDrafting("");
+    }
+  }
+
+  function saveDraft() {
+    setError("");
+    try {
+      onSaveTerm({
+        word: draft.word,
+        definition: draft.definition,
+        category: draft.category,
+        synonyms: splitList(draft.synonyms),
+        antonyms: splitList(draft.antonyms),
+      });
+      setStatus(`Added "${draft.word}" to your learned terms.`);
+      dismiss(draft.word);
+    } catch (err) {
+      setError(errorText(err));
+    }
+  }
+
+  function saveAlias(word) {
+    const target = aliasTarget.trim().toLowerCase();
+    setError("");
+    if (!words.has(target)) {
+      setError(`"${target || "?"}" isn't in the dictionary; pick an existing word.`);
+      return;
+    }
+    try {
+      onAddAlias(word, target);
+      setStatus(`"${word}" now looks up "${target}".`);
+      dismiss(word);
+    } catch (err) {
+      setError(errorText(err));
+    }
+  }
+
+  function clearAll() {
+    if (!window.confirm("Clear every logged unknown question?")) return;
+    clearUnknownQuestions();
+    close();
+    onQuestionsChange([]);
+  }
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div className={styles.title}>Unknown questions</div>
+        <button className={styles.btn} type="button" onClick={onClose} aria-label="Close unknown questions">
+          ×
+        </button>
+      </div>
+
+      <div className={styles.hint}>
+        Words the chat couldn't answer, most asked first. Draft a term, point the word at an existing one, or
+        dismiss it.
+      </div>
+      {!groups.length && <div className={styles.hint}>Nothing logged yet.</div>}
+
+      {groups.map((g) => (
+        <section key={g.word || " other"} className={styles.group} aria-label={g.word || "Other questions"}>
+          <div className={styles.groupHeader}>
+            <span className={styles.word}>{g.word || "Other questions"}</span>
+            <span className={styles.meta}>
+              asked {g.count}× · last {formatAsked(g.lastAsked)}
+            </span>
+            {g.known && <span className={styles.known}>✓ in the dictionary now</span>}
+          </div>
+          <div className={styles.questions}>
+            {g.questions.slice(0, SAMPLE_QUESTIONS).map((text) => (
+              <div key={text} className={styles.question}>
+                “{text}”
+              </div>
+            ))}
+            {g.questions.length > SAMPLE_QUESTIONS && (
+              <div className={styles.question}>+{g.questions.length - SAMPLE_QUESTIONS} more</div>
+            )}
+          </div>
+
+          <div className={styles.row}>
+            {g.word && !g.known && (
+              <>
+                <button className={styles.btn} type="button" onClick={() => openAction(g.word, "draft")}>
+                  ✎ Draft term
+                </button>
+                <button
+                  className={styles.btn}
+                  type="button"
+                  onClick={() => draftWithOllama(g.word)}
+                  disabled={!isOllamaEnabled() || !!drafting}
+                  title={isOllamaEnabled() ? "Draft an entry with the current Ollama model" : "Ollama is off"}
+                >
+                  {drafting === g.word ? "Drafting…" : "🤖 Draft with Ollama"}
+                </button>
+                <button className={styles.btn} type="button" onClick={() => openAction(g.word, "alias")}>
+                  ↪ Alias of…
+                </button>
+              </>
+            )}
+            <button
+              className={styles.btnDanger}
+              type="button"
+              onClick={() => dismiss(g.word)}
+              aria-label={`Dismiss ${g.word || "other questions"}`}
+            >
+              Dismiss
+            </button>
+          </div>
+
+          {open?.word === g.word && open.mode === "draft" && draft && (
+            <div className={styles.form}>
+              <textarea
+                className={styles.input}
+                rows={2}
+                value={draft.definition}
+                onChange={(e) => setDraft({ ...draft, definition: e.target.value })}
+                placeholder="Definition"
+                aria-label={`Definition of ${g.word}`}
+              />
+              <div className={styles.row}>
+                <input
+                  className={styles.input}
+                  value={draft.category}
+                  onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                  placeholder="Category"
+                  aria-label="Category"
+                />
+                <input
+                  className={styles.input}
+                  value={draft.synonyms}
+                  onChange={(e) => setDraft({ ...draft, synonyms: e.target.value })}
+                  placeholder="Synonyms, comma separated"
+                  aria-label="Synonyms"
+                />
+                <input
+                  className={styles.input}
+                  value={draft.antonyms}
+                  onChange={(e) => setDraft({ ...draft, antonyms: e.target.value })}
+                  placeholder="Antonyms, comma separated"
+                  aria-label="Antonyms"
+                />
+              </div>
+              <div className={styles.row}>
+                <button className={styles.btnPrimary} type="button" onClick={saveDraft}>
+                  Save term
+                </button>
+                <button className={styles.btn} type="button" onClick={close}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {open?.word === g.word && open.mode === "alias" && (
+            <div className={styles.row}>
+              <input
+                className={styles.input}
+                value={aliasTarget}
+                onChange={(e) => setAliasTarget(e.target.value)}
+                placeholder="Existing word"
+                aria-label={`Word that ${g.word} stands for`}
+                list="unknown-alias-words"
+              />
+              <datalist id="unknown-alias-words">
+                {aliasSuggestions.map((w) => (
+                  <option key={w} value={w} />
+                ))}
+              </datalist>
+              <button className={styles.btnPrimary} type="button" onClick={() => saveAlias(g.word)}>
+                Map
+              </button>
+              <button className={styles.btn} type="button" onClick={close}>
+                Cancel
+              </button>
+            </div>
+          )}
+        </section>
+      ))}
+
+      {groups.length > 0 && (
+        <div className={styles.row}>
+          <button className={styles.btnDanger} type="button" onClick={clearAll}>
+            Clear all
+          </button>
+        </div>
+      )}
+
+      {error && <div className={styles.error}>{error}</div>}
+      {status && (
+        <div className={styles.status} role="status">
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UnknownQuestions;
@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+import { unlockVault } from "../engine/vault";
+import styles from "./VaultLock.module.css";
+
+/**
+ * Shown instead of the chat while the vault is locked. Unlocking loads the chats and
+ * the parent switches back (it listens to onVaultChange).
+ */
+function VaultLock() {
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function unlock(e) {
+    e.preventDefault();
+    if (!passphrase || busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      await unlockVault(passphrase);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form className={styles.lock} onSubmit={unlock}>
+      <div className={styles.icon}>🔐</div>
+      <div className={styles.title}>Chats are locked</div>
+      <div className={styles.hint}>
+        Your chat history is encrypted on this device. Enter your vault passphrase to open it.
+      </div>
+      <input
+        className={styles.input}
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        placeholder="Vault passphrase"
+        aria-label="Vault passphrase"
+        autoComplete="current-password"
+        autoFocus
+        disabled={busy}
+      />
+      <button className={styles.btn} type="submit" disabled={!passphrase || busy}>
+        {busy ? "Unlocking…" : "Unlock"}
+      </button>
+      {error && (
+        <div className={styles.error} role="alert">
+          {error}
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default VaultLock;
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from "react";
+import {
+  AUTO_LOCK_CHOICES,
+  disableVault,
+  enableVault,
+  getVaultStatus,
+  lockVault,
+  onVaultChange,
+  setAutoLock,
+} from "../engine/vault";
+import styles from "./VaultPanel.module.css";
+
+function autoLockLabel(minutes) {
+  if (!minutes) return "Never";
+  return minutes < 60 ? `${minutes} min idle` : `${minutes / 60} h idle`;
+}
+
+/**
+ * Vault settings: turn encryption of saved chats on/off, pick the auto-lock delay and
+ * lock right away.
+ */
+function VaultPanel({ onClose }) {
+  const [status, setStatus] = useState(() => getVaultStatus());
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [autoLock, setAutoLockDraft] = useState(status.autoLockMinutes);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => onVaultChange(setStatus), []);
+
+  async function run(label, fn) {
+    setBusy(label);
+    setError("");
+    try {
+      await fn();
+      setPassphrase("");
+      setRepeat("");
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  function turnOn() {
+    if (passphrase !== repeat) {
+      setError("The passphrases don't match.");
+      return;
+    }
+    run("on", () => enableVault(passphrase, autoLock));
+  }
+
+  function turnOff() {
+    if (!window.confirm("Store chats unencrypted again?")) return;
+    run("off", () => disableVault(passphrase));
+  }
+
+  const autoLockSelect = (
+    <select
+      className={styles.select}
+      value={status.enabled ? status.autoLockMinutes : autoLock}
+      onChange={(e) => {
+        const minutes = Number(e.target.value);
+        if (status.enabled) setAutoLock(minutes);
+        else setAutoLockDraft(minutes);
+      }}
+      aria-label="Auto-lock"
+    >
+      {AUTO_LOCK_CHOICES.map((m) => (
+        <option key={m} value={m}>
+          {autoLockLabel(m)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div className={styles.title}>Vault {status.enabled ? "· on" : "· off"}</div>
+        <button className={styles.btn} type="button" onClick={onClose} aria-label="Close vault settings">
+          ×
+        </button>
+      </div>
+
+      {status.enabled ? (
+        <>
+          <div className={styles.hint}>
+            Chats are encrypted on this device (AES-GCM, passphrase-derived key). This tab stays unlocked until you lock
+            it, reload or close it, or it sits idle past the auto-lock time. Questions the chat couldn't answer aren't
+            logged while the vault is on; clear ❓ Unknown to remove older ones.
+          </div>
+          <div className={styles.row}>
+            <label className={styles.label}>Auto-lock</label>
+            {autoLockSelect}
+            <button
+              className={styles.btnPrimary}
+              type="button"
+              onClick={() => run("lock", lockVault)}
+              disabled={Boolean(busy)}
+            >
+              🔒 Lock now
+            </button>
+          </div>
+          <div className={styles.row}>
+            <input
+              className={styles.input}
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase (to turn the vault off)"
+              aria-label="Vault passphrase"
+              autoComplete="current-password"
+            />
+            <button
+              className={styles.btnDanger}
+              type="button"
+              onClick={turnOff}
+              disabled={!passphrase || Boolean(busy)}
+            >
+              {busy === "off" ? "Decrypting…" : "Turn off vault"}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className={styles.hint}>
+            Encrypts saved chats with a passphrase. The key is never stored, not even for the browser session, so
+            you'll be asked for it in each new tab and after every reload. There is no way to recover a forgotten
+            passphrase: the chats would be lost.
+          </div>
+          <div className={styles.row}>
+            <input
+              className={styles.input}
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="New passphrase (8+ characters)"
+              aria-label="New vault passphrase"
+              autoComplete="new-password"
+            />
+            <input
+              className={styles.input}
+              type="password"
+              value={repeat}
+              onChange={(e) => setRepeat(e.target.value)}
+              placeholder="Repeat passphrase"
+              aria-label="Repeat vault passphrase"
+              autoComplete="new-password"
+            />
+          </div>
+          <div className={styles.row}>
+            <label className={styles.label}>Auto-lock</label>
+            {autoLockSelect}
+            <button
+              className={styles.btnPrimary}
+              type="button"
+              onClick={turnOn}
+              disabled={!passphrase || Boolean(busy)}
+            >
+              {busy === "on" ? "Encrypting…" : "Turn on vault"}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <div className={styles.error}>{error}</div>}
+    </div>
+  );
+}
+
+export default VaultPanel;
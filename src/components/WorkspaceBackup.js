@@ -0,0 +1,254 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  backupFileName,
+  createBackup,
+  openBackup,
+  parseBackup,
+  previewRestore,
+  restoreWorkspace,
+} from "../engine/workspaceBackup";
+import styles from "./WorkspaceBackup.module.css";
+
+function errorText(e) {
+  return e instanceof Error ? e.message : String(e);
+}
+
+/**
+ * Workspace backup panel: download everything as one archive (optionally passphrase-
+ * encrypted), or pick a backup, preview what it changes and restore it by merge or replace.
+ * onDownload(filename, text) saves the archive; stores reload via onStorageChange.
+ */
+function WorkspaceBackup({ onDownload, onClose }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("");
+
+  const [backup, setBackup] = useState(null);
+  const [unlockPass, setUnlockPass] = useState("");
+  const [data, setData] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const fileRef = useRef(null);
+
+  const preview = useMemo(() => (data ? previewRestore(data, mode) : []), [data, mode]);
+
+  async function run(label, fn) {
+    setBusy(label);
+    setError("");
+    setStatus("");
+    try {
+      await fn();
+    } catch (e) {
+      setError(errorText(e));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  function download() {
+    if (passphrase && passphrase !== repeat) {
+      setError("The passphrases don't match.");
+      return;
+    }
+    run("backup", async () => {
+      onDownload(backupFileName(), await createBackup(passphrase));
+      setStatus(passphrase ? "Encrypted backup downloaded. Without the passphrase it can't be restored." : "Backup downloaded.");
+      setPassphrase("");
+      setRepeat("");
+    });
+  }
+
+  function resetRestore() {
+    setBackup(null);
+    setData(null);
+    setUnlockPass("");
+    setMode("merge");
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    resetRestore();
+    run("open", async () => {
+      const parsed = parseBackup(await file.text());
+      setBackup({ ...parsed, name: file.name });
+      if (!parsed.encrypted) setData(await openBackup(parsed));
+    });
+  }
+
+  function unlock() {
+    run("unlock", async () => {
+      setData(await openBackup(backup, unlockPass));
+      setUnlockPass("");
+    });
+  }
+
+  function restore() {
+    if (mode === "replace") {
+      const removed = preview.reduce((n, row) => n + row.removed, 0);
+      const ask = removed
+        ? `Replace this workspace with the backup? ${removed} item(s) that aren't in the backup will be deleted.`
+        : "Replace this workspace with the backup?";
+      if (!window.confirm(ask)) return;
+    }
+    run("restore", async () => {
+      await restoreWorkspace(data, mode);
+      resetRestore();
+      setStatus(mode === "replace" ? "Workspace replaced from the backup." : "Backup merged into this workspace.");
+    });
+  }
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div className={styles.title}>Backup & restore</div>
+        <button className={styles.btn} type="button" onClick={onClose} aria-label="Close backup panel">
+          ×
+        </button>
+      </div>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Back up</div>
+        <div className={styles.hint}>
+          Chats (every branch), prompts, learned terms and aliases, dictionary packs, unknown questions,
+          game stats and settings.
+        </div>
+        <div className={styles.row}>
+          <input
+            className={styles.input}
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Passphrase (optional, encrypts the file)"
+            aria-label="Backup passphrase"
+            autoComplete="new-password"
+          />
+          {passphrase && (
+            <input
+              className={styles.input}
+              type="password"
+              value={repeat}
+              onChange={(e) => setRepeat(e.target.value)}
+              placeholder="Repeat passphrase"
+              aria-label="Repeat backup passphrase"
+              autoComplete="new-password"
+            />
+          )}
+          <button className={styles.btnPrimary} type="button" onClick={download} disabled={Boolean(busy)}>
+            {busy === "backup" ? "Saving…" : passphrase ? "🔒 Download backup" : "Download backup"}
+          </button>
+        </div>
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionTitle}>Restore</div>
+        <div className={styles.row}>
+          <button className={styles.btn} type="button" onClick={() => fileRef.current?.click()} disabled={Boolean(busy)}>
+            Choose backup file…
+          </button>
+          {backup && (
+            <span className={styles.fileName}>
+              {backup.name}
+              {backup.createdAt && ` · ${backup.createdAt.slice(0, 16).replace("T", " ")}`}
+              {backup.encrypted && " · 🔒"}
+            </span>
+          )}
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className={styles.fileInput}
+            onChange={pickFile}
+            aria-label="Backup file"
+          />
+        </div>
+
+        {backup?.encrypted && !data && (
+          <div className={styles.row}>
+            <input
+              className={styles.input}
+              type="password"
+              value={unlockPass}
+              onChange={(e) => setUnlockPass(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  unlock();
+                }
+              }}
+              placeholder="Passphrase for this backup"
+              aria-label="Passphrase for this backup"
+              autoComplete="current-password"
+            />
+            <button className={styles.btnPrimary} type="button" onClick={unlock} disabled={!unlockPass || Boolean(busy)}>
+              {busy === "unlock" ? "Unlocking…" : "Unlock"}
+            </button>
+          </div>
+        )}
+
+        {data && (
+          <>
+            <div className={styles.modes} role="radiogroup" aria-label="Restore mode">
+              <label className={styles.mode}>
+                <input type="radio" name="restoreMode" checked={mode === "merge"} onChange={() => setMode("merge")} />
+                Merge — keep everything here, add what's new, newer copies win
+              </label>
+              <label className={styles.mode}>
+                <input type="radio" name="restoreMode" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                Replace — make this workspace match the backup
+              </label>
+            </div>
+
+            <table className={styles.preview}>
+              <thead>
+                <tr>
+                  <th>Store</th>
+                  <th>In backup</th>
+                  <th>New</th>
+                  <th>Changed</th>
+                  <th>Removed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((row) => (
+                  <tr key={row.key}>
+                    <td>{row.label}</td>
+                    <td>{row.incoming}</td>
+                    <td>{row.added || "—"}</td>
+                    <td>{row.updated || "—"}</td>
+                    <td className={row.removed ? styles.removed : undefined}>{row.removed || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className={styles.row}>
+              <button
+                className={mode === "replace" ? styles.btnDanger : styles.btnPrimary}
+                type="button"
+                onClick={restore}
+                disabled={Boolean(busy)}
+              >
+                {busy === "restore" ? "Restoring…" : mode === "replace" ? "Replace workspace" : "Merge backup"}
+              </button>
+              <button className={styles.btn} type="button" onClick={resetRestore} disabled={Boolean(busy)}>
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </section>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {status && (
+        <div className={styles.status} role="status">
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceBackup;
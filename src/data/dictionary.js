@@ -263,6 +263,103 @@ const dictionary = [
     synonyms: ["enigmatic", "mysterious", "obscure", "puzzling", "ambiguous"],
     antonyms: ["clear", "obvious", "explicit"],
   },
+  // Words with several meanings list them as senses; `definition`, `synonyms` and
+  // `antonyms` stay filled in (first sense / every sense) for the flat lookups.
+  {
+    id: 34,
+    word: "bright",
+    ipa: "/braɪt/",
+    partOfSpeech: "adjective",
+    definition: "Giving out or reflecting a lot of light; shining.",
+    category: "nature",
+    synonyms: [
+      "luminous",
+      "radiant",
+      "shining",
+      "brilliant",
+      "clever",
+      "smart",
+      "quick-witted",
+      "cheerful",
+      "lively",
+      "vivid",
+    ],
+    antonyms: ["dark", "dim", "dull", "stupid", "gloomy", "pale"],
+    senses: [
+      {
+        definition: "Giving out or reflecting a lot of light; shining.",
+        examples: ["a bright, sunny morning", "the bright glare of the headlights"],
+        synonyms: ["luminous", "radiant", "shining", "brilliant"],
+        antonyms: ["dark", "dim"],
+      },
+      {
+        definition: "Intelligent and quick-witted.",
+        register: "informal",
+        examples: ["the brightest student in the class"],
+        synonyms: ["clever", "smart", "quick-witted"],
+        antonyms: ["dull", "stupid"],
+      },
+      {
+        definition: "Cheerful and lively; full of hope.",
+        examples: ["a bright smile", "the future looks bright"],
+        synonyms: ["cheerful", "lively"],
+        antonyms: ["gloomy"],
+      },
+      {
+        definition: "Of a colour: vivid and bold.",
+        examples: ["bright red lipstick"],
+        synonyms: ["vivid", "brilliant"],
+        antonyms: ["pale", "dull"],
+      },
+    ],
+  },
+  {
+    id: 35,
+    word: "light",
+    ipa: "/laɪt/",
+    partOfSpeech: "noun",
+    definition: "The natural agent that makes things visible, as from the sun or a lamp.",
+    category: "nature",
+    synonyms: ["illumination", "brightness", "radiance", "lamp", "weightless", "airy", "gentle", "ignite", "kindle"],
+    antonyms: ["darkness", "dark", "heavy", "harsh", "extinguish"],
+    usage: "Also a verb (past tense lit or lighted) and an adjective; check which sense you need.",
+    senses: [
+      {
+        definition: "The natural agent that makes things visible, as from the sun or a lamp.",
+        partOfSpeech: "noun",
+        examples: ["the light of the moon"],
+        synonyms: ["illumination", "brightness", "radiance"],
+        antonyms: ["darkness"],
+      },
+      {
+        definition: "A source of illumination, such as a lamp.",
+        partOfSpeech: "noun",
+        examples: ["turn off the lights"],
+        synonyms: ["lamp"],
+      },
+      {
+        definition: "Of little weight; easy to lift or carry.",
+        partOfSpeech: "adjective",
+        examples: ["a light suitcase"],
+        synonyms: ["weightless", "airy"],
+        antonyms: ["heavy"],
+      },
+      {
+        definition: "Gentle or delicate; not forceful.",
+        partOfSpeech: "adjective",
+        examples: ["a light touch on the shoulder"],
+        synonyms: ["gentle"],
+        antonyms: ["harsh", "heavy"],
+      },
+      {
+        definition: "To make something start burning.",
+        partOfSpeech: "verb",
+        examples: ["she lit a candle"],
+        synonyms: ["ignite", "kindle"],
+        antonyms: ["extinguish"],
+      },
+    ],
+  },
 ];
 
 export default dictionary;
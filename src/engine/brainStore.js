@@ -1,34 +1,86 @@
-const KEY = "toastyMills.brainConfig.v1";
-
-function safeParse(text, fallback) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return fallback;
-  }
-}
+import { readValue, writeValue } from "./storage";
+
+const KEY = "brainConfig";
+
+// Sampling options forwarded to Ollama. null = let the model decide.
+const OPTION_RANGES = {
+  temperature: { min: 0, max: 2 },
+  top_p: { min: 0, max: 1 },
+  top_k: { min: 1, max: 1000, integer: true },
+  repeat_penalty: { min: 0, max: 3 },
+  seed: { min: 0, max: 2 ** 31 - 1, integer: true },
+  num_ctx: { min: 256, max: 262144, integer: true },
+};
 
 const DEFAULTS = {
   provider: "ollama", // fixed: ollama-only
   model: "mistral:latest",
   style: "claude", // 'claude' | 'neutral'
+  options: {
+    temperature: null,
+    top_p: null,
+    top_k: null,
+    repeat_penalty: null,
+    seed: null,
+    num_ctx: null,
+    stop: [],
+  },
+  keepAlive: "", // e.g. "10m", "-1" (forever), "0" (unload right away); "" = server default
 };
 
-export function getBrainConfig() {
-  const raw = localStorage.getItem(KEY);
-  const cfg = safeParse(raw || "{}", {});
+function normalizeOptionValue(key, value) {
+  const range = OPTION_RANGES[key];
+  if (!range || value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  const clamped = Math.max(range.min, Math.min(range.max, n));
+  return range.integer ? Math.round(clamped) : clamped;
+}
+
+export function normalizeBrainOptions(options) {
+  const src = options && typeof options === "object" ? options : {};
+  const next = { ...DEFAULTS.options };
+  Object.keys(OPTION_RANGES).forEach((key) => {
+    next[key] = normalizeOptionValue(key, src[key]);
+  });
+  next.stop = (Array.isArray(src.stop) ? src.stop : [])
+    .map((s) => String(s || ""))
+    .filter((s) => s.trim())
+    .slice(0, 8);
+  return next;
+}
+
+export function normalizeKeepAlive(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  return /^-?\d+(?:\.\d+)?(?:ms|s|m|h)?$/.test(v) ? v : "";
+}
+
+export function normalizeBrainConfig(value) {
+  const cfg = value && typeof value === "object" ? value : {};
   return {
     provider: DEFAULTS.provider,
     model: typeof cfg.model === "string" && cfg.model.trim() ? cfg.model.trim() : DEFAULTS.model,
     style: cfg.style === "neutral" ? "neutral" : DEFAULTS.style,
+    options: normalizeBrainOptions(cfg.options),
+    keepAlive: normalizeKeepAlive(cfg.keepAlive),
   };
 }
 
+export function getBrainConfig() {
+  return normalizeBrainConfig(readValue(KEY, {}));
+}
+
 export function setBrainConfig(patch) {
   const prev = getBrainConfig();
   const next = { ...prev, ...(patch || {}) };
   // Provider is intentionally locked to Ollama.
   next.provider = DEFAULTS.provider;
-  localStorage.setItem(KEY, JSON.stringify(next));
+  next.options = normalizeBrainOptions({ ...prev.options, ...(patch?.options || {}) });
+  next.keepAlive = normalizeKeepAlive(next.keepAlive);
+  writeValue(KEY, next);
   return next;
 }
+
+export function resetBrainOptions() {
+  return setBrainConfig({ options: { ...DEFAULTS.options }, keepAlive: DEFAULTS.keepAlive });
+}
@@ -7,9 +7,10 @@
  * knowledge comes from dictionary.js and similarityEngine.js.
  *
  * Supported intent patterns:
- *   define [word]               → look up definition
+ *   define [word]               → look up definition (every sense)
  *   synonyms of [word]          → list synonyms
  *   antonyms of [word]          → list antonyms
+ *   … [word] (sense 2)          → define / synonyms / antonyms for one sense
  *   similar to [word]           → ranked similar terms
  *   connect [wordA] and [wordB] → shortest thesaurus path
  *   category [name]             → list terms in category
@@ -17,13 +18,24 @@
  */
 
 import {
-  buildThesaurusGraph,
   findSimilarities,
   getSimilarityPath,
+  lookupTerm,
+  thesaurusGraph,
 } from "./similarityEngine";
+import { senseAt, termSenses } from "./termModel";
 
 // ─── Intent Detection ─────────────────────────────────────────────────────────
 
+// "bright (sense 2)", "bright sense 2", "bright #2"
+const SENSE_RE = /^(.+?)\s*(?:\(\s*sense\s*(\d+)\s*\)|,?\s+sense\s+(\d+)|#(\d+))$/i;
+
+function wordParams(raw) {
+  const text = raw.trim().toLowerCase();
+  const m = text.match(SENSE_RE);
+  return m ? { word: m[1].trim(), sense: Number(m[2] || m[3] || m[4]) } : { word: text };
+}
+
 const INTENT_PATTERNS = [
   {
     id: "define",
@@ -33,7 +45,7 @@ const INTENT_PATTERNS = [
       /^meaning of\s+(.+)$/i,
       /^look up\s+(.+)$/i,
     ],
-    extract: (m) => ({ word: m[1].trim().toLowerCase() }),
+    extract: (m) => wordParams(m[1]),
   },
   {
     id: "synonyms",
@@ -42,7 +54,7 @@ const INTENT_PATTERNS = [
       /^words? (?:like|similar to|related to)\s+(.+)$/i,
       /^what(?:'s| are) (?:the )?synonyms?(?: of| for)?\s+(.+?)\??$/i,
     ],
-    extract: (m) => ({ word: m[1].trim().toLowerCase() }),
+    extract: (m) => wordParams(m[1]),
   },
   {
     id: "antonyms",
@@ -51,7 +63,7 @@ const INTENT_PATTERNS = [
       /^opposite(?:s)?(?: of| to)?\s+(.+)$/i,
       /^what(?:'s| are) (?:the )?antonyms?(?: of| for)?\s+(.+?)\??$/i,
     ],
-    extract: (m) => ({ word: m[1].trim().toLowerCase() }),
+    extract: (m) => wordParams(m[1]),
   },
   {
     id: "similar",
@@ -124,36 +136,122 @@ export function detectIntent(input) {
 
 // ─── Response Builders ────────────────────────────────────────────────────────
 
+// Category replies list at most this many words (a dictionary pack can put thousands in one).
+const MAX_CATEGORY_WORDS = 60;
+
+// An exact word match, else the term listing `word` as an alias.
 function termByWord(word, terms) {
-  return terms.find((t) => t.word.toLowerCase() === word.toLowerCase()) || null;
+  return lookupTerm(word, terms);
+}
+
+function termHeader(term) {
+  const bits = [`**${term.word}**`];
+  if (term.ipa) bits.push(term.ipa);
+  if (term.partOfSpeech) bits.push(`*${term.partOfSpeech}*`);
+  bits.push(`*(${term.category})*`);
+  return bits.join(" ");
+}
+
+// "*(informal)* " style prefix for a sense's own part of speech / register.
+function senseLabel(sense, term) {
+  const tags = [];
+  if (sense.partOfSpeech && sense.partOfSpeech !== term.partOfSpeech) tags.push(sense.partOfSpeech);
+  if (sense.register) tags.push(sense.register);
+  return tags.length ? `*(${tags.join(", ")})* ` : "";
+}
+
+// Looks up sense `n` of a term; returns [sense] or [null, reply explaining why not].
+function pickSense(term, n) {
+  const sense = senseAt(term, n);
+  if (sense) return [sense];
+  const count = termSenses(term).length;
+  return [
+    null,
+    count === 1
+      ? `**${term.word}** has only one sense.`
+      : `**${term.word}** has ${count} senses; try sense 1–${count}.`,
+  ];
+}
+
+function senseLines(sense, term) {
+  const lines = [`> ${senseLabel(sense, term)}${sense.definition}`];
+  sense.examples.forEach((e) => lines.push(`> *"${e}"*`));
+  if (sense.usage) lines.push(`*Usage:* ${sense.usage}`);
+  return lines;
 }
 
-function respondDefine(word, terms) {
+function respondDefine(word, terms, sense) {
   const term = termByWord(word, terms);
   if (!term) {
     return `I don't have **"${word}"** in my dictionary yet. Try searching a synonym — the dictionary has ${terms.length} terms.`;
   }
-  const lines = [
-    `**${term.word}** *(${term.category})*`,
-    `> ${term.definition}`,
-  ];
-  if (term.synonyms.length) lines.push(`**Synonyms:** ${term.synonyms.join(", ")}`);
-  if (term.antonyms.length) lines.push(`**Antonyms:** ${term.antonyms.join(", ")}`);
+
+  if (sense) {
+    const [picked, why] = pickSense(term, sense);
+    if (!picked) return why;
+    const lines = [`${termHeader(term)} — sense ${sense} of ${termSenses(term).length}`, ...senseLines(picked, term)];
+    if (picked.synonyms.length) lines.push(`**Synonyms:** ${picked.synonyms.join(", ")}`);
+    if (picked.antonyms.length) lines.push(`**Antonyms:** ${picked.antonyms.join(", ")}`);
+    return lines.join("\n");
+  }
+
+  const senses = termSenses(term);
+  const lines = [termHeader(term)];
+  if (term.word !== word.toLowerCase()) lines[0] += ` — *"${word}" is listed under this word*`;
+  if (senses.length === 1) {
+    lines.push(...senseLines(senses[0], term));
+  } else {
+    senses.forEach((s, i) => {
+      lines.push(`${i + 1}. ${senseLabel(s, term)}${s.definition}`);
+      s.examples.forEach((e) => lines.push(`   - *"${e}"*`));
+      const related = [
+        s.synonyms.length ? `Synonyms: ${s.synonyms.join(", ")}` : "",
+        s.antonyms.length ? `Antonyms: ${s.antonyms.join(", ")}` : "",
+      ].filter(Boolean);
+      if (related.length) lines.push(`   - ${related.join(" · ")}`);
+      if (s.usage) lines.push(`   - *Usage:* ${s.usage}`);
+    });
+  }
+  if (term.usage) lines.push(`*Usage:* ${term.usage}`);
+  if (senses.length === 1) {
+    if (term.synonyms.length) lines.push(`**Synonyms:** ${term.synonyms.join(", ")}`);
+    if (term.antonyms.length) lines.push(`**Antonyms:** ${term.antonyms.join(", ")}`);
+  } else {
+    lines.push(`*Ask for one meaning with e.g. \`synonyms ${term.word} (sense 2)\`.*`);
+  }
   return lines.join("\n");
 }
 
-function respondSynonyms(word, terms) {
+function respondRelated(kind, word, terms, sense) {
   const term = termByWord(word, terms);
-  if (!term) return `**"${word}"** isn't in my dictionary. Try a different spelling or check the Dictionary tab.`;
-  if (!term.synonyms.length) return `**${term.word}** has no synonyms listed in the current dictionary.`;
-  return `**Synonyms of "${term.word}":** ${term.synonyms.join(", ")}`;
-}
+  const label = kind === "synonyms" ? "Synonyms" : "Antonyms";
+  if (!term) {
+    return kind === "synonyms"
+      ? `**"${word}"** isn't in my dictionary. Try a different spelling or check the Dictionary tab.`
+      : `**"${word}"** isn't in my dictionary.`;
+  }
 
-function respondAntonyms(word, terms) {
-  const term = termByWord(word, terms);
-  if (!term) return `**"${word}"** isn't in my dictionary.`;
-  if (!term.antonyms.length) return `**${term.word}** has no antonyms listed.`;
-  return `**Antonyms of "${term.word}":** ${term.antonyms.join(", ")}`;
+  if (sense) {
+    const [picked, why] = pickSense(term, sense);
+    if (!picked) return why;
+    if (!picked[kind].length) return `Sense ${sense} of **${term.word}** has no ${kind} listed.`;
+    return `**${label} of "${term.word}" (sense ${sense}: ${picked.definition}):** ${picked[kind].join(", ")}`;
+  }
+
+  if (!term[kind].length) {
+    return kind === "synonyms"
+      ? `**${term.word}** has no synonyms listed in the current dictionary.`
+      : `**${term.word}** has no antonyms listed.`;
+  }
+  const senses = termSenses(term);
+  if (senses.length > 1 && senses.some((s) => s[kind].length)) {
+    const lines = [`**${label} of "${term.word}":**`];
+    senses.forEach((s, i) => {
+      if (s[kind].length) lines.push(`${i + 1}. *${s.definition}* — ${s[kind].join(", ")}`);
+    });
+    return lines.join("\n");
+  }
+  return `**${label} of "${term.word}":** ${term[kind].join(", ")}`;
 }
 
 function respondSimilar(word, terms) {
@@ -168,7 +266,7 @@ function respondSimilar(word, terms) {
 }
 
 function respondConnect(wordA, wordB, terms) {
-  const graph = buildThesaurusGraph(terms);
+  const graph = thesaurusGraph(terms);
   const path = getSimilarityPath(wordA, wordB, graph);
   if (!path) {
     // Try to explain partial existence
@@ -189,8 +287,12 @@ function respondCategory(category, terms) {
     const cats = [...new Set(terms.map((t) => t.category))].join(", ");
     return `No terms in category **"${category}"**. Available categories: *${cats}*.`;
   }
-  const words = matches.map((t) => `**${t.word}**`).join(", ");
-  return `**${category} terms (${matches.length}):** ${words}`;
+  const words = matches
+    .slice(0, MAX_CATEGORY_WORDS)
+    .map((t) => `**${t.word}**`)
+    .join(", ");
+  const more = matches.length > MAX_CATEGORY_WORDS ? ` … and ${matches.length - MAX_CATEGORY_WORDS} more` : "";
+  return `**${category} terms (${matches.length}):** ${words}${more}`;
 }
 
 function respondHelp() {
@@ -199,6 +301,7 @@ function respondHelp() {
     "• `define [word]` — look up a word",
     "• `synonyms [word]` — list synonyms",
     "• `antonyms [word]` — list antonyms",
+    "• Add `(sense 2)` to any of those for one meaning of a word, e.g. `synonyms bright (sense 2)`",
     "• `similar to [word]` — find related terms ranked by connection strength",
     "• `connect [wordA] and [wordB]` — find the shortest thesaurus path",
     "• `[category] words` — list all terms in a category (emotion, cognitive, nature, action, abstract)",
@@ -244,11 +347,11 @@ export function generateReply(input, terms) {
 
   switch (id) {
     case "define":
-      return respondDefine(params.word, terms);
+      return respondDefine(params.word, terms, params.sense);
     case "synonyms":
-      return respondSynonyms(params.word, terms);
+      return respondRelated("synonyms", params.word, terms, params.sense);
     case "antonyms":
-      return respondAntonyms(params.word, terms);
+      return respondRelated("antonyms", params.word, terms, params.sense);
     case "similar":
       return respondSimilar(params.word, terms);
     case "connect":
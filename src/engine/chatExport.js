@@ -0,0 +1,180 @@
+import { branchOf } from "./messageTree";
+
+/**
+ * chatExport.js
+ * Chat transcripts out of (and back into) the app.
+ *   markdown → active branch, roles + dated timestamps, for pasting into tickets
+ *   html     → active branch as a standalone styled page
+ *   json     → lossless: every branch, settings and sidebar metadata (see importChats)
+ */
+
+export const EXPORT_FORMATS = ["md", "json", "html"];
+const EXPORT_KIND = "toastyMills.chats";
+const EXPORT_VERSION = 2;
+
+const ROLE_LABELS = { user: "You", assistant: "ToastyMills", system: "System" };
+
+function transcript(chat, skipIds) {
+  return branchOf(chat).filter((m) => !m.pending && !skipIds?.has(m.id));
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Local date and time from the message's `at` stamp; older messages only have `time` (HH:MM).
+function messageStamp(m) {
+  const d = new Date(m.at || "");
+  if (Number.isNaN(d.getTime())) return m.time || "";
+  const day = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  return `${day} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+function messageMeta(m) {
+  return [messageStamp(m), m.model, m.edited ? "edited" : "", m.stopped ? "stopped" : ""].filter(Boolean).join(" · ");
+}
+
+function chatMeta(chat) {
+  const s = chat.settings || {};
+  return [
+    chat.createdAt ? `created ${chat.createdAt.slice(0, 16).replace("T", " ")}` : "",
+    s.model ? `model ${s.model}` : "",
+    chat.tags?.length ? chat.tags.map((t) => `#${t}`).join(" ") : "",
+  ].filter(Boolean);
+}
+
+export function normalizeFormat(format) {
+  const f = String(format || "").trim().toLowerCase();
+  if (f === "markdown") return "md";
+  return EXPORT_FORMATS.includes(f) ? f : "";
+}
+
+export function chatsToMarkdown(chats, { skipIds } = {}) {
+  return (chats || [])
+    .map((chat) => {
+      const lines = [`# ${chat.title || "New chat"}`, ""];
+      const meta = chatMeta(chat);
+      if (meta.length) lines.push(`_${meta.join(" · ")}_`, "");
+      for (const m of transcript(chat, skipIds)) {
+        const head = `**${ROLE_LABELS[m.role] || m.role}**`;
+        const info = messageMeta(m);
+        lines.push(info ? `${head} · ${info}` : head, "", String(m.text || ""), "");
+      }
+      return lines.join("\n").trimEnd();
+    })
+    .join("\n\n---\n\n")
+    .concat("\n");
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const HTML_STYLE = `
+  body { margin: 0; padding: 32px 16px; background: #111; color: #e8e8e8; font: 15px/1.6 system-ui, sans-serif; }
+  main { max-width: 820px; margin: 0 auto; }
+  h1 { font-size: 1.4rem; margin: 0 0 4px; }
+  .chat + .chat { margin-top: 48px; padding-top: 32px; border-top: 1px solid #333; }
+  .chat-meta { color: #888; font-size: 0.8rem; margin-bottom: 20px; }
+  .msg { margin: 12px 0; display: flex; flex-direction: column; }
+  .msg.user { align-items: flex-end; }
+  .bubble { max-width: 85%; padding: 10px 14px; border-radius: 14px; white-space: pre-wrap; word-break: break-word; background: #242424; border: 1px solid #333; }
+  .msg.user .bubble { background: #c0392b; border-color: #c0392b; color: #fff; }
+  .msg.system .bubble { background: transparent; color: #999; font-size: 0.85rem; }
+  .meta { color: #777; font-size: 0.72rem; margin-top: 3px; padding: 0 4px; }
+  footer { color: #666; font-size: 0.75rem; margin-top: 40px; text-align: center; }
+`;
+
+export function chatsToHtml(chats, { skipIds } = {}) {
+  const sections = (chats || []).map((chat) => {
+    const rows = transcript(chat, skipIds)
+      .map((m) => {
+        const who = ROLE_LABELS[m.role] || m.role;
+        const info = messageMeta(m);
+        return [
+          `    <div class="msg ${escapeHtml(m.role)}">`,
+          `      <div class="bubble">${escapeHtml(m.text)}</div>`,
+          `      <div class="meta">${escapeHtml(info ? `${who} · ${info}` : who)}</div>`,
+          "    </div>",
+        ].join("\n");
+      })
+      .join("\n");
+    return [
+      '  <section class="chat">',
+      `    <h1>${escapeHtml(chat.title || "New chat")}</h1>`,
+      `    <div class="chat-meta">${escapeHtml(chatMeta(chat).join(" · "))}</div>`,
+      rows,
+      "  </section>",
+    ].join("\n");
+  });
+
+  const title = chats?.length === 1 ? chats[0].title || "New chat" : "ToastyMills chats";
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+${sections.join("\n")}
+  <footer>Exported from ToastyMills · ${escapeHtml(new Date().toISOString().slice(0, 16).replace("T", " "))}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+export function chatsToJson(chats) {
+  return JSON.stringify(
+    { kind: EXPORT_KIND, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), chats: chats || [] },
+    null,
+    2
+  );
+}
+
+/**
+ * Reads an export back in. Accepts the envelope written by chatsToJson, a bare array of
+ * chats, or a single chat object. Throws with a readable message on anything else.
+ */
+export function parseChatsJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || ""));
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+
+  if (parsed && typeof parsed === "object" && !Array.isArray(parsed) && parsed.kind !== undefined) {
+    if (parsed.kind !== EXPORT_KIND) throw new Error("That JSON isn't a ToastyMills chat export.");
+    if (Number(parsed.version) > EXPORT_VERSION) {
+      throw new Error(`This export is from a newer version (v${parsed.version}); update the app first.`);
+    }
+  }
+
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.chats) ? parsed.chats : parsed?.id ? [parsed] : null;
+  const chats = (list || []).filter((c) => c && typeof c === "object" && typeof c.id === "string" && Array.isArray(c.messages));
+  if (!chats.length) throw new Error("No chats found in that file.");
+  return chats;
+}
+
+/**
+ * File name like toastyMills-chat-define-ephemeral-2026-10-19.md
+ */
+export function exportFileName(chats, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  if (chats?.length !== 1) return `toastyMills-chats-${date}.${format}`;
+  const slug = String(chats[0].title || "chat")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `toastyMills-chat-${slug || "chat"}-${date}.${format}`;
+}
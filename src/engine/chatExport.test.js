@@ -0,0 +1,83 @@
+import {
+  chatsToHtml,
+  chatsToJson,
+  chatsToMarkdown,
+  exportFileName,
+  normalizeFormat,
+  parseChatsJson,
+} from "./chatExport";
+import { applyBranch, branchOf, forkAt, linearThread } from "./messageTree";
+
+// Built from local time so the expected stamp doesn't depend on the test machine's zone.
+const AT = new Date(2026, 9, 19, 14, 5).toISOString();
+
+function sampleChat() {
+  const base = linearThread([
+    { id: "w", role: "assistant", text: "Welcome!" },
+    { id: "u1", role: "user", text: "define <b>calm</b>", at: AT, time: "14:05" },
+    { id: "a1", role: "assistant", text: "Calm: not excited.", time: "14:05", model: "llama3.2" },
+  ]);
+  const forked = forkAt(base, "u1");
+  const thread = applyBranch(forked, [
+    ...branchOf(forked),
+    { id: "a2", role: "assistant", text: "Calm means still.", at: AT, edited: true },
+    { id: "p", role: "assistant", text: "💭 Thinking…", pending: true },
+  ]);
+  return { id: "c1", title: "Define calm", createdAt: "2026-10-19T12:00:00.000Z", tags: ["words"], ...thread };
+}
+
+test("markdown holds the active branch with dated stamps and skips pending and welcome messages", () => {
+  const md = chatsToMarkdown([sampleChat()], { skipIds: new Set(["w"]) });
+  expect(md).toBe(
+    [
+      "# Define calm",
+      "",
+      "_created 2026-10-19 12:00 · #words_",
+      "",
+      "**You** · 2026-10-19 14:05",
+      "",
+      "define <b>calm</b>",
+      "",
+      "**ToastyMills** · 2026-10-19 14:05 · edited",
+      "",
+      "Calm means still.",
+      "",
+    ].join("\n")
+  );
+});
+
+test("messages without an `at` stamp fall back to their time", () => {
+  const chat = { ...sampleChat(), leafId: "a1" };
+  expect(chatsToMarkdown([chat])).toContain("**ToastyMills** · 14:05 · llama3.2");
+});
+
+test("html escapes message text and titles", () => {
+  const html = chatsToHtml([{ ...sampleChat(), title: "<script>" }]);
+  expect(html).toContain("<title>&lt;script&gt;</title>");
+  expect(html).toContain('<div class="bubble">define &lt;b&gt;calm&lt;/b&gt;</div>');
+  expect(html).toContain('<div class="meta">ToastyMills · 2026-10-19 14:05 · edited</div>');
+  expect(html).not.toContain("Thinking");
+});
+
+test("json keeps every branch and reads back in", () => {
+  const chat = sampleChat();
+  expect(parseChatsJson(chatsToJson([chat]))).toEqual([chat]);
+  expect(parseChatsJson(JSON.stringify(chat))).toEqual([chat]);
+  expect(parseChatsJson(JSON.stringify([chat, { id: 3 }]))).toEqual([chat]);
+});
+
+test("parseChatsJson explains what is wrong with a file", () => {
+  expect(() => parseChatsJson("{")).toThrow("isn't valid JSON");
+  expect(() => parseChatsJson('{"kind":"other","chats":[]}')).toThrow("isn't a ToastyMills chat export");
+  expect(() => parseChatsJson('{"kind":"toastyMills.chats","version":99}')).toThrow("newer version (v99)");
+  expect(() => parseChatsJson("[]")).toThrow("No chats found");
+});
+
+test("file names and format aliases", () => {
+  expect(exportFileName([{ title: "What's  ephemeral?" }], "md")).toMatch(
+    /^toastyMills-chat-what-s-ephemeral-\d{4}-\d\d-\d\d\.md$/
+  );
+  expect(exportFileName([{}, {}], "json")).toMatch(/^toastyMills-chats-\d{4}-\d\d-\d\d\.json$/);
+  expect(normalizeFormat(" Markdown ")).toBe("md");
+  expect(normalizeFormat("pdf")).toBe("");
+});
@@ -1,12 +1,13 @@
-const KEY = "toastyMills.chatSessions.v1";
+import { branchOf, linearThread, normalizeThread, settledThread } from "./messageTree";
+import { readAll, readValue, registerMerge, syncRecords, writeValue } from "./storage";
 
-function safeParse(text, fallback) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return fallback;
-  }
-}
+// One record per chat in the "chats" collection; only changed chats are rewritten.
+// Chats imported from the old v1 localStorage key still have flat message lists and are
+// migrated into single-branch trees by normalizeChat on load.
+const ACTIVE_KEY = "chatSessions.activeId";
+// Ids of messages a chat has dropped (clears, discarded placeholders), newest last.
+// Merging with another tab's copy skips these so a clear or edit isn't undone.
+const MAX_REMOVED_IDS = 2000;
 
 function nowIso() {
   return new Date().toISOString();
@@ -24,30 +25,85 @@ function defaultSettings() {
   return {
     // 'standard' | 'extended' | null
     thinkingEffort: "standard",
+    // Per-chat overrides; null/"" means "use the global brain config".
+    model: null,
+    style: null, // 'claude' | 'neutral' | null
+    temperature: null, // 0..2 | null
+    systemPrompt: "",
+  };
+}
+
+function normalizeSettings(settings) {
+  const next = {
+    ...defaultSettings(),
+    ...(settings && typeof settings === "object" ? settings : {}),
   };
+
+  // Normalize allowed values.
+  if (next.thinkingEffort !== "extended" && next.thinkingEffort !== "standard") {
+    next.thinkingEffort = null;
+  }
+  next.model = typeof next.model === "string" && next.model.trim() ? next.model.trim() : null;
+  next.style = next.style === "claude" || next.style === "neutral" ? next.style : null;
+  const temp = next.temperature === null || next.temperature === "" ? NaN : Number(next.temperature);
+  next.temperature = Number.isFinite(temp) ? Math.max(0, Math.min(2, temp)) : null;
+  next.systemPrompt = typeof next.systemPrompt === "string" ? next.systemPrompt.trim().slice(0, 4000) : "";
+  return next;
+}
+
+const MAX_TAGS = 8;
+
+/**
+ * Lower-case, "#"-less, de-duplicated tags from an array or a "a, b c" string. Shared
+ * with the prompt library.
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(/[,\s]+/) : [];
+  const out = [];
+  for (const t of list) {
+    const tag = String(t || "")
+      .trim()
+      .replace(/^#+/, "")
+      .toLowerCase()
+      .replace(/[^\w-]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 24);
+    if (tag && !out.includes(tag)) out.push(tag);
+  }
+  return out.slice(0, MAX_TAGS);
+}
+
+function normalizeRemovedIds(ids) {
+  const list = Array.isArray(ids) ? ids.filter((id) => typeof id === "string" && id) : [];
+  return Array.from(new Set(list)).slice(-MAX_REMOVED_IDS);
 }
 
 function normalizeChat(chat, welcomeMessages) {
   const createdAt = typeof chat?.createdAt === "string" && chat.createdAt ? chat.createdAt : nowIso();
   const updatedAt = typeof chat?.updatedAt === "string" && chat.updatedAt ? chat.updatedAt : createdAt;
+  // A reply still streaming when the tab closed won't finish; drop its placeholder.
+  const thread = settledThread(
+    Array.isArray(chat?.messages) ? normalizeThread(chat.messages, chat.leafId) : linearThread(welcomeMessages)
+  );
   return {
     id: typeof chat?.id === "string" && chat.id ? chat.id : makeId(),
     title: typeof chat?.title === "string" && chat.title ? chat.title : defaultTitle(),
     createdAt,
     updatedAt,
-    messages: Array.isArray(chat?.messages) ? chat.messages : Array.isArray(welcomeMessages) ? welcomeMessages : [],
-    settings: {
-      ...defaultSettings(),
-      ...(chat?.settings && typeof chat.settings === "object" ? chat.settings : {}),
-    },
+    messages: thread.messages,
+    leafId: thread.leafId,
+    removedIds: normalizeRemovedIds(chat?.removedIds),
+    settings: normalizeSettings(chat?.settings),
+    pinned: Boolean(chat?.pinned),
+    archived: Boolean(chat?.archived),
+    tags: normalizeTags(chat?.tags),
   };
 }
 
 export function loadChatSessions(welcomeMessages) {
-  const raw = localStorage.getItem(KEY);
-  const parsed = safeParse(raw || "{}", {});
-  const rawChats = Array.isArray(parsed.chats) ? parsed.chats : [];
-  const activeId = typeof parsed.activeId === "string" ? parsed.activeId : "";
+  const rawChats = readAll("chats");
+  const stored = readValue(ACTIVE_KEY, "");
+  const activeId = typeof stored === "string" ? stored : "";
   const chats = rawChats.map((c) => normalizeChat(c, welcomeMessages));
 
   // If empty, create one.
@@ -59,11 +115,15 @@ export function loadChatSessions(welcomeMessages) {
       title: defaultTitle(),
       createdAt,
       updatedAt: createdAt,
-      messages: Array.isArray(welcomeMessages) ? welcomeMessages : [],
+      ...linearThread(welcomeMessages),
+      removedIds: [],
       settings: defaultSettings(),
+      pinned: false,
+      archived: false,
+      tags: [],
     };
     const state = { activeId: id, chats: [first] };
-    localStorage.setItem(KEY, JSON.stringify(state));
+    saveChatSessions(state);
     return state;
   }
 
@@ -74,13 +134,14 @@ export function loadChatSessions(welcomeMessages) {
     chats,
   };
 
-  // Persist normalized structure (adds missing settings, fixes shapes).
-  localStorage.setItem(KEY, JSON.stringify(state));
+  // Persist normalized structure (adds missing settings, fixes shapes, migrates v1).
+  saveChatSessions(state);
   return state;
 }
 
 export function saveChatSessions(state) {
-  localStorage.setItem(KEY, JSON.stringify(state));
+  syncRecords("chats", state?.chats || [], (c) => c.id);
+  writeValue(ACTIVE_KEY, state?.activeId || "");
 }
 
 export function createChat(state, welcomeMessages) {
@@ -91,8 +152,12 @@ export function createChat(state, welcomeMessages) {
     title: defaultTitle(),
     createdAt: t,
     updatedAt: t,
-    messages: Array.isArray(welcomeMessages) ? welcomeMessages : [],
+    ...linearThread(welcomeMessages),
+    removedIds: [],
     settings: defaultSettings(),
+    pinned: false,
+    archived: false,
+    tags: [],
   };
 
   const next = {
@@ -126,22 +191,34 @@ export function setActiveChat(state, chatId) {
   return next;
 }
 
-export function updateChatMessages(state, chatId, messages) {
+/**
+ * Stores a chat's message tree ({ messages, leafId }, see messageTree.js).
+ */
+export function updateChatThread(state, chatId, thread) {
   const chats = (state?.chats || []).map((c) => {
     if (c.id !== chatId) return c;
 
-    // Title from first user message
+    // Title from first user message of the active branch
     let title = c.title;
-    const firstUser = (messages || []).find((m) => m.role === "user" && m.text);
+    const firstUser = branchOf(thread).find((m) => m.role === "user" && m.text);
     if (firstUser && (title === defaultTitle() || !title)) {
       title = String(firstUser.text).trim().slice(0, 42);
     }
 
+    const messages = Array.isArray(thread?.messages) ? thread.messages : [];
+    if (c.messages === messages) return { ...c, title, leafId: thread?.leafId ?? null };
+
+    // Remember what was dropped so merging another tab's copy can't bring it back.
+    const kept = new Set(messages.map((m) => m.id));
+    const dropped = c.messages.filter((m) => !kept.has(m.id)).map((m) => m.id);
     return {
       ...c,
       title,
+      // Switching branches only moves leafId; that isn't new activity.
       updatedAt: nowIso(),
-      messages: Array.isArray(messages) ? messages : [],
+      messages,
+      leafId: thread?.leafId ?? null,
+      removedIds: dropped.length ? normalizeRemovedIds([...(c.removedIds || []), ...dropped]) : c.removedIds,
     };
   });
 
@@ -153,16 +230,10 @@ export function updateChatMessages(state, chatId, messages) {
 export function updateChatSettings(state, chatId, patch) {
   const chats = (state?.chats || []).map((c) => {
     if (c.id !== chatId) return c;
-    const nextSettings = {
-      ...defaultSettings(),
+    const nextSettings = normalizeSettings({
       ...(c?.settings && typeof c.settings === "object" ? c.settings : {}),
       ...(patch && typeof patch === "object" ? patch : {}),
-    };
-
-    // Normalize allowed values.
-    if (nextSettings.thinkingEffort !== "extended" && nextSettings.thinkingEffort !== "standard") {
-      nextSettings.thinkingEffort = null;
-    }
+    });
 
     return {
       ...c,
@@ -176,3 +247,160 @@ export function updateChatSettings(state, chatId, patch) {
   return next;
 }
 
+/**
+ * Resolves the effective model/style for a chat: per-chat overrides win,
+ * otherwise the global brain config applies.
+ */
+export function resolveChatBrain(chat, brainCfg) {
+  const settings = normalizeSettings(chat?.settings);
+  return {
+    model: settings.model || brainCfg?.model,
+    style: settings.style || brainCfg?.style,
+    temperature: settings.temperature,
+    systemPrompt: settings.systemPrompt,
+  };
+}
+
+/**
+ * Sidebar metadata: { title, pinned, archived, tags }. An empty title goes back to
+ * "New chat" so the next message can name it again.
+ */
+export function updateChatMeta(state, chatId, patch) {
+  const p = patch && typeof patch === "object" ? patch : {};
+  const chats = (state?.chats || []).map((c) => {
+    if (c.id !== chatId) return c;
+    const next = { ...c };
+    if ("title" in p) next.title = String(p.title || "").replace(/\s+/g, " ").trim().slice(0, 80) || defaultTitle();
+    if ("pinned" in p) next.pinned = Boolean(p.pinned);
+    if ("archived" in p) next.archived = Boolean(p.archived);
+    if ("tags" in p) next.tags = normalizeTags(p.tags);
+    // Counts as an update, so a merge with another tab's older copy keeps it.
+    next.updatedAt = nowIso();
+    return next;
+  });
+
+  const next = { ...state, chats };
+  saveChatSessions(next);
+  return next;
+}
+
+/**
+ * Sidebar order: pinned chats first, then most recently updated.
+ */
+export function sortChats(chats) {
+  return (chats || [])
+    .slice()
+    .sort(
+      (a, b) =>
+        Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+        String(b.updatedAt || "").localeCompare(String(a.updatedAt || ""))
+    );
+}
+
+function snippetAround(text, index, length, radius = 48) {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + length + radius * 2);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).replace(/\s+/g, " ")}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Full-text search across every chat (all branches, archived included).
+ * `#tag` words filter by tag; the rest is matched case-insensitively as one phrase.
+ * Returns [{ chat, titleHit, hits: [{ id, role, snippet }] }] in sidebar order.
+ */
+export function searchChats(chats, query, { skipIds, maxHits = 5 } = {}) {
+  const words = String(query || "").trim().split(/\s+/).filter(Boolean);
+  const tags = normalizeTags(words.filter((w) => w.startsWith("#")));
+  const phrase = words.filter((w) => !w.startsWith("#")).join(" ").toLowerCase();
+  if (!phrase && !tags.length) return [];
+
+  const results = [];
+  for (const chat of sortChats(chats)) {
+    if (tags.some((t) => !(chat.tags || []).includes(t))) continue;
+
+    const titleHit = Boolean(phrase) && String(chat.title || "").toLowerCase().includes(phrase);
+    const hits = [];
+    if (phrase) {
+      for (const m of chat.messages || []) {
+        if (hits.length >= maxHits) break;
+        if (m.pending || skipIds?.has(m.id) || (m.role !== "user" && m.role !== "assistant")) continue;
+        const text = String(m.text || "");
+        const at = text.toLowerCase().indexOf(phrase);
+        if (at >= 0) hits.push({ id: m.id, role: m.role, snippet: snippetAround(text, at, phrase.length) });
+      }
+    }
+
+    if (!phrase || titleHit || hits.length) results.push({ chat, titleHit, hits });
+  }
+  return results;
+}
+
+/**
+ * Combines two copies of the same chat: every message node from both (by id) except
+ * those either side removed (and their replies), with title, settings and the active
+ * branch taken from whichever was updated last. A node both hold keeps `current`'s copy
+ * unless only `incoming`'s is redacted. Returns the chat and how many nodes came only
+ * from `incoming`.
+ */
+function mergeChat(current, incoming) {
+  const removedIds = normalizeRemovedIds([...(current.removedIds || []), ...(incoming.removedIds || [])]);
+  const removed = new Set(removedIds);
+  const theirs = new Map(incoming.messages.map((m) => [m.id, m]));
+  const known = new Set(current.messages.map((m) => m.id));
+
+  const mine = current.messages.map((m) => (!m.redacted && theirs.get(m.id)?.redacted ? theirs.get(m.id) : m));
+  const extra = incoming.messages.filter((m) => !known.has(m.id) && !removed.has(m.id));
+  let messages = [...mine, ...extra].filter((m) => !removed.has(m.id));
+  // Drop replies whose parent was removed rather than promoting them to roots.
+  for (let size = -1; size !== messages.length; ) {
+    size = messages.length;
+    const ids = new Set(messages.map((m) => m.id));
+    messages = messages.filter((m) => m.parentId == null || ids.has(m.parentId));
+  }
+
+  const incomingNewer = String(incoming.updatedAt).localeCompare(String(current.updatedAt)) > 0;
+  const base = incomingNewer ? incoming : current;
+  const thread = normalizeThread(messages, base.leafId);
+  const kept = new Set(thread.messages.map((m) => m.id));
+  return {
+    chat: { ...base, messages: thread.messages, leafId: thread.leafId, removedIds, updatedAt: base.updatedAt },
+    extra: extra.filter((m) => kept.has(m.id)).length,
+  };
+}
+
+// Another tab saved a chat this tab is still writing: keep both sides' messages, minus removals.
+registerMerge("chats", (local, remote) => mergeChat(normalizeChat(local, []), normalizeChat(remote, [])).chat);
+
+/**
+ * Merges imported chats (see chatExport.parseChatsJson) into the current state.
+ * Chats are matched by id; within a chat, messages already present (same id) are kept
+ * and only new ones are added, skipping any this workspace already removed. The newer
+ * copy's title, settings and active branch win.
+ */
+export function importChats(state, imported) {
+  const chats = [...(state?.chats || [])];
+  let added = 0;
+  let merged = 0;
+  let newMessages = 0;
+
+  for (const raw of Array.isArray(imported) ? imported : []) {
+    const incoming = normalizeChat(raw, []);
+    const index = chats.findIndex((c) => c.id === incoming.id);
+
+    if (index < 0) {
+      chats.push(incoming);
+      added += 1;
+      newMessages += incoming.messages.length;
+      continue;
+    }
+
+    const { chat, extra } = mergeChat(chats[index], incoming);
+    chats[index] = chat;
+    merged += 1;
+    newMessages += extra;
+  }
+
+  const next = { ...state, chats };
+  saveChatSessions(next);
+  return { state: next, added, merged, newMessages };
+}
@@ -0,0 +1,100 @@
+import { importChats, updateChatMeta, updateChatThread } from "./chatSessions";
+
+const node = (id, parentId, extra = {}) => ({ id, parentId, role: "user", text: id, ...extra });
+
+function storedChat(updatedAt = "2026-10-01T00:00:00.000Z") {
+  return {
+    id: "c1",
+    title: "Chat",
+    createdAt: "2026-10-01T00:00:00.000Z",
+    updatedAt,
+    messages: [node("w", null), node("u1", "w"), node("a1", "u1")],
+    leafId: "a1",
+  };
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const ids = (chat) => chat.messages.map((m) => m.id);
+
+test("merging adds the other copy's new messages and takes the newer settings", () => {
+  const current = storedChat();
+  const incoming = {
+    ...copy(current),
+    title: "Renamed",
+    updatedAt: "2026-10-02T00:00:00.000Z",
+    messages: [...current.messages, node("u2", "a1")],
+    leafId: "u2",
+  };
+
+  const result = importChats({ activeId: "c1", chats: [current] }, [incoming]);
+  expect(result).toMatchObject({ added: 0, merged: 1, newMessages: 1 });
+  expect(ids(result.state.chats[0])).toEqual(["w", "u1", "a1", "u2"]);
+  expect(result.state.chats[0]).toMatchObject({ title: "Renamed", leafId: "u2" });
+});
+
+test("a clear isn't undone by merging an older copy", () => {
+  const before = storedChat();
+  const cleared = updateChatThread({ activeId: "c1", chats: [before] }, "c1", {
+    messages: [before.messages[0]],
+    leafId: "w",
+  });
+  expect(cleared.chats[0].removedIds).toEqual(["u1", "a1"]);
+
+  // The other copy still has the old turns and added a reply under one of them.
+  const stale = { ...copy(before), messages: [...before.messages, node("u2", "a1")], leafId: "u2" };
+  const result = importChats(cleared, [stale]);
+  expect(ids(result.state.chats[0])).toEqual(["w"]);
+  expect(result.newMessages).toBe(0);
+});
+
+test("removals from either copy are kept", () => {
+  const current = storedChat();
+  const incoming = { ...copy(current), messages: [current.messages[0]], leafId: "w", removedIds: ["u1", "a1"] };
+  const result = importChats({ activeId: "c1", chats: [current] }, [incoming]);
+  expect(ids(result.state.chats[0])).toEqual(["w"]);
+  expect(result.state.chats[0].removedIds).toEqual(["u1", "a1"]);
+});
+
+test("a redacted copy of a message wins over the original", () => {
+  const current = storedChat("2026-10-05T00:00:00.000Z");
+  const incoming = copy(current);
+  incoming.updatedAt = "2026-10-01T00:00:00.000Z";
+  incoming.messages[1] = { ...incoming.messages[1], text: "[REDACTED_EMAIL]", redacted: true };
+
+  const result = importChats({ activeId: "c1", chats: [current] }, [incoming]);
+  expect(result.state.chats[0].messages[1]).toMatchObject({ text: "[REDACTED_EMAIL]", redacted: true });
+
+  // ...and a later merge with the unredacted original doesn't bring the text back.
+  const again = importChats(result.state, [current]);
+  expect(again.state.chats[0].messages[1].text).toBe("[REDACTED_EMAIL]");
+});
+
+test("switching branches doesn't count as activity or removal", () => {
+  const chat = storedChat();
+  const next = updateChatThread({ activeId: "c1", chats: [chat] }, "c1", { messages: chat.messages, leafId: "u1" });
+  expect(next.chats[0]).toMatchObject({ leafId: "u1", updatedAt: chat.updatedAt });
+  expect(next.chats[0].removedIds).toBe(chat.removedIds);
+});
+
+test("renaming, tagging or pinning counts as an update", () => {
+  const chat = storedChat();
+  const next = updateChatMeta({ activeId: "c1", chats: [chat] }, "c1", { title: "Trip plans", pinned: true });
+  expect(next.chats[0]).toMatchObject({ title: "Trip plans", pinned: true });
+  expect(next.chats[0].updatedAt > chat.updatedAt).toBe(true);
+});
+
+test("a rename isn't lost when merged with an older copy that has new messages", () => {
+  const chat = storedChat();
+  const renamed = updateChatMeta({ activeId: "c1", chats: [chat] }, "c1", { title: "Trip plans" });
+  // Another tab replied before the rename, under the old title.
+  const other = {
+    ...copy(chat),
+    updatedAt: "2026-10-02T00:00:00.000Z",
+    messages: [...chat.messages, node("u2", "a1")],
+    leafId: "u2",
+  };
+
+  const result = importChats(renamed, [other]);
+  expect(result.state.chats[0].title).toBe("Trip plans");
+  expect(ids(result.state.chats[0])).toEqual(["w", "u1", "a1", "u2"]);
+});
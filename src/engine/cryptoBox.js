@@ -0,0 +1,94 @@
+/**
+ * cryptoBox.js
+ * Passphrase encryption with WebCrypto: PBKDF2 (SHA-256) derives an AES-GCM key, and
+ * the result is a plain JSON-safe "box" that can sit inside any file or record:
+ *   { cipher, kdf, iterations, salt, iv, data }   (salt / iv / data are base64)
+ * Nothing here stores the passphrase or the derived key.
+ *
+ * For many small values under one passphrase (the chat vault), derive the key once with
+ * deriveKey and use sealText / openText, whose boxes are just { cipher, iv, data }.
+ */
+
+const CIPHER = "AES-GCM";
+const KDF = "PBKDF2-SHA-256";
+export const KEY_ITERATIONS = 250000;
+
+function subtle() {
+  const s = window.crypto?.subtle;
+  if (!s) throw new Error("Encryption needs a secure context (https or localhost) in a current browser.");
+  return s;
+}
+
+function toBase64(bytes) {
+  let bin = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) bin += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  const bin = atob(String(text || ""));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+export function randomSalt() {
+  return toBase64(window.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * AES-GCM key from a passphrase and base64 salt. The key isn't extractable: its raw bytes
+ * can't be read back out of the browser.
+ */
+export async function deriveKey(passphrase, salt, iterations = KEY_ITERATIONS) {
+  const base = await subtle().importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return subtle().deriveKey(
+    { name: "PBKDF2", salt: fromBase64(salt), iterations, hash: "SHA-256" },
+    base,
+    { name: CIPHER, length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export async function sealText(key, text) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const data = await subtle().encrypt({ name: CIPHER, iv }, key, new TextEncoder().encode(String(text)));
+  return { cipher: CIPHER, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Opens a box from sealText. Throws the same readable error for a wrong key and for
+ * damaged data (AES-GCM can't tell them apart).
+ */
+export async function openText(key, box) {
+  subtle();
+  try {
+    const plain = await subtle().decrypt({ name: CIPHER, iv: fromBase64(box?.iv) }, key, fromBase64(box?.data));
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new Error("Wrong passphrase, or the data is damaged.");
+  }
+}
+
+export function isCryptoBox(value) {
+  return Boolean(value && typeof value === "object" && value.cipher === CIPHER && value.kdf === KDF && value.data);
+}
+
+export async function encryptText(text, passphrase) {
+  if (!String(passphrase || "")) throw new Error("Enter a passphrase.");
+  const salt = randomSalt();
+  const box = await sealText(await deriveKey(passphrase, salt), text);
+  return { ...box, kdf: KDF, iterations: KEY_ITERATIONS, salt };
+}
+
+/**
+ * Opens a box from encryptText. A wrong passphrase and a damaged box look the same to
+ * AES-GCM, so both get one readable error.
+ */
+export async function decryptText(box, passphrase) {
+  if (!isCryptoBox(box)) throw new Error("That isn't encrypted ToastyMills data.");
+  if (!String(passphrase || "")) throw new Error("Enter the passphrase.");
+  return openText(await deriveKey(passphrase, box.salt, Number(box.iterations) || KEY_ITERATIONS), box);
+}
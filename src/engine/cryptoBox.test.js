@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from "crypto";
+import { decryptText, deriveKey, encryptText, isCryptoBox, openText, randomSalt, sealText } from "./cryptoBox";
+
+beforeAll(() => {
+  global.window = { crypto: webcrypto };
+});
+
+afterAll(() => {
+  delete global.window;
+});
+
+// Flips one bit of the base64 ciphertext.
+function tamper(box) {
+  const bytes = Buffer.from(box.data, "base64");
+  bytes[0] ^= 1;
+  return { ...box, data: bytes.toString("base64") };
+}
+
+test("encryptText and decryptText round-trip under the right passphrase", async () => {
+  const box = await encryptText("sk-live-1234 and a private note", "correct horse");
+  expect(isCryptoBox(box)).toBe(true);
+  expect(box).toMatchObject({ cipher: "AES-GCM", kdf: "PBKDF2-SHA-256", iterations: 250000 });
+  expect(JSON.stringify(box)).not.toContain("private note");
+  await expect(decryptText(box, "correct horse")).resolves.toBe("sk-live-1234 and a private note");
+});
+
+test("a wrong passphrase and a tampered box are both rejected", async () => {
+  const box = await encryptText("secret", "correct horse");
+  await expect(decryptText(box, "wrong horse")).rejects.toThrow("Wrong passphrase, or the data is damaged.");
+  await expect(decryptText(tamper(box), "correct horse")).rejects.toThrow("Wrong passphrase, or the data is damaged.");
+  await expect(decryptText({ data: "x" }, "correct horse")).rejects.toThrow("That isn't encrypted ToastyMills data.");
+  await expect(decryptText(box, "")).rejects.toThrow("Enter the passphrase.");
+});
+
+test("sealText boxes open with the derived key only, and never repeat", async () => {
+  const salt = randomSalt();
+  const key = await deriveKey("correct horse", salt, 1000);
+  const a = await sealText(key, "same text");
+  const b = await sealText(key, "same text");
+  expect(a.data).not.toBe(b.data);
+  await expect(openText(key, a)).resolves.toBe("same text");
+
+  const other = await deriveKey("correct horse", randomSalt(), 1000);
+  await expect(openText(other, a)).rejects.toThrow("Wrong passphrase");
+  await expect(openText(key, tamper(a))).rejects.toThrow("Wrong passphrase");
+});
@@ -0,0 +1,401 @@
+import { readAll, readValue, syncRecords, writeValue } from "./storage";
+
+/**
+ * dictionaryPacks.js
+ * Offline importers that turn big word lists into ToastyMills terms, stored as named,
+ * toggleable packs next to the built-in dictionary.
+ *
+ *   WordNet  — the data.noun / data.verb / data.adj / data.adv files (one synset per line)
+ *   Moby     — mthesaur.txt: `root,synonym,synonym,...` per line, no definitions
+ *   CSV/TSV  — a header row naming word, definition, category, synonyms, antonyms columns
+ *              (TSV may skip the header and use that column order)
+ *
+ * Each pack is one record: { id, name, format, fileName, importedAt, count, terms }.
+ * Which packs are switched off is kept separately so toggling never rewrites a pack.
+ */
+
+const COLLECTION = "dictionaryPacks";
+const DISABLED_KEY = "dictionaryPacks.disabled";
+
+export const DICTIONARY_FORMATS = { wordnet: "WordNet", moby: "Moby thesaurus", csv: "CSV / TSV" };
+
+// Storage names to watch (onStorageChange) for packs changed in another tab.
+export const DICTIONARY_PACK_KEYS = [COLLECTION, DISABLED_KEY];
+
+const MAX_PACK_TERMS = 250000;
+const MAX_RELATED = 20;
+
+// WordNet lexicographer files, by lex_filenum; mapped onto the built-in categories where
+// one fits, otherwise the file's own topic is used.
+const LEXNAMES = (
+  "adj.all adj.pert adv.all noun.Tops noun.act noun.animal noun.artifact noun.attribute noun.body " +
+  "noun.cognition noun.communication noun.event noun.feeling noun.food noun.group noun.location " +
+  "noun.motive noun.object noun.person noun.phenomenon noun.plant noun.possession noun.process " +
+  "noun.quantity noun.relation noun.shape noun.state noun.substance noun.time verb.body verb.change " +
+  "verb.cognition verb.communication verb.competition verb.consumption verb.contact verb.creation " +
+  "verb.emotion verb.motion verb.perception verb.possession verb.social verb.stative verb.weather adj.ppl"
+).split(" ");
+const LEX_CATEGORIES = {
+  feeling: "emotion",
+  emotion: "emotion",
+  cognition: "cognitive",
+  animal: "nature",
+  plant: "nature",
+  object: "nature",
+  phenomenon: "nature",
+  substance: "nature",
+  weather: "nature",
+  Tops: "abstract",
+  attribute: "abstract",
+  state: "abstract",
+  relation: "abstract",
+  motive: "abstract",
+  act: "action",
+  motion: "action",
+  contact: "action",
+};
+
+const WORDNET_LINE = /^\d{8} \d{2} [nvasr] [0-9a-f]{2} /;
+
+const HEADER_ALIASES = {
+  word: ["word", "term", "headword", "lemma", "entry"],
+  definition: ["definition", "meaning", "gloss", "description", "def"],
+  category: ["category", "pos", "type", "class"],
+  synonyms: ["synonyms", "synonym", "syn", "related"],
+  antonyms: ["antonyms", "antonym", "ant", "opposites"],
+};
+const POSITIONAL = ["word", "definition", "category", "synonyms", "antonyms"];
+
+function normalizeWord(word) {
+  return String(word || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+function lines(text) {
+  return String(text || "").split(/\r?\n/);
+}
+
+// Collects entries by word: the first definition/category seen wins, related words are pooled.
+function createCollector() {
+  const byWord = new Map();
+  return {
+    add({ word, definition = "", category = "", synonyms = [], antonyms = [] }) {
+      const key = normalizeWord(word);
+      if (!key) return;
+      let entry = byWord.get(key);
+      if (!entry) {
+        if (byWord.size >= MAX_PACK_TERMS) return;
+        entry = { word: key, definition: "", category: "", synonyms: new Set(), antonyms: new Set() };
+        byWord.set(key, entry);
+      }
+      if (!entry.definition && definition) entry.definition = String(definition).trim();
+      if (!entry.category && category) entry.category = normalizeWord(category);
+      synonyms.forEach((s) => {
+        const w = normalizeWord(s);
+        if (w && w !== key && entry.synonyms.size < MAX_RELATED) entry.synonyms.add(w);
+      });
+      antonyms.forEach((a) => {
+        const w = normalizeWord(a);
+        if (w && w !== key && entry.antonyms.size < MAX_RELATED) entry.antonyms.add(w);
+      });
+    },
+    get full() {
+      return byWord.size >= MAX_PACK_TERMS;
+    },
+    terms() {
+      return Array.from(byWord.values(), (e) => ({
+        word: e.word,
+        definition: e.definition,
+        category: e.category,
+        synonyms: Array.from(e.synonyms),
+        antonyms: Array.from(e.antonyms),
+      }));
+    },
+  };
+}
+
+// ─── WordNet ──────────────────────────────────────────────────────────────────
+
+function wordnetForm(raw) {
+  return raw.replace(/\([a-z]+\)$/, "").replace(/_/g, " ");
+}
+
+function wordnetCategory(lexFile, pos) {
+  const name = LEXNAMES[lexFile] || "";
+  const topic = name.split(".")[1] || "";
+  if (LEX_CATEGORIES[topic]) return LEX_CATEGORIES[topic];
+  if (name.startsWith("verb.")) return "action";
+  if (pos === "r") return "adverb";
+  if (pos === "a" || pos === "s") return "adjective";
+  return topic.toLowerCase() || "misc";
+}
+
+function parseWordNet(text, collector) {
+  // Adjective satellites ("s") live in data.adj with the heads ("a"); pointers name either.
+  const posKey = (pos) => (pos === "s" ? "a" : pos);
+  const synsets = new Map();
+
+  for (const line of lines(text)) {
+    if (!WORDNET_LINE.test(line)) continue;
+    const bar = line.indexOf(" | ");
+    const fields = (bar >= 0 ? line.slice(0, bar) : line).trim().split(/\s+/);
+    const gloss = bar >= 0 ? line.slice(bar + 3).trim() : "";
+    const [offset, lexFile, pos, wordCount] = fields;
+
+    let i = 4;
+    const words = [];
+    for (let n = parseInt(wordCount, 16); n > 0; n--, i += 2) words.push(wordnetForm(fields[i]));
+    const pointers = [];
+    for (let n = parseInt(fields[i++], 10) || 0; n > 0; n--, i += 4) {
+      if (fields[i] === "!") pointers.push({ offset: fields[i + 1], pos: fields[i + 2], link: fields[i + 3] });
+    }
+
+    synsets.set(`${posKey(pos)}${offset}`, {
+      words,
+      pointers,
+      // Glosses read `definition; "example sentence"`; keep the definition part.
+      definition: gloss.split(/;\s*"/)[0].trim(),
+      category: wordnetCategory(Number(lexFile), pos),
+    });
+  }
+
+  for (const synset of synsets.values()) {
+    const antonyms = synset.words.map(() => []);
+    synset.pointers.forEach((p) => {
+      const target = synsets.get(`${posKey(p.pos)}${p.offset}`);
+      if (!target) return;
+      const from = parseInt(p.link.slice(0, 2), 16);
+      const to = parseInt(p.link.slice(2), 16);
+      const targets = to ? [target.words[to - 1]] : target.words;
+      // source/target word numbers (hex); 00 means the whole synset.
+      const sources = from ? [from - 1] : synset.words.map((_, k) => k);
+      sources.forEach((k) => antonyms[k]?.push(...targets.filter(Boolean)));
+    });
+    synset.words.forEach((word, k) =>
+      collector.add({
+        word,
+        definition: synset.definition,
+        category: synset.category,
+        synonyms: synset.words,
+        antonyms: antonyms[k],
+      })
+    );
+    if (collector.full) break;
+  }
+}
+
+// ─── Moby ─────────────────────────────────────────────────────────────────────
+
+function parseMoby(text, collector) {
+  for (const line of lines(text)) {
+    const [root, ...synonyms] = line.split(",");
+    if (!root.trim()) continue;
+    collector.add({ word: root, synonyms });
+    if (collector.full) break;
+  }
+}
+
+// ─── CSV / TSV ────────────────────────────────────────────────────────────────
+
+/**
+ * Splits delimited text into rows, honouring double-quoted fields (which may hold the
+ * delimiter, newlines and "" escapes).
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && !field) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+// Column index per field from a header row, or null when the row isn't a header.
+function headerColumns(row) {
+  const columns = {};
+  row.forEach((cell, i) => {
+    const name = cell.trim().toLowerCase();
+    const field = Object.keys(HEADER_ALIASES).find((f) => HEADER_ALIASES[f].includes(name));
+    if (field && columns[field] === undefined) columns[field] = i;
+  });
+  return columns.word !== undefined ? columns : null;
+}
+
+function sniffDelimiter(firstLine) {
+  if (firstLine.includes("\t")) return "\t";
+  return firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+}
+
+function parseCsv(text, collector) {
+  const firstLine = lines(text).find((l) => l.trim()) || "";
+  const delimiter = sniffDelimiter(firstLine);
+  const rows = parseDelimited(text, delimiter);
+  let columns = rows.length ? headerColumns(rows[0]) : null;
+  if (columns) {
+    rows.shift();
+  } else if (delimiter === "\t") {
+    columns = Object.fromEntries(POSITIONAL.map((f, i) => [f, i]));
+  } else {
+    throw new Error("The CSV needs a header row with at least a `word` column (plus definition, synonyms, …).");
+  }
+
+  const cell = (row, field) => (columns[field] === undefined ? "" : String(row[columns[field]] || "").trim());
+  // Inside a cell, related words are separated by ; or | (or commas when the file isn't comma-separated).
+  const listSplit = delimiter === "," ? /[;|]/ : /[;|,]/;
+  for (const row of rows) {
+    collector.add({
+      word: cell(row, "word"),
+      definition: cell(row, "definition"),
+      category: cell(row, "category"),
+      synonyms: cell(row, "synonyms").split(listSplit),
+      antonyms: cell(row, "antonyms").split(listSplit),
+    });
+    if (collector.full) break;
+  }
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+/**
+ * Best guess at a file's format from its first lines: "wordnet", "csv" or "moby".
+ */
+export function detectDictionaryFormat(text) {
+  const head = lines(String(text || "").slice(0, 200000)).filter((l) => l.trim());
+  if (head.slice(0, 200).some((l) => WORDNET_LINE.test(l))) return "wordnet";
+  const first = head[0] || "";
+  if (first.includes("\t")) return "csv";
+  if (headerColumns(first.split(sniffDelimiter(first)))) return "csv";
+  return "moby";
+}
+
+/**
+ * Parses a WordNet, Moby or CSV/TSV file into terms. `format` "auto" (the default)
+ * detects it. Returns { format, terms, truncated } and throws a readable message when
+ * nothing usable is found.
+ */
+export function parseDictionaryFile(text, { format = "auto" } = {}) {
+  const kind = format === "auto" ? detectDictionaryFormat(text) : format;
+  if (!DICTIONARY_FORMATS[kind]) throw new Error(`Unknown dictionary format: ${kind}`);
+
+  const collector = createCollector();
+  if (kind === "wordnet") parseWordNet(text, collector);
+  else if (kind === "moby") parseMoby(text, collector);
+  else parseCsv(text, collector);
+
+  const terms = collector.terms().filter((t) => t.definition || t.synonyms.length || t.antonyms.length);
+  if (!terms.length) throw new Error(`No terms found in that file (read as ${DICTIONARY_FORMATS[kind]}).`);
+  return { format: kind, terms, truncated: collector.full };
+}
+
+// ─── Stored packs ─────────────────────────────────────────────────────────────
+
+function disabledIds() {
+  const list = readValue(DISABLED_KEY, []);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Stored packs, newest first, each with `enabled`.
+ */
+export function loadDictionaryPacks() {
+  const disabled = new Set(disabledIds());
+  return readAll(COLLECTION)
+    .filter((p) => p && typeof p.id === "string" && Array.isArray(p.terms))
+    .map((p) => ({ ...p, enabled: !disabled.has(p.id) }));
+}
+
+/**
+ * Stores parsed terms as a new pack (switched on, first in the list). Returns the packs.
+ */
+export function addDictionaryPack({ name, format, fileName = "", terms }) {
+  const pack = {
+    id: `dict-${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`,
+    name: String(name || fileName || "Dictionary pack").trim().slice(0, 60),
+    format,
+    fileName: String(fileName || ""),
+    importedAt: new Date().toISOString(),
+    count: terms.length,
+    terms,
+  };
+  // Raw records (not loadDictionaryPacks copies) so unchanged packs aren't re-serialized.
+  syncRecords(COLLECTION, [pack, ...readAll(COLLECTION)], (p) => p.id);
+  return loadDictionaryPacks();
+}
+
+/**
+ * Replaces every stored pack with `packs` (e.g. from a workspace backup); a pack's
+ * `enabled: false` becomes its off switch.
+ */
+export function saveDictionaryPacks(packs) {
+  const list = (Array.isArray(packs) ? packs : []).filter((p) => p && typeof p.id === "string");
+  const current = new Map(readAll(COLLECTION).map((p) => [p.id, p]));
+  const records = list.map(({ enabled, ...pack }) => {
+    const prev = current.get(pack.id);
+    // Keep the stored object when nothing changed so syncRecords skips re-writing big packs.
+    return prev && prev.importedAt === pack.importedAt && prev.count === pack.count ? prev : pack;
+  });
+  syncRecords(COLLECTION, records, (p) => p.id);
+  writeValue(DISABLED_KEY, list.filter((p) => p.enabled === false).map((p) => p.id));
+  return loadDictionaryPacks();
+}
+
+export function setDictionaryPackEnabled(id, enabled) {
+  const rest = disabledIds().filter((x) => x !== id);
+  writeValue(DISABLED_KEY, enabled ? rest : [...rest, id]);
+  return loadDictionaryPacks();
+}
+
+export function deleteDictionaryPack(id) {
+  syncRecords(COLLECTION, readAll(COLLECTION).filter((p) => p.id !== id), (p) => p.id);
+  writeValue(DISABLED_KEY, disabledIds().filter((x) => x !== id));
+  return loadDictionaryPacks();
+}
+
+/**
+ * Terms of the enabled packs, one per word; a pack higher in the list wins. Each term
+ * carries `pack` (the pack's name) for display.
+ */
+export function enabledPackTerms(packs) {
+  const byWord = new Map();
+  (Array.isArray(packs) ? packs : [])
+    .filter((p) => p.enabled)
+    .forEach((p) =>
+      p.terms.forEach((t) => {
+        if (!byWord.has(t.word)) byWord.set(t.word, { ...t, pack: p.name });
+      })
+    );
+  return Array.from(byWord.values());
+}
@@ -0,0 +1,98 @@
+import { detectDictionaryFormat, enabledPackTerms, parseDictionaryFile } from "./dictionaryPacks";
+
+const byWord = (terms) => Object.fromEntries(terms.map((t) => [t.word, t]));
+
+const WORDNET = [
+  "  1 This software and database is being provided to you, the LICENSEE, by Princeton University",
+  '00001740 00 a 01 able 0 001 ! 00002098 a 0101 | having the necessary means or skill; "able to swim"',
+  "00002098 00 a 02 unable 0 incapable(a) 0 001 ! 00001740 a 0101 | not able",
+  "07480068 12 n 02 joy 0 joyous_feeling 0 000 | the emotion of great happiness",
+].join("\n");
+
+describe("parseDictionaryFile", () => {
+  test("reads WordNet synsets with definitions, categories and antonym pointers", () => {
+    const { format, terms, truncated } = parseDictionaryFile(WORDNET);
+    expect(format).toBe("wordnet");
+    expect(truncated).toBe(false);
+
+    const t = byWord(terms);
+    expect(t.able).toEqual({
+      word: "able",
+      definition: "having the necessary means or skill",
+      category: "adjective",
+      synonyms: [],
+      antonyms: ["unable"],
+    });
+    expect(t.unable).toMatchObject({ synonyms: ["incapable"], antonyms: ["able"] });
+    expect(t.incapable.antonyms).toEqual([]);
+    expect(t["joyous feeling"]).toMatchObject({ category: "emotion", synonyms: ["joy"] });
+  });
+
+  test("reads Moby lines as a root plus synonyms, pooling repeated roots", () => {
+    const { format, terms } = parseDictionaryFile("Calm,still,quiet\ncalm,serene,calm\n\nlonely\n");
+    expect(format).toBe("moby");
+    expect(terms).toEqual([
+      { word: "calm", definition: "", category: "", synonyms: ["still", "quiet", "serene"], antonyms: [] },
+    ]);
+  });
+
+  test("reads CSV with a header, quoted cells and ; separated lists", () => {
+    const csv = 'Term,Meaning,Synonyms,Opposites\n"hot, spicy","Very warm; ""fiery""",heated;fiery,cold|mild\n';
+    const { format, terms } = parseDictionaryFile(csv);
+    expect(format).toBe("csv");
+    expect(terms).toEqual([
+      {
+        word: "hot, spicy",
+        definition: 'Very warm; "fiery"',
+        category: "",
+        synonyms: ["heated", "fiery"],
+        antonyms: ["cold", "mild"],
+      },
+    ]);
+  });
+
+  test("reads headerless TSV in word, definition, category, synonyms, antonyms order", () => {
+    const { terms } = parseDictionaryFile("calm\tnot excited\tMood\tstill, quiet\tagitated\r\n");
+    expect(terms).toEqual([
+      {
+        word: "calm",
+        definition: "not excited",
+        category: "mood",
+        synonyms: ["still", "quiet"],
+        antonyms: ["agitated"],
+      },
+    ]);
+  });
+
+  test("explains files it can't use", () => {
+    expect(() => parseDictionaryFile("a,b\nc,d", { format: "csv" })).toThrow("needs a header row");
+    expect(() => parseDictionaryFile("lonely\n")).toThrow("No terms found in that file (read as Moby thesaurus)");
+    expect(() => parseDictionaryFile("x", { format: "xml" })).toThrow("Unknown dictionary format: xml");
+  });
+});
+
+test("detectDictionaryFormat looks at the first lines", () => {
+  expect(detectDictionaryFormat(WORDNET)).toBe("wordnet");
+  expect(detectDictionaryFormat("word;definition\ncalm;still")).toBe("csv");
+  expect(detectDictionaryFormat("calm\tstill")).toBe("csv");
+  expect(detectDictionaryFormat("calm,still,quiet")).toBe("moby");
+});
+
+test("enabledPackTerms skips disabled packs and lets earlier packs win", () => {
+  const packs = [
+    { name: "Off", enabled: false, terms: [{ word: "calm", definition: "off" }] },
+    { name: "First", enabled: true, terms: [{ word: "calm", definition: "first" }] },
+    {
+      name: "Second",
+      enabled: true,
+      terms: [
+        { word: "calm", definition: "second" },
+        { word: "joy", definition: "j" },
+      ],
+    },
+  ];
+  expect(enabledPackTerms(packs)).toEqual([
+    { word: "calm", definition: "first", pack: "First" },
+    { word: "joy", definition: "j", pack: "Second" },
+  ]);
+});
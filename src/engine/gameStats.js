@@ -0,0 +1,105 @@
+import { readValue, writeValue } from "./storage";
+
+/**
+ * gameStats.js
+ * Similarity Game history kept on this device: rounds played and solved, the current and
+ * best solve streak, the running score total (a round scores its best guess) and per-word
+ * results used to list the hardest words.
+ */
+
+export const GAME_STATS_KEY = "similarityStats";
+
+const EMPTY = { played: 0, solved: 0, streak: 0, bestStreak: 0, totalScore: 0, words: {} };
+
+function count(n) {
+  return Number.isFinite(Number(n)) && n > 0 ? Math.floor(n) : 0;
+}
+
+/**
+ * Stats in their stored shape; anything missing or invalid counts as zero.
+ */
+export function normalizeGameStats(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const words = {};
+  Object.entries(src.words && typeof src.words === "object" ? src.words : {}).forEach(([word, w]) => {
+    if (!word || !w || typeof w !== "object") return;
+    words[word] = { played: count(w.played), solved: count(w.solved), guesses: count(w.guesses) };
+  });
+  return {
+    played: count(src.played),
+    solved: count(src.solved),
+    streak: count(src.streak),
+    bestStreak: count(src.bestStreak),
+    totalScore: count(src.totalScore),
+    words,
+  };
+}
+
+export function loadGameStats() {
+  return normalizeGameStats(readValue(GAME_STATS_KEY, EMPTY));
+}
+
+/**
+ * Adds one finished round and returns the updated stats.
+ * @param {{ word: string, solved: boolean, guesses: number, score: number }} round
+ */
+export function recordGameRound({ word, solved, guesses, score }) {
+  const stats = loadGameStats();
+  const key = String(word || "").trim().toLowerCase();
+  const prev = stats.words[key] || { played: 0, solved: 0, guesses: 0 };
+  const streak = solved ? stats.streak + 1 : 0;
+
+  const next = {
+    played: stats.played + 1,
+    solved: stats.solved + (solved ? 1 : 0),
+    streak,
+    bestStreak: Math.max(stats.bestStreak, streak),
+    totalScore: stats.totalScore + Math.max(0, Math.min(100, Math.round(Number(score) || 0))),
+    words: {
+      ...stats.words,
+      [key]: {
+        played: prev.played + 1,
+        solved: prev.solved + (solved ? 1 : 0),
+        guesses: prev.guesses + count(guesses),
+      },
+    },
+  };
+  writeValue(GAME_STATS_KEY, next);
+  return next;
+}
+
+/**
+ * Replaces the stored stats (workspace restore) and returns them normalized.
+ */
+export function saveGameStats(stats) {
+  const next = normalizeGameStats(stats);
+  writeValue(GAME_STATS_KEY, next);
+  return next;
+}
+
+export function resetGameStats() {
+  writeValue(GAME_STATS_KEY, EMPTY);
+  return normalizeGameStats(EMPTY);
+}
+
+export function averageScore(stats) {
+  return stats.played ? Math.round(stats.totalScore / stats.played) : 0;
+}
+
+/**
+ * Words with the lowest solve rate, ties broken by most guesses per round.
+ * Returns [{ word, played, solved, rate, avgGuesses }].
+ */
+export function hardestWords(stats, limit = 5) {
+  return Object.entries(stats.words)
+    .map(([word, w]) => ({
+      word,
+      played: w.played,
+      solved: w.solved,
+      rate: w.played ? w.solved / w.played : 0,
+      avgGuesses: w.played ? w.guesses / w.played : 0,
+    }))
+    .filter((w) => w.played > 0 && w.rate < 1)
+    .sort((a, b) => a.rate - b.rate || b.avgGuesses - a.avgGuesses || a.word.localeCompare(b.word))
+    .slice(0, limit);
+}
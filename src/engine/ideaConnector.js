@@ -1,4 +1,4 @@
-import { buildThesaurusGraph, findSimilarities, getSimilarityPath } from "./similarityEngine";
+import { findSimilarities, getSimilarityPath, termNeighbourhood, thesaurusGraph } from "./similarityEngine";
 
 const STOPWORDS = new Set([
   "the","a","an","and","or","but","if","then","so","to","of","in","on","for","with","as","at","by","from",
@@ -27,11 +27,19 @@ function extractKeywords(text, max = 6) {
     .map(([w]) => w);
 }
 
+/**
+ * Dictionary terms a message mentions (by word or alias) plus their direct synonyms and
+ * antonyms, `limit` at most: the slice of the dictionary worth sending to the model.
+ */
+export function relevantTerms(input, terms, limit = 40) {
+  return termNeighbourhood(extractKeywords(input, 12), terms, limit);
+}
+
 export function connectIdeas(input, terms) {
   const keywords = extractKeywords(input, 6);
   if (!keywords.length) return [];
 
-  const graph = buildThesaurusGraph(terms);
+  const graph = thesaurusGraph(terms);
   const suggestions = [];
 
   for (const kw of keywords) {
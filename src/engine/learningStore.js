@@ -1,44 +1,44 @@
-const STORAGE_KEY = "toastyMills.learnedTerms.v1";
-const UNKNOWN_KEY = "toastyMills.unknownQuestions.v1";
-
-function safeJsonParse(text, fallback) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return fallback;
-  }
-}
+import { detectIntent } from "./chatEngine";
+import { readAll, readValue, syncRecords, writeValue } from "./storage";
+import { normalizeTermFields } from "./termModel";
+import { getVaultStatus } from "./vault";
+
+// Learned terms are one record per word; the unknown-question log is a single bounded list;
+// aliases are one { alias: word } map.
+const UNKNOWN_KEY = "unknownQuestions";
+const MAX_UNKNOWN = 200;
+export const ALIASES_KEY = "termAliases";
 
 function normalizeWord(word) {
   return String(word || "").trim().toLowerCase();
 }
 
 export function loadLearnedTerms() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  const list = safeJsonParse(raw || "[]", []);
-  return Array.isArray(list) ? list : [];
+  return readAll("learnedTerms");
 }
 
 export function saveLearnedTerms(terms) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(terms));
+  syncRecords("learnedTerms", Array.isArray(terms) ? terms : [], (t) => normalizeWord(t?.word));
 }
 
 export function clearLearnedTerms() {
   saveLearnedTerms([]);
 }
 
+/**
+ * Saves (or updates) a learned term. Besides { word, definition } it may carry the rich
+ * fields of termModel (partOfSpeech, ipa, register, usage, senses); rich fields left out
+ * keep their stored values.
+ */
 export function upsertLearnedTerm(term) {
   const next = {
-    word: normalizeWord(term?.word),
-    definition: String(term?.definition || "").trim(),
+    ...normalizeTermFields(term),
     category: String(term?.category || "misc").trim().toLowerCase(),
-    synonyms: Array.isArray(term?.synonyms) ? term.synonyms.map((s) => normalizeWord(s)).filter(Boolean) : [],
-    antonyms: Array.isArray(term?.antonyms) ? term.antonyms.map((a) => normalizeWord(a)).filter(Boolean) : [],
     learnedAt: new Date().toISOString(),
   };
 
   if (!next.word || !next.definition) {
-    throw new Error("Learned term must include at least { word, definition }.");
+    throw new Error("Learned term must include at least { word, definition } (or senses with definitions).");
   }
 
   const existing = loadLearnedTerms();
@@ -50,53 +50,193 @@ export function upsertLearnedTerm(term) {
   return next;
 }
 
+/**
+ * Removes one learned term (a built-in entry with the same word shows again).
+ * Returns the remaining learned terms.
+ */
+export function deleteLearnedTerm(word) {
+  const key = normalizeWord(word);
+  const next = loadLearnedTerms().filter((t) => normalizeWord(t.word) !== key);
+  saveLearnedTerms(next);
+  return next;
+}
+
+/**
+ * Adds a question the chat couldn't answer to the review queue. Skipped while the vault is
+ * on: the log isn't encrypted, and it holds the user's own words.
+ */
 export function logUnknownQuestion(input) {
+  if (getVaultStatus().enabled) return;
   const entry = {
     text: String(input || "").trim(),
     time: new Date().toISOString(),
   };
 
-  const raw = localStorage.getItem(UNKNOWN_KEY);
-  const list = safeJsonParse(raw || "[]", []);
-  const next = Array.isArray(list) ? list : [];
-  next.unshift(entry);
+  saveUnknownQuestions([entry, ...loadUnknownQuestions()]);
+}
+
+export function loadUnknownQuestions() {
+  const list = readValue(UNKNOWN_KEY, []);
+  return Array.isArray(list) ? list : [];
+}
 
+export function saveUnknownQuestions(list) {
   // keep it bounded
-  if (next.length > 200) next.length = 200;
-  localStorage.setItem(UNKNOWN_KEY, JSON.stringify(next));
+  writeValue(UNKNOWN_KEY, (Array.isArray(list) ? list : []).slice(0, MAX_UNKNOWN));
 }
 
 export function clearUnknownQuestions() {
-  localStorage.setItem(UNKNOWN_KEY, JSON.stringify([]));
+  writeValue(UNKNOWN_KEY, []);
+}
+
+/**
+ * The word a logged question asked about ("define zephyr", "synonyms of zephyr",
+ * "zephyr?"), or "" when the question doesn't name one.
+ */
+export function unknownQuestionWord(text) {
+  const intent = detectIntent(String(text || ""));
+  return normalizeWord(intent?.params?.word);
+}
+
+/**
+ * Groups the unknown-question log by asked-about word, most asked first (then most
+ * recent). Questions without a word share the "" group, listed last. `known` marks words
+ * the dictionary (or an alias) covers by now.
+ * Returns [{ word, count, lastAsked, questions, known }].
+ */
+export function groupUnknownQuestions(list, terms = []) {
+  const knownWords = new Set();
+  terms.forEach((t) => {
+    knownWords.add(normalizeWord(t.word));
+    (t.aliases || []).forEach((a) => knownWords.add(a));
+  });
+
+  const groups = new Map();
+  (Array.isArray(list) ? list : []).forEach((q) => {
+    const word = unknownQuestionWord(q?.text);
+    const group = groups.get(word) || { word, count: 0, lastAsked: "", questions: [], known: knownWords.has(word) };
+    group.count += 1;
+    if (String(q.time || "") > group.lastAsked) group.lastAsked = String(q.time);
+    if (q.text && !group.questions.includes(q.text)) group.questions.push(q.text);
+    groups.set(word, group);
+  });
+
+  return [...groups.values()].sort(
+    (a, b) =>
+      (a.word ? 0 : 1) - (b.word ? 0 : 1) ||
+      b.count - a.count ||
+      (a.lastAsked < b.lastAsked ? 1 : a.lastAsked > b.lastAsked ? -1 : 0)
+  );
+}
+
+/**
+ * Drops every logged question about `word` ("" = the questions without a word).
+ * Returns the remaining log.
+ */
+export function dismissUnknownQuestions(word) {
+  const key = normalizeWord(word);
+  const next = loadUnknownQuestions().filter((q) => unknownQuestionWord(q?.text) !== key);
+  saveUnknownQuestions(next);
+  return next;
 }
 
-export function mergeTerms(baseTerms, learnedTerms) {
+export function loadTermAliases() {
+  const map = readValue(ALIASES_KEY, {});
+  return map && typeof map === "object" && !Array.isArray(map) ? map : {};
+}
+
+export function saveTermAliases(map) {
+  writeValue(ALIASES_KEY, map && typeof map === "object" && !Array.isArray(map) ? map : {});
+}
+
+/**
+ * Makes `alias` another name for the existing `word`; lookups of the alias find that
+ * term. Returns the updated alias map.
+ */
+export function addTermAlias(alias, word) {
+  const from = normalizeWord(alias);
+  const to = normalizeWord(word);
+  if (!from || !to) throw new Error("Both the alias and the word it maps to are required.");
+  if (from === to) throw new Error("A word can't be an alias of itself.");
+  const next = { ...loadTermAliases(), [from]: to };
+  writeValue(ALIASES_KEY, next);
+  return next;
+}
+
+export function removeTermAlias(alias) {
+  const next = { ...loadTermAliases() };
+  delete next[normalizeWord(alias)];
+  writeValue(ALIASES_KEY, next);
+  return next;
+}
+
+/**
+ * Adds each alias to its target term's `aliases` list. An alias that is itself a
+ * dictionary word, or points at a word that isn't there, is ignored.
+ */
+export function applyTermAliases(terms, aliases) {
+  const entries = Object.entries(aliases || {});
+  if (!entries.length) return terms;
+  const index = new Map(terms.map((t, i) => [t.word, i]));
+  const next = [...terms];
+  entries.forEach(([alias, word]) => {
+    const i = index.get(word);
+    if (i === undefined || index.has(alias)) return;
+    next[i] = { ...next[i], aliases: [...(next[i].aliases || []), alias] };
+  });
+  return next;
+}
+
+// Fields a thesaurus-only pack entry (no definition) inherits from the entry underneath.
+const INHERITED_FIELDS = ["partOfSpeech", "ipa", "register", "usage", "senses"];
+
+function normalizeTerm(t, source) {
+  return {
+    ...t,
+    ...normalizeTermFields(t),
+    category: String(t.category || "misc").trim().toLowerCase(),
+    source,
+  };
+}
+
+/**
+ * Built-in terms, then dictionary-pack terms, then learned ones; on the same word the
+ * later layer wins (learned > pack > built-in). Each result carries `source`: "builtin",
+ * "pack" or "learned". A pack entry missing a definition, category or related words (a
+ * thesaurus-only file) keeps those (and the senses) from the entry underneath.
+ */
+export function mergeTerms(baseTerms, learnedTerms, packTerms = []) {
   const byWord = new Map();
 
   (Array.isArray(baseTerms) ? baseTerms : []).forEach((t) => {
     const key = normalizeWord(t?.word);
     if (!key) return;
-    byWord.set(key, {
-      ...t,
-      word: key,
-      synonyms: Array.isArray(t.synonyms) ? t.synonyms.map((s) => normalizeWord(s)).filter(Boolean) : [],
-      antonyms: Array.isArray(t.antonyms) ? t.antonyms.map((a) => normalizeWord(a)).filter(Boolean) : [],
-      category: String(t.category || "misc").trim().toLowerCase(),
-      definition: String(t.definition || "").trim(),
-    });
+    byWord.set(key, normalizeTerm(t, t.source || "builtin"));
+  });
+
+  (Array.isArray(packTerms) ? packTerms : []).forEach((t) => {
+    const key = normalizeWord(t?.word);
+    if (!key) return;
+    const below = byWord.get(key);
+    const next = normalizeTerm(t, "pack");
+    if (below) {
+      if (!next.definition) {
+        next.definition = below.definition;
+        INHERITED_FIELDS.forEach((f) => {
+          if (next[f] === undefined && below[f] !== undefined) next[f] = below[f];
+        });
+      }
+      if (!t.category) next.category = below.category;
+      if (!next.synonyms.length) next.synonyms = below.synonyms;
+      if (!next.antonyms.length) next.antonyms = below.antonyms;
+    }
+    byWord.set(key, next);
   });
 
   (Array.isArray(learnedTerms) ? learnedTerms : []).forEach((t) => {
     const key = normalizeWord(t?.word);
     if (!key) return;
-    byWord.set(key, {
-      ...t,
-      word: key,
-      synonyms: Array.isArray(t.synonyms) ? t.synonyms.map((s) => normalizeWord(s)).filter(Boolean) : [],
-      antonyms: Array.isArray(t.antonyms) ? t.antonyms.map((a) => normalizeWord(a)).filter(Boolean) : [],
-      category: String(t.category || "misc").trim().toLowerCase(),
-      definition: String(t.definition || "").trim(),
-    });
+    byWord.set(key, normalizeTerm(t, "learned"));
   });
 
   return Array.from(byWord.values());
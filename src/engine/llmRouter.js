@@ -1,12 +1,28 @@
-import { ollamaGenerate } from "./ollamaClient";
+import { ollamaStructured } from "./structuredOutput";
 
-function safeJsonParse(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return null;
-  }
-}
+export const ROUTER_COMMAND_SCHEMA = {
+  type: "object",
+  properties: {
+    command: { type: ["string", "null"] },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    reason: { type: "string" },
+  },
+  required: ["command", "confidence", "reason"],
+  additionalProperties: false,
+};
+
+export const DICTIONARY_TERM_SCHEMA = {
+  type: "object",
+  properties: {
+    word: { type: "string", minLength: 1 },
+    definition: { type: "string", minLength: 1 },
+    category: { type: "string" },
+    synonyms: { type: "array", items: { type: "string" } },
+    antonyms: { type: "array", items: { type: "string" } },
+  },
+  required: ["word", "definition", "category", "synonyms", "antonyms"],
+  additionalProperties: false,
+};
 
 function normalizeWordLike(value) {
   return String(value || "")
@@ -35,8 +51,10 @@ function pickVocabularySnapshot(terms, maxWords = 120) {
 /**
  * Use Ollama to map arbitrary user phrasing → a canonical ToastyMills command.
  * Returns { command, confidence, reason } where command is either a string or null.
+ * A reply that never validates gives reason "invalid_json"; request failures and aborts
+ * (via `signal`) reject.
  */
-export async function llmRouteToCommand(userText, terms, { model, baseUrl } = {}) {
+export async function llmRouteToCommand(userText, terms, { model, baseUrl, signal } = {}) {
   const input = String(userText || "").trim();
   if (!input) return { command: null, confidence: 0, reason: "empty" };
 
@@ -78,9 +96,17 @@ export async function llmRouteToCommand(userText, terms, { model, baseUrl } = {}
     input,
   ].join("\n");
 
-  const raw = await ollamaGenerate(prompt, { model, baseUrl, numPredict: 220 });
-  const obj = safeJsonParse(raw);
-  if (!obj || typeof obj !== "object") {
+  let obj;
+  try {
+    obj = await ollamaStructured(prompt, ROUTER_COMMAND_SCHEMA, {
+      model,
+      baseUrl,
+      signal,
+      numPredict: 220,
+      retries: 1,
+    });
+  } catch (err) {
+    if (err?.name !== "StructuredOutputError") throw err;
     return { command: null, confidence: 0, reason: "invalid_json" };
   }
 
@@ -100,3 +126,28 @@ export async function llmRouteToCommand(userText, terms, { model, baseUrl } = {}
 
   return ok ? { command, confidence, reason } : { command: null, confidence: 0, reason: "disallowed" };
 }
+
+/**
+ * Ask Ollama to draft ONE dictionary entry for `word`, validated against DICTIONARY_TERM_SCHEMA.
+ * Resolves to { word, definition, category, synonyms, antonyms }; rejects if the model
+ * can't produce a valid entry after the repair retries, or when `signal` aborts.
+ */
+export async function llmDraftTerm(word, { model, baseUrl, signal } = {}) {
+  const w = normalizeWordLike(word);
+  if (!w) throw new Error("A word is required to draft a term.");
+
+  const prompt = [
+    "Create ONE new dictionary entry as STRICT JSON (no markdown, no extra text).",
+    "Schema:",
+    "{\"word\":string,\"definition\":string,\"category\":string,\"synonyms\":string[],\"antonyms\":string[]}",
+    "Rules:",
+    "- Use lowercase for word/synonyms/antonyms.",
+    "- Keep definition short (1-2 sentences).",
+    "- If unsure, set category to 'misc' and leave lists empty.",
+    "",
+    `WORD: ${w}`,
+  ].join("\n");
+
+  const term = await ollamaStructured(prompt, DICTIONARY_TERM_SCHEMA, { model, baseUrl, signal, numPredict: 260 });
+  return { ...term, word: normalizeWordLike(term.word) || w };
+}
@@ -0,0 +1,196 @@
+/**
+ * messageTree.js
+ * Chat messages stored as a tree so retried/edited turns are kept as alternatives.
+ *
+ * A thread is { messages, leafId }:
+ *   messages → flat list of every node; each has parentId (null for roots)
+ *   leafId   → last message of the active branch
+ * Sibling order is the order nodes appear in `messages`.
+ */
+
+function parentOf(msg) {
+  return msg?.parentId ?? null;
+}
+
+/**
+ * Builds a single-branch thread from a plain linear list (v1 sessions, welcome messages).
+ */
+export function linearThread(list) {
+  const seen = new Set();
+  const messages = [];
+  for (const m of Array.isArray(list) ? list : []) {
+    if (!m || typeof m.id !== "string" || seen.has(m.id)) continue;
+    seen.add(m.id);
+    messages.push({ ...m, parentId: messages.length ? messages[messages.length - 1].id : null });
+  }
+  return { messages, leafId: messages.length ? messages[messages.length - 1].id : null };
+}
+
+/**
+ * Accepts stored messages + leafId and returns a valid thread.
+ * Lists without any parentId are treated as linear (pre-branching) history.
+ */
+export function normalizeThread(messages, leafId) {
+  const list = Array.isArray(messages) ? messages.filter((m) => m && typeof m.id === "string") : [];
+  if (!list.some((m) => Object.prototype.hasOwnProperty.call(m, "parentId"))) return linearThread(list);
+
+  const ids = new Set(list.map((m) => m.id));
+  const nodes = list.map((m) => (parentOf(m) === null || ids.has(m.parentId) ? m : { ...m, parentId: null }));
+  const leaf = typeof leafId === "string" && ids.has(leafId) ? leafId : nodes.length ? nodes[nodes.length - 1].id : null;
+  return { messages: nodes, leafId: leaf };
+}
+
+/**
+ * The active branch, root → leaf.
+ */
+export function branchOf(thread) {
+  const byId = new Map((thread?.messages || []).map((m) => [m.id, m]));
+  const path = [];
+  const seen = new Set();
+  let cur = byId.get(thread?.leafId);
+  while (cur && !seen.has(cur.id)) {
+    seen.add(cur.id);
+    path.push(cur);
+    cur = byId.get(parentOf(cur));
+  }
+  return path.reverse();
+}
+
+/**
+ * Writes an edited active branch back into the tree.
+ * Nodes that were on the old branch but are gone from the new one are deleted
+ * (with anything hanging off them); new nodes are linked in order and get `at` (ISO
+ * time added) unless they carry one. Other branches stay.
+ */
+export function applyBranch(thread, branch) {
+  const list = Array.isArray(branch) ? branch : [];
+  const nextIds = new Set(list.map((m) => m.id));
+  const removed = new Set(branchOf(thread).map((m) => m.id).filter((id) => !nextIds.has(id)));
+  const known = new Set((thread?.messages || []).map((m) => m.id));
+  const now = new Date().toISOString();
+
+  const linked = new Map(
+    list.map((m, i) => {
+      const parentId = i ? list[i - 1].id : null;
+      const stamp = !m.at && !known.has(m.id);
+      return [m.id, m.parentId === parentId && !stamp ? m : { ...m, parentId, ...(stamp ? { at: now } : {}) }];
+    })
+  );
+
+  let nodes = [];
+  for (const node of thread?.messages || []) {
+    if (linked.has(node.id)) {
+      nodes.push(linked.get(node.id));
+      linked.delete(node.id);
+    } else if (!removed.has(node.id)) {
+      nodes.push(node);
+    }
+  }
+  nodes.push(...linked.values());
+
+  // Drop alternatives whose ancestor was deleted.
+  for (;;) {
+    const ids = new Set(nodes.map((m) => m.id));
+    const kept = nodes.filter((m) => parentOf(m) === null || ids.has(m.parentId));
+    if (kept.length === nodes.length) break;
+    nodes = kept;
+  }
+
+  return { messages: nodes, leafId: list.length ? list[list.length - 1].id : null };
+}
+
+/**
+ * Moves the active leaf to `msgId` (or to nothing for null) without deleting anything,
+ * so the next message starts a new branch from there.
+ */
+export function forkAt(thread, msgId) {
+  const exists = (thread?.messages || []).some((m) => m.id === msgId);
+  return { messages: thread?.messages || [], leafId: exists ? msgId : null };
+}
+
+/**
+ * Messages sharing a parent with `msgId` (including itself), in stored order.
+ */
+export function siblingsOf(thread, msgId) {
+  const list = thread?.messages || [];
+  const msg = list.find((m) => m.id === msgId);
+  if (!msg) return [];
+  return list.filter((m) => parentOf(m) === parentOf(msg));
+}
+
+/**
+ * Switches the active branch to the sibling `delta` steps away from `msgId`.
+ */
+export function switchSibling(thread, msgId, delta) {
+  const siblings = siblingsOf(thread, msgId);
+  const index = siblings.findIndex((m) => m.id === msgId);
+  const target = siblings[index + delta];
+  if (index < 0 || !target) return thread;
+  return revealMessage(thread, target.id);
+}
+
+/**
+ * Makes the branch containing `msgId` active, following the most recent reply
+ * below it down to a leaf. Used by sibling switching and search jumps.
+ */
+export function revealMessage(thread, msgId) {
+  const list = thread?.messages || [];
+  let leaf = list.find((m) => m.id === msgId);
+  if (!leaf) return thread;
+
+  const lastChild = new Map();
+  for (const m of list) lastChild.set(parentOf(m), m);
+  while (lastChild.has(leaf.id)) leaf = lastChild.get(leaf.id);
+  return { messages: list, leafId: leaf.id };
+}
+
+/**
+ * The thread without pending (still streaming) messages, for saving: a pending leaf gives
+ * way to its parent. Returns `thread` itself when nothing is pending.
+ */
+export function settledThread(thread) {
+  const list = thread?.messages || [];
+  if (!list.some((m) => m.pending)) return thread;
+
+  let nodes = list.filter((m) => !m.pending);
+  for (;;) {
+    const ids = new Set(nodes.map((m) => m.id));
+    const kept = nodes.filter((m) => parentOf(m) === null || ids.has(m.parentId));
+    if (kept.length === nodes.length) break;
+    nodes = kept;
+  }
+  const ids = new Set(nodes.map((m) => m.id));
+  const leaf = branchOf(thread)
+    .reverse()
+    .find((m) => ids.has(m.id));
+  return { messages: nodes, leafId: leaf ? leaf.id : null };
+}
+
+/**
+ * A saved copy of the thread with `local`'s pending messages put back under their parents,
+ * so a reply still streaming here survives a reload of the chat (e.g. another tab saved
+ * it). The pending leaf stays active if it could be kept. Returns `saved` itself when
+ * there's nothing to carry over.
+ */
+export function withPending(saved, local) {
+  const list = saved?.messages || [];
+  const ids = new Set(list.map((m) => m.id));
+  const carried = [];
+  for (const m of local?.messages || []) {
+    if (!m.pending || ids.has(m.id) || !ids.has(parentOf(m))) continue;
+    carried.push(m);
+    ids.add(m.id);
+  }
+  if (!carried.length) return saved;
+  return { messages: [...list, ...carried], leafId: ids.has(local.leafId) ? local.leafId : saved.leafId };
+}
+
+/**
+ * True when both threads hold the same message objects (and leaf); cheap enough to run
+ * on every render.
+ */
+export function sameThread(a, b) {
+  const x = a?.messages || [];
+  const y = b?.messages || [];
+  return (a?.leafId ?? null) === (b?.leafId ?? null) && x.length === y.length && x.every((m, i) => m === y[i]);
+}
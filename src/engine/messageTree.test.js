@@ -0,0 +1,105 @@
+import {
+  applyBranch,
+  branchOf,
+  forkAt,
+  linearThread,
+  normalizeThread,
+  revealMessage,
+  sameThread,
+  settledThread,
+  siblingsOf,
+  switchSibling,
+  withPending,
+} from "./messageTree";
+
+const msg = (id, extra = {}) => ({ id, role: "user", text: id, at: "2026-01-01T00:00:00.000Z", ...extra });
+const ids = (list) => list.map((m) => m.id);
+
+// u1 → a1 → u2, plus an edited u2b and its reply a2b as a second branch under a1.
+function branchedThread(base = linearThread([msg("u1"), msg("a1"), msg("u2")])) {
+  const forked = forkAt(base, "a1");
+  return applyBranch(forked, [...branchOf(forked), msg("u2b"), msg("a2b")]);
+}
+
+test("linearThread links a plain list and skips duplicates", () => {
+  const thread = linearThread([msg("a"), msg("b"), msg("a"), null]);
+  expect(thread.messages.map((m) => m.parentId)).toEqual([null, "a"]);
+  expect(thread.leafId).toBe("b");
+});
+
+test("normalizeThread migrates flat lists and repairs dangling links", () => {
+  expect(normalizeThread([msg("a"), msg("b")], "a")).toMatchObject({ leafId: "b" });
+
+  const thread = normalizeThread([msg("a", { parentId: null }), msg("b", { parentId: "gone" })], "missing");
+  expect(thread.messages[1].parentId).toBeNull();
+  expect(thread.leafId).toBe("b");
+});
+
+test("applyBranch keeps other branches and untouched nodes", () => {
+  const base = linearThread([msg("u1"), msg("a1"), msg("u2")]);
+  const thread = branchedThread(base);
+
+  expect(ids(branchOf(thread))).toEqual(["u1", "a1", "u2b", "a2b"]);
+  expect(ids(siblingsOf(thread, "u2"))).toEqual(["u2", "u2b"]);
+  expect(thread.messages[0]).toBe(base.messages[0]);
+});
+
+test("applyBranch deletes nodes dropped from the branch along with their replies", () => {
+  const thread = branchedThread();
+  const next = applyBranch(thread, branchOf(thread).slice(0, 1));
+  expect(ids(next.messages)).toEqual(["u1"]);
+  expect(next.leafId).toBe("u1");
+});
+
+test("applyBranch stamps new nodes with the time they were added", () => {
+  const base = linearThread([msg("u1")]);
+  const next = applyBranch(base, [...base.messages, { id: "a1", role: "assistant", text: "hi" }]);
+  expect(next.messages[1].at).toEqual(expect.stringMatching(/^\d{4}-\d\d-\d\dT/));
+  expect(applyBranch(next, branchOf(next)).messages[1]).toBe(next.messages[1]);
+});
+
+test("switchSibling and revealMessage follow the latest reply down to a leaf", () => {
+  const thread = branchedThread();
+  const back = switchSibling(thread, "u2b", -1);
+  expect(back.leafId).toBe("u2");
+  expect(switchSibling(back, "u2", 1).leafId).toBe("a2b");
+  expect(switchSibling(back, "u2", -1)).toBe(back);
+  expect(revealMessage(back, "u1").leafId).toBe("a2b");
+});
+
+test("forkAt only moves the leaf", () => {
+  const thread = branchedThread();
+  const forked = forkAt(thread, "u1");
+  expect(forked.messages).toBe(thread.messages);
+  expect(forked.leafId).toBe("u1");
+  expect(forkAt(thread, "nope").leafId).toBeNull();
+});
+
+test("settledThread drops pending nodes and moves the leaf back", () => {
+  const thread = branchedThread();
+  expect(settledThread(thread)).toBe(thread);
+
+  const streaming = applyBranch(thread, [...branchOf(thread), msg("t1", { pending: true })]);
+  const settled = settledThread(streaming);
+  expect(ids(settled.messages)).toEqual(ids(thread.messages));
+  expect(settled.leafId).toBe("a2b");
+  expect(sameThread(settled, thread)).toBe(true);
+  expect(sameThread(streaming, thread)).toBe(false);
+});
+
+test("withPending carries a streaming reply over to a copy saved elsewhere", () => {
+  const local = applyBranch(branchedThread(), [...branchOf(branchedThread()), msg("t1", { pending: true })]);
+  // The other tab added a reply under u2 and has that branch open.
+  const onU2 = forkAt(settledThread(local), "u2");
+  const saved = applyBranch(onU2, [...branchOf(onU2), msg("a2")]);
+
+  const merged = withPending(saved, local);
+  expect(ids(merged.messages)).toEqual([...ids(saved.messages), "t1"]);
+  expect(merged.leafId).toBe("t1");
+  expect(branchOf(merged).map((m) => m.id)).toEqual(["u1", "a1", "u2b", "a2b", "t1"]);
+
+  // Nothing pending, or its parent is gone: the saved copy is used as is.
+  expect(withPending(saved, settledThread(local))).toBe(saved);
+  const cleared = linearThread([msg("u1")]);
+  expect(withPending(cleared, local)).toBe(cleared);
+});
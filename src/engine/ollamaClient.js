@@ -1,6 +1,7 @@
 const DEFAULT_BASE_URL = "http://localhost:11434";
 const DEFAULT_TIMEOUT_MS = 180_000;
 const DEFAULT_NUM_PREDICT = 512;
+const DEFAULT_CONTEXT_TOKENS = 4096;
 
 function getEnv(key, fallback = "") {
   // CRA only exposes REACT_APP_* vars.
@@ -17,7 +18,9 @@ export function getOllamaConfig() {
   const model = getEnv("REACT_APP_OLLAMA_MODEL", "llama3.2");
   const numPredictRaw = getEnv("REACT_APP_OLLAMA_NUM_PREDICT", "");
   const numPredict = Number.isFinite(Number(numPredictRaw)) ? Number(numPredictRaw) : undefined;
-  return { baseUrl, model, numPredict };
+  const contextRaw = Number(getEnv("REACT_APP_OLLAMA_CONTEXT_TOKENS", ""));
+  const contextTokens = Number.isFinite(contextRaw) && contextRaw > 0 ? contextRaw : DEFAULT_CONTEXT_TOKENS;
+  return { baseUrl, model, numPredict, contextTokens };
 }
 
 export function isOllamaRemote(baseUrl) {
@@ -26,119 +29,339 @@ export function isOllamaRemote(baseUrl) {
   return !(b.startsWith("http://localhost") || b.startsWith("http://127.0.0.1") || b.startsWith("https://localhost") || b.startsWith("https://127.0.0.1"));
 }
 
-/**
- * Calls Ollama's /api/generate endpoint.
- * - If baseUrl is localhost default, we prefer CRA dev proxy by using a relative URL.
- * - If baseUrl is changed (remote), we call it directly.
- */
-export async function ollamaGenerate(
-  prompt,
-  {
-    baseUrl,
-    model,
-    numPredict,
-    timeoutMs = DEFAULT_TIMEOUT_MS,
-  } = getOllamaConfig()
-) {
+export function resolveOllamaUrl(baseUrl, path) {
   const normalizedBase = (baseUrl || DEFAULT_BASE_URL).replace(/\/$/, "");
   // Always prefer same-origin proxy for local Ollama to avoid browser CORS issues.
-  const isLocalBase =
-    normalizedBase.toLowerCase().startsWith("http://localhost") ||
-    normalizedBase.toLowerCase().startsWith("http://127.0.0.1") ||
-    normalizedBase.toLowerCase().startsWith("https://localhost") ||
-    normalizedBase.toLowerCase().startsWith("https://127.0.0.1");
-  const useDevProxy = isLocalBase;
-  const url = useDevProxy ? "/ollama/api/generate" : `${normalizedBase}/api/generate`;
+  return isOllamaRemote(normalizedBase) ? `${normalizedBase}${path}` : `/ollama${path}`;
+}
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), Math.max(1, Number(timeoutMs) || DEFAULT_TIMEOUT_MS));
+export async function parseErrorBody(response) {
+  const ct = (response.headers.get("content-type") || "").toLowerCase();
+  const text = await response.text().catch(() => "");
+  if (!text) return "";
 
-  let res;
-  try {
-    res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model,
-        prompt,
-        stream: false,
-        options: {
-          num_predict: Number.isFinite(Number(numPredict))
-            ? Number(numPredict)
-            : DEFAULT_NUM_PREDICT,
-        },
-      }),
-      signal: controller.signal,
-    });
-  } catch (e) {
-    if (controller.signal.aborted) {
-      throw new Error(`Ollama request timed out after ${Math.round((Number(timeoutMs) || DEFAULT_TIMEOUT_MS) / 1000)}s.`);
+  // Standard Ollama errors: application/json {"error":"..."}
+  if (ct.includes("application/json")) {
+    try {
+      const obj = JSON.parse(text);
+      if (obj && typeof obj.error === "string") return obj.error;
+    } catch {
+      // fall back to raw text
     }
-    throw e;
-  } finally {
-    clearTimeout(timeout);
   }
 
-  async function parseErrorBody(response) {
-    const ct = (response.headers.get("content-type") || "").toLowerCase();
-    const text = await response.text().catch(() => "");
-    if (!text) return "";
-
-    // Standard Ollama errors: application/json {"error":"..."}
-    if (ct.includes("application/json")) {
+  // Streaming-style errors: application/x-ndjson with {"error":"..."}
+  if (ct.includes("application/x-ndjson") || text.includes("\n")) {
+    const lines = text
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean);
+    for (const line of lines) {
       try {
-        const obj = JSON.parse(text);
+        const obj = JSON.parse(line);
         if (obj && typeof obj.error === "string") return obj.error;
       } catch {
-        // fall back to raw text
+        // ignore
       }
     }
+  }
+
+  return text;
+}
+
+/**
+ * Reads an ndjson response line by line, calling onObject for every parsed chunk.
+ * If onObject (or parsing) throws, the stream is cancelled so the request stops.
+ * Falls back to buffering the whole body when the runtime has no readable stream.
+ */
+export async function readNdjson(res, onObject) {
+  if (!res.body || typeof res.body.getReader !== "function") {
+    const text = await res.text();
+    for (const line of text.split("\n")) {
+      const trimmed = line.trim();
+      if (trimmed) onObject(JSON.parse(trimmed));
+    }
+    return;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
 
-    // Streaming-style errors: application/x-ndjson with {"error":"..."}
-    if (ct.includes("application/x-ndjson") || text.includes("\n")) {
-      const lines = text
-        .split("\n")
-        .map((l) => l.trim())
-        .filter(Boolean);
-      for (const line of lines) {
-        try {
-          const obj = JSON.parse(line);
-          if (obj && typeof obj.error === "string") return obj.error;
-        } catch {
-          // ignore
-        }
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let nl = buffer.indexOf("\n");
+      while (nl >= 0) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (line) onObject(JSON.parse(line));
+        nl = buffer.indexOf("\n");
       }
     }
+  } catch (e) {
+    // Stop the download (e.g. an {"error"} chunk mid-stream) instead of leaving it running.
+    await reader.cancel().catch(() => {});
+    throw e;
+  }
+
+  const tail = (buffer + decoder.decode()).trim();
+  if (tail) onObject(JSON.parse(tail));
+}
 
-    return text;
+const SAMPLING_KEYS = ["temperature", "top_p", "top_k", "repeat_penalty", "seed", "num_ctx"];
+
+/**
+ * Builds the Ollama `options` payload: num_predict plus any numeric sampling values
+ * and stop sequences that are actually set (null/"" entries are left to the model).
+ */
+function buildOptions(numPredict, options) {
+  const src = options && typeof options === "object" ? options : {};
+  const out = {
+    num_predict: Number.isFinite(Number(numPredict)) ? Number(numPredict) : DEFAULT_NUM_PREDICT,
+  };
+  for (const key of SAMPLING_KEYS) {
+    const v = src[key];
+    if (v === null || v === undefined || String(v).trim() === "") continue;
+    if (Number.isFinite(Number(v))) out[key] = Number(v);
+  }
+  const stop = (Array.isArray(src.stop) ? src.stop : []).map(String).filter((x) => x.trim());
+  if (stop.length) out.stop = stop;
+  return out;
+}
+
+// keep_alive accepts durations ("10m") or plain seconds; send bare numbers as numbers.
+function keepAliveValue(value) {
+  const v = String(value).trim();
+  return /^-?\d+$/.test(v) ? Number(v) : v;
+}
+
+/**
+ * Shared POST + (optionally streamed) ndjson handling for /api/generate and /api/chat.
+ * pickToken(chunk) extracts the text delta from one response object.
+ */
+async function ollamaRequest(
+  path,
+  body,
+  { baseUrl, numPredict, options, keepAlive, timeoutMs, onToken, signal, pickToken }
+) {
+  const url = resolveOllamaUrl(baseUrl, path);
+  const streaming = typeof onToken === "function";
+  const payloadOptions = buildOptions(numPredict, options);
+  const limit = payloadOptions.num_predict;
+  const waitMs = Math.max(1, Number(timeoutMs) || DEFAULT_TIMEOUT_MS);
+
+  const controller = new AbortController();
+  let timeout = null;
+  function armTimeout() {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => controller.abort(), waitMs);
+  }
+  function abortError(partialText) {
+    if (signal?.aborted) {
+      const err = new Error("Ollama request was stopped.");
+      err.name = "AbortError";
+      err.partialText = String(partialText || "").trim();
+      return err;
+    }
+    return new Error(`Ollama request timed out after ${Math.round(waitMs / 1000)}s.`);
+  }
+  function onExternalAbort() {
+    controller.abort();
   }
 
-  if (!res.ok) {
-    const errMsg = await parseErrorBody(res);
-    throw new Error(`Ollama request failed (${res.status}). ${errMsg}`.trim());
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener("abort", onExternalAbort, { once: true });
   }
 
-  // Even with stream=false, keep this tolerant in case a proxy returns ndjson.
-  const ct = (res.headers.get("content-type") || "").toLowerCase();
-  if (ct.includes("application/x-ndjson")) {
-    const text = await res.text();
-    const lines = text
-      .split("\n")
-      .map((l) => l.trim())
-      .filter(Boolean);
-    let out = "";
-    for (const line of lines) {
-      const obj = JSON.parse(line);
-      if (obj && typeof obj.error === "string") throw new Error(obj.error);
-      if (obj && typeof obj.response === "string") out += obj.response;
-      if (obj && obj.done) break;
+  armTimeout();
+  try {
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...body,
+          stream: streaming,
+          options: payloadOptions,
+          ...(keepAlive !== undefined && String(keepAlive).trim() !== "" ? { keep_alive: keepAliveValue(keepAlive) } : {}),
+        }),
+        signal: controller.signal,
+      });
+    } catch (e) {
+      if (controller.signal.aborted) throw abortError("");
+      throw e;
+    }
+
+    if (!res.ok) {
+      const errMsg = await parseErrorBody(res);
+      throw new Error(`Ollama request failed (${res.status}). ${errMsg}`.trim());
     }
-    return String(out || "").trim();
+
+    // Even with stream=false, keep this tolerant in case a proxy returns ndjson.
+    const ct = (res.headers.get("content-type") || "").toLowerCase();
+    if (streaming || ct.includes("application/x-ndjson")) {
+      let out = "";
+      let tokens = 0;
+      let finished = false;
+      try {
+        await readNdjson(res, (obj) => {
+          if (finished) return;
+          armTimeout();
+          if (obj && typeof obj.error === "string") throw new Error(obj.error);
+          const token = pickToken(obj);
+          if (token) {
+            out += token;
+            tokens += 1;
+          }
+          if (obj && obj.done) {
+            finished = true;
+            if (Number.isFinite(Number(obj.eval_count))) tokens = Number(obj.eval_count);
+          }
+          if (streaming && (token || finished)) {
+            onToken(token, { text: out, tokens, numPredict: limit, done: finished });
+          }
+        });
+      } catch (e) {
+        if (controller.signal.aborted) throw abortError(out);
+        throw e;
+      }
+      return String(out || "").trim();
+    }
+
+    let data;
+    try {
+      data = await res.json();
+    } catch (e) {
+      if (controller.signal.aborted) throw abortError("");
+      throw e;
+    }
+    if (data && typeof data.error === "string") {
+      throw new Error(data.error);
+    }
+    return String(pickToken(data) || "").trim();
+  } finally {
+    clearTimeout(timeout);
+    if (signal) signal.removeEventListener("abort", onExternalAbort);
   }
+}
+
+/**
+ * Calls Ollama's /api/generate endpoint.
+ * - If baseUrl is localhost default, we prefer CRA dev proxy by using a relative URL.
+ * - If baseUrl is changed (remote), we call it directly.
+ * - If onToken is given, the reply is streamed and onToken(token, progress) fires per chunk,
+ *   where progress is { text, tokens, numPredict, done }. The timeout then applies to
+ *   silence between chunks rather than to the whole reply.
+ * - If signal is given and aborts, the request is cancelled and an AbortError is thrown
+ *   carrying whatever text was received so far as `partialText`.
+ * - options carries sampling values (temperature, top_p, top_k, repeat_penalty, seed,
+ *   num_ctx, stop); keepAlive maps to Ollama's keep_alive ("10m", "-1", 0…).
+ * - format is passed through to Ollama ("json" or a JSON schema object) to constrain output.
+ */
+export async function ollamaGenerate(
+  prompt,
+  {
+    baseUrl,
+    model,
+    numPredict,
+    options,
+    keepAlive,
+    format,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    onToken,
+    signal,
+  } = getOllamaConfig()
+) {
+  return ollamaRequest(
+    "/api/generate",
+    { model, prompt, ...(format ? { format } : {}) },
+    {
+      baseUrl,
+      numPredict,
+      options,
+      keepAlive,
+      timeoutMs,
+      onToken,
+      signal,
+      pickToken: (obj) => (obj && typeof obj.response === "string" ? obj.response : ""),
+    }
+  );
+}
+
+// Rough chars-per-token ratio; good enough to keep history inside the context window without a tokenizer.
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/**
+ * Drops the oldest non-system turns until the conversation fits the token budget.
+ * System messages and the latest message are always kept.
+ */
+export function fitChatHistory(messages, maxTokens) {
+  const list = (Array.isArray(messages) ? messages : []).filter((m) => m && typeof m.content === "string");
+  const system = list.filter((m) => m.role === "system");
+  const turns = list.filter((m) => m.role !== "system");
 
-  const data = await res.json();
-  if (data && typeof data.error === "string") {
-    throw new Error(data.error);
+  let budget = Math.max(0, Number(maxTokens) || 0) - system.reduce((n, m) => n + estimateTokens(m.content), 0);
+  const kept = [];
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(turns[i].content);
+    if (kept.length && cost > budget) break;
+    kept.unshift(turns[i]);
+    budget -= cost;
   }
-  return String(data?.response || "").trim();
+
+  return [...system, ...kept];
+}
+
+/**
+ * Calls Ollama's /api/chat endpoint with role-tagged messages
+ * ([{ role: "system"|"user"|"assistant", content }]).
+ * History is trimmed to the context window minus numPredict (the reply budget). The window
+ * is contextTokens when given, else options.num_ctx, else the configured default.
+ * Accepts the same options as ollamaGenerate.
+ */
+export async function ollamaChat(
+  messages,
+  {
+    baseUrl,
+    model,
+    numPredict,
+    contextTokens,
+    options,
+    keepAlive,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    onToken,
+    signal,
+  } = getOllamaConfig()
+) {
+  const numCtx = Number(options?.num_ctx);
+  const ctx = Number.isFinite(Number(contextTokens)) && Number(contextTokens) > 0
+    ? Number(contextTokens)
+    : Number.isFinite(numCtx) && numCtx > 0
+    ? numCtx
+    : getOllamaConfig().contextTokens;
+  const reserve = Number.isFinite(Number(numPredict)) ? Number(numPredict) : DEFAULT_NUM_PREDICT;
+  const history = fitChatHistory(messages, ctx - reserve).map((m) => ({ role: m.role, content: m.content }));
+
+  return ollamaRequest(
+    "/api/chat",
+    { model, messages: history },
+    {
+      baseUrl,
+      numPredict,
+      options,
+      keepAlive,
+      timeoutMs,
+      onToken,
+      signal,
+      pickToken: (obj) => (obj && typeof obj.message?.content === "string" ? obj.message.content : ""),
+    }
+  );
 }
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+import { fitChatHistory, isOllamaRemote, readNdjson, resolveOllamaUrl } from "./ollamaClient";
+
+// A fetch Response whose body arrives in the given string chunks.
+function streamedResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  const reader = {
+    read: jest.fn(async () => (queue.length ? { value: encoder.encode(queue.shift()), done: false } : { done: true })),
+    cancel: jest.fn(async () => {}),
+  };
+  return { res: { body: { getReader: () => reader } }, reader };
+}
+
+describe("readNdjson", () => {
+  test("parses objects split across chunks, including an unterminated last line", async () => {
+    const { res } = streamedResponse(['{"response":"He', 'llo"}\n{"resp', 'onse":" world"}\n\n{"done":true}']);
+    const seen = [];
+    await readNdjson(res, (obj) => seen.push(obj));
+    expect(seen).toEqual([{ response: "Hello" }, { response: " world" }, { done: true }]);
+  });
+
+  test("cancels the stream when the handler throws", async () => {
+    const { res, reader } = streamedResponse(['{"response":"a"}\n{"error":"model not found"}\n', '{"response":"b"}\n']);
+    await expect(
+      readNdjson(res, (obj) => {
+        if (obj.error) throw new Error(obj.error);
+      })
+    ).rejects.toThrow("model not found");
+    expect(reader.cancel).toHaveBeenCalledTimes(1);
+    expect(reader.read).toHaveBeenCalledTimes(1);
+  });
+
+  test("falls back to the whole text without a readable body", async () => {
+    const seen = [];
+    await readNdjson({ body: null, text: async () => '{"a":1}\n\n{"a":2}\n' }, (obj) => seen.push(obj));
+    expect(seen).toEqual([{ a: 1 }, { a: 2 }]);
+  });
+});
+
+describe("fitChatHistory", () => {
+  const turn = (role, chars) => ({ role, content: "x".repeat(chars) });
+
+  test("drops the oldest turns first and keeps system messages", () => {
+    const system = turn("system", 40); // 10 tokens
+    const list = [system, turn("user", 80), turn("assistant", 80), turn("user", 80)]; // 20 tokens each
+    expect(fitChatHistory(list, 55)).toEqual([system, list[2], list[3]]);
+  });
+
+  test("always keeps the latest message, even over budget", () => {
+    const last = turn("user", 400);
+    expect(fitChatHistory([turn("user", 4), last], 10)).toEqual([last]);
+  });
+
+  test("ignores entries without string content", () => {
+    expect(fitChatHistory([null, { role: "user" }, { role: "user", content: "hi" }], 100)).toEqual([
+      { role: "user", content: "hi" },
+    ]);
+  });
+});
+
+test("local Ollama goes through the dev proxy, remote hosts are called directly", () => {
+  expect(isOllamaRemote("http://LOCALHOST:11434")).toBe(false);
+  expect(resolveOllamaUrl("http://127.0.0.1:11434/", "/api/chat")).toBe("/ollama/api/chat");
+  expect(isOllamaRemote("https://gpu.example.com")).toBe(true);
+  expect(resolveOllamaUrl("https://gpu.example.com/", "/api/chat")).toBe("https://gpu.example.com/api/chat");
+});
@@ -1,23 +1,151 @@
-export async function fetchOllamaModels() {
-  // Unified server proxies Ollama at /ollama/*
-  const res = await fetch("/ollama/api/tags");
+import { getOllamaConfig, parseErrorBody, readNdjson, resolveOllamaUrl } from "./ollamaClient";
+
+function apiUrl(path) {
+  // Local Ollama goes through the same-origin proxy at /ollama/*.
+  return resolveOllamaUrl(getOllamaConfig().baseUrl, path);
+}
+
+async function postJson(path, body, { method = "POST", signal } = {}) {
+  const res = await fetch(apiUrl(path), {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
+    signal,
+  });
+  if (!res.ok) {
+    const errMsg = await parseErrorBody(res);
+    throw new Error(`Ollama ${path} failed (${res.status}). ${errMsg}`.trim());
+  }
+  return res;
+}
+
+function isRemoteModel(m, name) {
+  // Ollama can list "*-cloud" entries that route to ollama.com.
+  return Boolean(m?.remote_host) || /-cloud\b/i.test(name);
+}
+
+/**
+ * Lists installed models from /api/tags with their size and details.
+ * Returns [{ name, size, modifiedAt, family, parameterSize, quantization, remote }].
+ */
+export async function fetchOllamaModelDetails() {
+  const res = await fetch(apiUrl("/api/tags"));
   if (!res.ok) {
     throw new Error(`Ollama tags request failed (${res.status})`);
   }
   const data = await res.json();
   const models = Array.isArray(data?.models) ? data.models : [];
 
-  // Prefer truly local models. Ollama can list "*-cloud" entries that route to ollama.com.
-  const local = [];
-  const remote = [];
+  return models
+    .map((m) => {
+      const name = String(m?.name || m?.model || "").trim();
+      return {
+        name,
+        size: Number(m?.size) || 0,
+        modifiedAt: typeof m?.modified_at === "string" ? m.modified_at : "",
+        family: String(m?.details?.family || ""),
+        parameterSize: String(m?.details?.parameter_size || ""),
+        quantization: String(m?.details?.quantization_level || ""),
+        remote: isRemoteModel(m, name),
+      };
+    })
+    .filter((m) => m.name);
+}
 
-  for (const m of models) {
-    const name = String(m?.name || m?.model || "").trim();
-    if (!name) continue;
-    const isRemote = Boolean(m?.remote_host) || /-cloud\b/i.test(name);
-    (isRemote ? remote : local).push(name);
-  }
+export async function fetchOllamaModels() {
+  const models = await fetchOllamaModelDetails();
+
+  // Prefer truly local models.
+  const local = models.filter((m) => !m.remote).map((m) => m.name);
+  const remote = models.filter((m) => m.remote).map((m) => m.name);
 
   // If there are no local models (rare), fall back to showing remote.
   return local.length ? local : remote;
 }
+
+/**
+ * Lists models currently loaded in memory (/api/ps).
+ * Returns [{ name, sizeVram, expiresAt }].
+ */
+export async function fetchRunningModels() {
+  const res = await fetch(apiUrl("/api/ps"));
+  if (!res.ok) {
+    throw new Error(`Ollama ps request failed (${res.status})`);
+  }
+  const data = await res.json();
+  return (Array.isArray(data?.models) ? data.models : [])
+    .map((m) => ({
+      name: String(m?.name || m?.model || "").trim(),
+      sizeVram: Number(m?.size_vram) || 0,
+      expiresAt: typeof m?.expires_at === "string" ? m.expires_at : "",
+    }))
+    .filter((m) => m.name);
+}
+
+/**
+ * Pulls a model via /api/pull, streaming progress.
+ * onProgress receives { status, completed, total, percent } (percent is null while
+ * Ollama reports no byte counts, e.g. "pulling manifest").
+ */
+export async function pullOllamaModel(name, { onProgress, signal } = {}) {
+  const model = String(name || "").trim();
+  if (!model) throw new Error("Model name is required.");
+
+  const res = await postJson("/api/pull", { model, stream: true }, { signal });
+  let last = { status: "", completed: 0, total: 0, percent: null };
+  await readNdjson(res, (obj) => {
+    if (obj && typeof obj.error === "string") throw new Error(obj.error);
+    const total = Number(obj?.total) || 0;
+    const completed = Number(obj?.completed) || 0;
+    last = {
+      status: String(obj?.status || last.status),
+      completed,
+      total,
+      percent: total ? Math.min(100, Math.floor((completed / total) * 100)) : null,
+    };
+    if (typeof onProgress === "function") onProgress(last);
+  });
+
+  if (last.status && last.status !== "success") {
+    throw new Error(`Pull ended with status "${last.status}".`);
+  }
+  return last;
+}
+
+export async function deleteOllamaModel(name) {
+  await postJson("/api/delete", { model: String(name || "").trim() }, { method: "DELETE" });
+}
+
+/**
+ * Fetches /api/show details for one model.
+ * Returns { parameters, template, family, parameterSize, quantization, contextLength, license }.
+ */
+export async function showOllamaModel(name) {
+  const res = await postJson("/api/show", { model: String(name || "").trim() });
+  const data = await res.json();
+  const info = data?.model_info && typeof data.model_info === "object" ? data.model_info : {};
+  const ctxKey = Object.keys(info).find((k) => /\.context_length$/.test(k));
+
+  return {
+    parameters: String(data?.parameters || ""),
+    template: String(data?.template || ""),
+    family: String(data?.details?.family || ""),
+    parameterSize: String(data?.details?.parameter_size || ""),
+    quantization: String(data?.details?.quantization_level || ""),
+    contextLength: ctxKey ? Number(info[ctxKey]) || null : null,
+    license: String(data?.license || "").split("\n")[0],
+  };
+}
+
+/**
+ * Preloads (keepAlive like "10m" or -1) or unloads (keepAlive 0) a model by sending an
+ * empty generate request, which is how Ollama exposes load/unload.
+ */
+export async function setModelKeepAlive(name, keepAlive) {
+  const res = await postJson("/api/generate", {
+    model: String(name || "").trim(),
+    keep_alive: keepAlive,
+    stream: false,
+  });
+  await res.json().catch(() => ({}));
+}
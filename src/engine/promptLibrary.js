@@ -1,12 +1,8 @@
-const KEY = "toastyMills.prompts.v1";
+import { normalizeTags } from "./chatSessions";
+import { readAll, readValue, syncRecords, writeValue } from "./storage";
 
-function safeParse(text, fallback) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return fallback;
-  }
-}
+// One record per prompt, so saving an edit doesn't rewrite every avatar image.
+const COLLECTION = "prompts";
 
 function nowIso() {
   return new Date().toISOString();
@@ -20,6 +16,63 @@ function clampText(value, maxLen) {
   return String(value || "").trim().slice(0, maxLen);
 }
 
+/**
+ * Template placeholders: {{name}}, {{name=default}}, {{name:multiline}} and
+ * {{name:choice=a|b|c}} (the first option is the default). Names are letters,
+ * digits, "_" or "-"; unknown types fall back to text.
+ */
+const VARIABLE_RE = /\{\{\s*([A-Za-z][\w-]*)\s*(?::\s*(\w+)\s*)?(?:=([^}]*))?\}\}/g;
+export const VARIABLE_TYPES = ["text", "multiline", "choice"];
+const MAX_VARIABLES = 12;
+
+/**
+ * Variables used in a prompt text, in order of first appearance. A name used twice is
+ * one field; its first placeholder defines type and default.
+ */
+export function parsePromptVariables(text) {
+  const vars = [];
+  for (const m of String(text || "").matchAll(VARIABLE_RE)) {
+    const name = m[1];
+    if (vars.some((v) => v.name === name)) continue;
+    const type = VARIABLE_TYPES.includes(String(m[2] || "").toLowerCase()) ? m[2].toLowerCase() : "text";
+    const raw = (m[3] ?? "").trim();
+    if (type === "choice") {
+      const options = Array.from(new Set(raw.split("|").map((o) => o.trim()).filter(Boolean)));
+      if (!options.length) continue;
+      vars.push({ name, type, default: options[0], options });
+    } else {
+      vars.push({ name, type, default: raw });
+    }
+    if (vars.length >= MAX_VARIABLES) break;
+  }
+  return vars;
+}
+
+/**
+ * Fills placeholders from `values` (by name), falling back to each default.
+ */
+export function renderPrompt(text, values = {}) {
+  const vars = parsePromptVariables(text);
+  return String(text || "").replace(VARIABLE_RE, (whole, name) => {
+    const v = vars.find((x) => x.name === name);
+    if (!v) return whole;
+    const given = values?.[name];
+    return given === undefined || given === null ? v.default : String(given);
+  });
+}
+
+/**
+ * Slash trigger without the "/", e.g. "triage" → typed as /triage in the composer.
+ */
+export function normalizeTrigger(value) {
+  return String(value || "")
+    .trim()
+    .replace(/^\/+/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, "")
+    .slice(0, 24);
+}
+
 function normalizePrompt(p) {
   const title = clampText(p?.title, 48) || "Untitled";
   const description = clampText(p?.description, 120);
@@ -34,110 +87,276 @@ function normalizePrompt(p) {
     description,
     text,
     level,
+    trigger: normalizeTrigger(p?.trigger),
+    folder: clampText(p?.folder, 32).replace(/\s+/g, " "),
+    tags: normalizeTags(p?.tags),
+    favorite: Boolean(p?.favorite),
+    uses: Number.isInteger(p?.uses) && p.uses > 0 ? p.uses : 0,
+    lastUsedAt: typeof p?.lastUsedAt === "string" ? p.lastUsedAt : "",
     avatarText: avatarText || title.slice(0, 2).toUpperCase(),
     avatarImage,
+    pack: BUILTIN_PACKS.some((pk) => pk.id === p?.pack) ? p.pack : "",
+    variables: parsePromptVariables(text),
     createdAt: typeof p?.createdAt === "string" && p.createdAt ? p.createdAt : nowIso(),
-    updatedAt: nowIso(),
+    updatedAt: typeof p?.updatedAt === "string" && p.updatedAt ? p.updatedAt : nowIso(),
   };
 }
 
-function defaultPrompts() {
-  return [
-    {
-      title: "Help",
-      description: "Show what this chat can do",
-      text: "help",
-      level: "basic",
-      avatarText: "?",
-    },
-    {
-      title: "Define a word",
-      description: "Get a crisp definition + examples",
-      text: "What does ephemeral mean? Give a simple definition and 2 example sentences.",
-      level: "basic",
-      avatarText: "Df",
-    },
-    {
-      title: "Synonyms",
-      description: "List alternatives and when to use them",
-      text: "Give me synonyms for melancholy. Group them by tone (formal/neutral/poetic) and include short usage notes.",
-      level: "basic",
-      avatarText: "Sy",
-    },
-    {
-      title: "Connect words",
-      description: "Explain the relationship between two ideas",
-      text: "How are joy and sorrow connected? Explain in 3 bullets and give 1 short metaphor.",
-      level: "basic",
-      avatarText: "Cn",
-    },
-    {
-      title: "Emotion words",
-      description: "Generate a mini vocabulary set",
-      text: "List 12 emotion words. For each: definition (1 line) + 1 synonym.",
-      level: "basic",
-      avatarText: "Em",
-    },
-    {
-      title: "Similar to…",
-      description: "Find close words + nuance",
-      text: "Give me 8 words similar to luminous, and explain the nuance difference in 1 phrase each.",
-      level: "basic",
-      avatarText: "~",
-    },
-    {
-      title: "Triage an error",
-      description: "IT-style fast diagnosis + next steps",
-      text:
-        "You are a senior IT engineer.\n" +
-        "I will paste an error message and context.\n" +
-        "Return: (1) 3 most likely causes ranked, (2) commands/checks to confirm each, (3) safest quick fix, (4) long-term fix.\n" +
-        "Ask ONLY 1 clarifying question if needed.",
-      level: "intermediate",
-      avatarText: "IT",
-    },
-    {
-      title: "PowerShell helper",
-      description: "Write/repair a PowerShell script",
-      text:
-        "Write a PowerShell script for Windows 11 that does the following (I will specify).\n" +
-        "Constraints: safe defaults, clear output, idempotent if possible.\n" +
-        "Also explain how to run it and how to undo changes.",
-      level: "intermediate",
-      avatarText: "PS",
-    },
-    {
-      title: "Security checklist",
-      description: "Hardening steps for a local app",
-      text:
-        "Give me a practical security checklist for a local-only app on Windows.\n" +
-        "Include: network exposure, secrets handling, logging/PII, updates, firewall rules, and least privilege.",
-      level: "intermediate",
-      avatarText: "Sec",
-    },
-  ].map(normalizePrompt);
+/**
+ * Built-in prompt packs. Turning a pack on adds its prompts (stable ids, tagged with
+ * `pack`); turning it off removes the ones still unedited. Editing a prompt makes it yours.
+ */
+export const BUILTIN_PACKS = [
+  {
+    id: "words",
+    name: "Words & vocabulary",
+    description: "Definitions, synonyms and word connections",
+    prompts: [
+      {
+        key: "help",
+        title: "Help",
+        description: "Show what this chat can do",
+        text: "help",
+        level: "basic",
+        avatarText: "?",
+      },
+      {
+        key: "define",
+        title: "Define a word",
+        description: "Get a crisp definition + examples",
+        text: "What does {{word=ephemeral}} mean? Give a simple definition and 2 example sentences.",
+        level: "basic",
+        trigger: "def",
+        avatarText: "Df",
+      },
+      {
+        key: "synonyms",
+        title: "Synonyms",
+        description: "List alternatives and when to use them",
+        text:
+          "Give me synonyms for {{word=melancholy}}. " +
+          "Group them by tone (formal/neutral/poetic) and include short usage notes.",
+        level: "basic",
+        trigger: "syn",
+        avatarText: "Sy",
+      },
+      {
+        key: "connect",
+        title: "Connect words",
+        description: "Explain the relationship between two ideas",
+        text: "How are {{first=joy}} and {{second=sorrow}} connected? Explain in 3 bullets and give 1 short metaphor.",
+        level: "basic",
+        trigger: "link",
+        avatarText: "Cn",
+      },
+      {
+        key: "emotions",
+        title: "Emotion words",
+        description: "Generate a mini vocabulary set",
+        text: "List 12 emotion words. For each: definition (1 line) + 1 synonym.",
+        level: "basic",
+        trigger: "emotions",
+        avatarText: "Em",
+      },
+      {
+        key: "similar",
+        title: "Similar to…",
+        description: "Find close words + nuance",
+        text: "Give me 8 words similar to {{word=luminous}}, and explain the nuance difference in 1 phrase each.",
+        level: "basic",
+        trigger: "similar",
+        avatarText: "~",
+      },
+    ],
+  },
+  {
+    id: "it",
+    name: "IT helpers",
+    description: "Error triage, scripts and hardening",
+    prompts: [
+      {
+        key: "triage",
+        title: "Triage an error",
+        description: "IT-style fast diagnosis + next steps",
+        text:
+          "You are a senior IT engineer.\n" +
+          "Return: (1) 3 most likely causes ranked, (2) commands/checks to confirm each, (3) safest quick fix, (4) long-term fix.\n" +
+          "Ask ONLY 1 clarifying question if needed.\n\n" +
+          "Error:\n{{error:multiline}}\n\n" +
+          "Context (OS, what changed):\n{{context:multiline}}",
+        level: "intermediate",
+        trigger: "triage",
+        avatarText: "IT",
+      },
+      {
+        key: "powershell",
+        title: "PowerShell helper",
+        description: "Write/repair a PowerShell script",
+        text:
+          "Write a PowerShell script for Windows 11 that does the following: {{task:multiline}}\n" +
+          "Constraints: safe defaults, clear output, idempotent if possible.\n" +
+          "Also explain how to run it and how to undo changes.",
+        level: "intermediate",
+        trigger: "ps",
+        avatarText: "PS",
+      },
+      {
+        key: "security",
+        title: "Security checklist",
+        description: "Hardening steps for a local app",
+        text:
+          "Give me a practical security checklist for a local-only app on {{platform:choice=Windows|macOS|Linux}}.\n" +
+          "Include: network exposure, secrets handling, logging/PII, updates, firewall rules, and least privilege.",
+        level: "intermediate",
+        trigger: "security",
+        avatarText: "Sec",
+      },
+    ],
+  },
+  {
+    id: "writing",
+    name: "Writing",
+    description: "Proofread, rewrite and summarize your own text",
+    prompts: [
+      {
+        key: "proofread",
+        title: "Proofread",
+        description: "Fix spelling and grammar, keep the voice",
+        text:
+          "Proofread the text below. Fix spelling, grammar and punctuation but keep my wording and tone.\n" +
+          "Then list the changes you made.\n\n{{text:multiline}}",
+        level: "basic",
+        trigger: "proof",
+        avatarText: "Pr",
+      },
+      {
+        key: "tone",
+        title: "Change the tone",
+        description: "Rewrite text for a different audience",
+        text:
+          "Rewrite the text below in a {{tone:choice=friendly|formal|concise|plain English}} tone.\n\n" +
+          "{{text:multiline}}",
+        level: "basic",
+        trigger: "tone",
+        avatarText: "To",
+      },
+      {
+        key: "summary",
+        title: "Summarize",
+        description: "Short summary of a long text",
+        text: "Summarize the text below in {{length:choice=3 bullets|1 paragraph|1 sentence}}.\n\n{{text:multiline}}",
+        level: "basic",
+        trigger: "tldr",
+        avatarText: "Su",
+      },
+    ],
+  },
+];
+
+const PACKS_KEY = "promptPacks"; // { enabled: [packId] }
+const DEFAULT_PACKS = ["words", "it"];
+
+function packPrompts(packId) {
+  const pack = BUILTIN_PACKS.find((p) => p.id === packId);
+  return (pack?.prompts || []).map(({ key, ...p }) =>
+    normalizePrompt({ ...p, id: `pack-${pack.id}-${key}`, pack: pack.id, folder: pack.name })
+  );
+}
+
+// Built-in texts from before templates; unedited copies are swapped for the new version.
+// Built-ins saved before triggers existed get their default trigger too.
+const STATIC_DEFAULT_TEXT = {
+  "Define a word": "What does ephemeral mean? Give a simple definition and 2 example sentences.",
+  Synonyms:
+    "Give me synonyms for melancholy. Group them by tone (formal/neutral/poetic) and include short usage notes.",
+  "Connect words": "How are joy and sorrow connected? Explain in 3 bullets and give 1 short metaphor.",
+  "Similar to…": "Give me 8 words similar to luminous, and explain the nuance difference in 1 phrase each.",
+  "Triage an error":
+    "You are a senior IT engineer.\n" +
+    "I will paste an error message and context.\n" +
+    "Return: (1) 3 most likely causes ranked, (2) commands/checks to confirm each, (3) safest quick fix, (4) long-term fix.\n" +
+    "Ask ONLY 1 clarifying question if needed.",
+  "PowerShell helper":
+    "Write a PowerShell script for Windows 11 that does the following (I will specify).\n" +
+    "Constraints: safe defaults, clear output, idempotent if possible.\n" +
+    "Also explain how to run it and how to undo changes.",
+  "Security checklist":
+    "Give me a practical security checklist for a local-only app on Windows.\n" +
+    "Include: network exposure, secrets handling, logging/PII, updates, firewall rules, and least privilege.",
+};
+
+// A library from before packs: unedited built-ins become pack prompts (keeping their
+// ids) and the packs they came from count as enabled.
+function adoptBuiltIns(list) {
+  const enabled = new Set();
+  const prompts = list.map((p) => {
+    for (const pack of BUILTIN_PACKS) {
+      const current = packPrompts(pack.id).find((d) => d.title === p?.title);
+      if (!current) continue;
+      let next = p;
+      if (p.text === STATIC_DEFAULT_TEXT[p.title]) next = { ...next, text: current.text };
+      if (!("trigger" in p)) next = { ...next, trigger: current.trigger };
+      if (next.text !== current.text) return next;
+      enabled.add(pack.id);
+      return { ...next, pack: pack.id, folder: next.folder || pack.name };
+    }
+    return p;
+  });
+  return { prompts, enabled: Array.from(enabled) };
 }
 
 export function loadPrompts() {
-  const raw = localStorage.getItem(KEY);
-  const parsed = safeParse(raw || "{}", {});
-  const list = Array.isArray(parsed?.prompts) ? parsed.prompts : [];
-
-  if (!list.length) {
-    const next = { prompts: defaultPrompts() };
-    localStorage.setItem(KEY, JSON.stringify(next));
-    return next.prompts;
+  const list = readAll(COLLECTION);
+
+  if (!readValue(PACKS_KEY, null)) {
+    // First start (or first start with packs): set up the default packs.
+    const adopted = list.length
+      ? adoptBuiltIns(list)
+      : { prompts: DEFAULT_PACKS.flatMap(packPrompts), enabled: DEFAULT_PACKS };
+    writeValue(PACKS_KEY, { enabled: adopted.enabled });
+    return savePrompts(adopted.prompts);
   }
 
   // Ensure the stored list is normalized.
-  const normalized = list.map(normalizePrompt);
-  localStorage.setItem(KEY, JSON.stringify({ prompts: normalized }));
-  return normalized;
+  return savePrompts(list);
+}
+
+/**
+ * Ids of the built-in packs that are turned on.
+ */
+export function getEnabledPacks() {
+  const enabled = readValue(PACKS_KEY, null)?.enabled;
+  return BUILTIN_PACKS.map((p) => p.id).filter((id) => (Array.isArray(enabled) ? enabled : DEFAULT_PACKS).includes(id));
+}
+
+/**
+ * Adds or removes a built-in pack's prompts and returns the new list. Prompts edited
+ * since (no longer tagged with the pack) stay either way.
+ */
+export function setPackEnabled(packId, enabled) {
+  if (!BUILTIN_PACKS.some((p) => p.id === packId)) return loadPrompts();
+  const existing = loadPrompts();
+  const ids = new Set(existing.map((p) => p.id));
+  const next = enabled
+    ? [...existing, ...packPrompts(packId).filter((p) => !ids.has(p.id))]
+    : existing.filter((p) => p.pack !== packId);
+  const packs = new Set(getEnabledPacks());
+  if (enabled) packs.add(packId);
+  else packs.delete(packId);
+  writeValue(PACKS_KEY, { enabled: BUILTIN_PACKS.map((p) => p.id).filter((id) => packs.has(id)) });
+  return savePrompts(next);
 }
 
 export function savePrompts(prompts) {
-  const normalized = (Array.isArray(prompts) ? prompts : []).map(normalizePrompt);
-  localStorage.setItem(KEY, JSON.stringify({ prompts: normalized }));
+  const taken = new Set();
+  const normalized = (Array.isArray(prompts) ? prompts : []).map(normalizePrompt).map((p) => {
+    // Triggers are unique; a later duplicate loses its trigger.
+    if (!p.trigger) return p;
+    if (taken.has(p.trigger)) return { ...p, trigger: "" };
+    taken.add(p.trigger);
+    return p;
+  });
+  syncRecords(COLLECTION, normalized, (p) => p.id);
   return normalized;
 }
 
@@ -146,13 +365,168 @@ export function upsertPrompt(prompt) {
   const nextItem = normalizePrompt(prompt);
   const idx = existing.findIndex((p) => p.id === nextItem.id);
   const next = [...existing];
-  if (idx >= 0) next[idx] = { ...next[idx], ...nextItem, updatedAt: nowIso() };
-  else next.unshift(nextItem);
+  // Saving from the editor detaches a pack prompt, so turning the pack off keeps it.
+  if (idx >= 0) next[idx] = { ...next[idx], ...nextItem, pack: "", updatedAt: nowIso() };
+  else next.unshift({ ...nextItem, pack: "" });
+  return savePrompts(next);
+}
+
+/**
+ * Favorite / folder / tags without counting as an edit (pack prompts stay attached).
+ */
+export function updatePromptMeta(promptId, patch) {
+  const p = patch && typeof patch === "object" ? patch : {};
+  const next = loadPrompts().map((item) => {
+    if (item.id !== promptId) return item;
+    const out = { ...item };
+    if ("favorite" in p) out.favorite = Boolean(p.favorite);
+    if ("folder" in p) out.folder = p.folder;
+    if ("tags" in p) out.tags = p.tags;
+    return out;
+  });
   return savePrompts(next);
 }
 
+/**
+ * Counts a use of the prompt (click or slash pick) for the "most used" / "recent" sorts.
+ */
+export function recordPromptUse(promptId) {
+  const next = loadPrompts().map((p) =>
+    p.id === promptId ? { ...p, uses: p.uses + 1, lastUsedAt: nowIso() } : p
+  );
+  return savePrompts(next);
+}
+
+export const PROMPT_SORTS = ["level", "used", "recent"];
+
+/**
+ * Folder names in use, A–Z.
+ */
+export function promptFolders(prompts) {
+  return Array.from(new Set((prompts || []).map((p) => p.folder).filter(Boolean))).sort((a, b) =>
+    a.localeCompare(b)
+  );
+}
+
+/**
+ * Tags in use, A–Z.
+ */
+export function promptTags(prompts) {
+  return Array.from(new Set((prompts || []).flatMap((p) => p.tags))).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Sidebar filter. `query` matches title, description, trigger and folder; "#tag" words
+ * in it require that tag. `show` is "all", "favorites", a level or "#tag"; `folder` is a
+ * folder name, "" for all, or null for prompts without one.
+ */
+export function filterPrompts(prompts, { query = "", show = "all", folder = "" } = {}) {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const tags = words.filter((w) => w.startsWith("#")).map((w) => w.slice(1)).filter(Boolean);
+  const terms = words.filter((w) => !w.startsWith("#"));
+
+  return (prompts || []).filter((p) => {
+    if (show === "favorites" && !p.favorite) return false;
+    if ((show === "basic" || show === "intermediate") && p.level !== show) return false;
+    if (show.startsWith("#") && !p.tags.includes(show.slice(1))) return false;
+    if (folder === null ? p.folder : folder && p.folder !== folder) return false;
+    if (!tags.every((t) => p.tags.includes(t))) return false;
+    const hay = `${p.title} ${p.description} /${p.trigger} ${p.folder}`.toLowerCase();
+    return terms.every((t) => hay.includes(t));
+  });
+}
+
+const byTitle = (a, b) => a.title.localeCompare(b.title);
+const PROMPT_ORDERS = {
+  level: (a, b) => a.level.localeCompare(b.level) || byTitle(a, b),
+  used: (a, b) => b.uses - a.uses || byTitle(a, b),
+  recent: (a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt) || byTitle(a, b),
+};
+
+/**
+ * Favorites first, then by level + title, use count, or last use (PROMPT_SORTS).
+ */
+export function sortPrompts(prompts, sort = "level") {
+  const order = PROMPT_ORDERS[sort] || PROMPT_ORDERS.level;
+  return (prompts || []).slice().sort((a, b) => Number(b.favorite) - Number(a.favorite) || order(a, b));
+}
+
 export function deletePrompt(promptId) {
   const existing = loadPrompts();
-  const next = existing.filter((p) => p.id !== promptId);
-  return savePrompts(next.length ? next : defaultPrompts());
+  return savePrompts(existing.filter((p) => p.id !== promptId));
+}
+
+export const CONFLICT_CHOICES = ["keepBoth", "overwrite", "skip"];
+
+/**
+ * The library prompt an incoming one collides with: same id, same trigger or same title.
+ */
+export function findPromptConflict(existing, incoming) {
+  const title = String(incoming?.title || "").trim().toLowerCase();
+  const trigger = normalizeTrigger(incoming?.trigger);
+  return (
+    existing.find((p) => p.id === incoming?.id) ||
+    (trigger && existing.find((p) => p.trigger === trigger)) ||
+    existing.find((p) => p.title.toLowerCase() === title) ||
+    null
+  );
+}
+
+function copyTitle(title, existing) {
+  const taken = new Set(existing.map((p) => p.title.toLowerCase()));
+  for (let n = 2; ; n += 1) {
+    const candidate = `${title.slice(0, 42)} (${n})`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/**
+ * Adds prompts from a shared pack. `choices` maps an incoming prompt's id to how a
+ * conflict is handled (CONFLICT_CHOICES; default keepBoth). Returns
+ * { prompts, added, replaced, skipped }.
+ */
+export function importPrompts(incoming, choices = {}) {
+  const next = loadPrompts();
+  let added = 0;
+  let replaced = 0;
+  let skipped = 0;
+
+  for (const raw of Array.isArray(incoming) ? incoming : []) {
+    const item = normalizePrompt({ ...raw, pack: "" });
+    const conflict = findPromptConflict(next, item);
+    const choice = CONFLICT_CHOICES.includes(choices[raw?.id]) ? choices[raw.id] : "keepBoth";
+
+    if (!conflict) {
+      next.push(item);
+      added += 1;
+    } else if (choice === "skip") {
+      skipped += 1;
+    } else if (choice === "overwrite") {
+      const idx = next.indexOf(conflict);
+      // Your favorite flag and usage stats survive an overwrite.
+      next[idx] = {
+        ...item,
+        id: conflict.id,
+        favorite: conflict.favorite,
+        uses: conflict.uses,
+        lastUsedAt: conflict.lastUsedAt,
+        createdAt: conflict.createdAt,
+        updatedAt: nowIso(),
+      };
+      replaced += 1;
+    } else {
+      const triggerFree = !next.some((p) => p.trigger === item.trigger);
+      next.push({
+        ...item,
+        id: makeId(),
+        title: next.some((p) => p.title.toLowerCase() === item.title.toLowerCase())
+          ? copyTitle(item.title, next)
+          : item.title,
+        trigger: triggerFree ? item.trigger : "",
+      });
+      added += 1;
+    }
+  }
+
+  return { prompts: savePrompts(next), added, replaced, skipped };
 }
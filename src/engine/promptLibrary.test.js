@@ -0,0 +1,73 @@
+import { importPrompts, loadPrompts, parsePromptVariables, renderPrompt, savePrompts } from "./promptLibrary";
+
+describe("parsePromptVariables", () => {
+  test("reads names, types and defaults in order of first use", () => {
+    const text = "Review {{lang=JavaScript}}:\n{{code:multiline}}\nTone: {{tone:choice= blunt | kind |blunt}} {{lang}}";
+    expect(parsePromptVariables(text)).toEqual([
+      { name: "lang", type: "text", default: "JavaScript" },
+      { name: "code", type: "multiline", default: "" },
+      { name: "tone", type: "choice", default: "blunt", options: ["blunt", "kind"] },
+    ]);
+  });
+
+  test("treats unknown types as text and skips choices without options", () => {
+    expect(parsePromptVariables("{{when:date=today}} {{pick:choice=}} {{1bad}}")).toEqual([
+      { name: "when", type: "text", default: "today" },
+    ]);
+  });
+
+  test("stops at twelve fields", () => {
+    const text = Array.from({ length: 15 }, (_, i) => `{{v${i}}}`).join(" ");
+    expect(parsePromptVariables(text)).toHaveLength(12);
+  });
+});
+
+describe("renderPrompt", () => {
+  test("fills every placeholder, falling back to defaults", () => {
+    const text = "Translate {{text}} into {{lang=French}}. Keep {{lang}} formal: {{formal:choice=yes|no}}";
+    expect(renderPrompt(text, { text: "hi", formal: "no" })).toBe("Translate hi into French. Keep French formal: no");
+  });
+
+  test("empty values stay empty; null means the default", () => {
+    expect(renderPrompt("[{{a=x}}][{{b=y}}]", { a: "", b: null })).toBe("[][y]");
+  });
+
+  test("leaves other braces alone", () => {
+    expect(renderPrompt('JSON: {"a": {{n=1}}} {{ not a var }}')).toBe('JSON: {"a": 1} {{ not a var }}');
+  });
+});
+
+describe("importPrompts", () => {
+  const mine = { id: "p1", title: "Triage", text: "Triage: {{issue}}", trigger: "triage", favorite: true, uses: 4 };
+
+  beforeEach(() => {
+    loadPrompts(); // sets up the built-in packs once, so they don't come back below
+    savePrompts([mine]);
+  });
+
+  test("adds prompts that don't collide", () => {
+    const result = importPrompts([{ id: "x1", title: "Summarize", text: "Sum up {{text}}", trigger: "sum" }]);
+    expect(result).toMatchObject({ added: 1, replaced: 0, skipped: 0 });
+    expect(result.prompts.map((p) => p.title)).toEqual(["Triage", "Summarize"]);
+  });
+
+  test("keeps both by default, renaming the copy and dropping its taken trigger", () => {
+    const { prompts, added } = importPrompts([{ id: "x2", title: "triage", text: "Other", trigger: "triage" }]);
+    expect(added).toBe(1);
+    expect(prompts[1]).toMatchObject({ title: "triage (2)", trigger: "", text: "Other" });
+    expect(prompts[1].id).not.toBe("x2");
+  });
+
+  test("overwrite keeps the id, favorite flag and usage stats", () => {
+    const { prompts, replaced } = importPrompts([{ id: "x3", title: "Triage", text: "New text" }], { x3: "overwrite" });
+    expect(replaced).toBe(1);
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0]).toMatchObject({ id: "p1", text: "New text", favorite: true, uses: 4 });
+  });
+
+  test("skip leaves the library as it was", () => {
+    const { prompts, skipped } = importPrompts([{ id: "p1", title: "Whatever", text: "x" }], { p1: "skip" });
+    expect(skipped).toBe(1);
+    expect(prompts.map((p) => p.text)).toEqual([mine.text]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * promptPacks.js
+ * Shareable prompt packs: selected library prompts in one versioned JSON file.
+ *
+ *   { kind, version, name, exportedAt, prompts: [{ id, title, description, text, level,
+ *     trigger, folder, tags, avatarText, avatarImage? }] }
+ *
+ * Importing goes through importPrompts (promptLibrary), which handles conflicts.
+ */
+
+const PACK_KIND = "toastyMills.promptPack";
+const PACK_VERSION = 1;
+
+const PACK_FIELDS = ["id", "title", "description", "text", "level", "trigger", "folder", "tags", "avatarText"];
+
+/**
+ * Serialized pack. Avatar images (data URLs, often the bulk of the file) are left out
+ * unless `includeImages` is set.
+ */
+export function createPromptPack(prompts, { name = "", includeImages = false } = {}) {
+  const list = (Array.isArray(prompts) ? prompts : []).map((p) => {
+    const out = Object.fromEntries(PACK_FIELDS.map((k) => [k, p[k] ?? ""]));
+    if (includeImages && p.avatarImage) out.avatarImage = p.avatarImage;
+    return out;
+  });
+  return JSON.stringify(
+    {
+      kind: PACK_KIND,
+      version: PACK_VERSION,
+      name: String(name || "").trim().slice(0, 60),
+      exportedAt: new Date().toISOString(),
+      prompts: list,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * File name like toastyMills-prompts-it-team-2026-10-19.json
+ */
+export function promptPackFileName(name) {
+  const slug = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `toastyMills-prompts-${slug || "pack"}-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Reads a pack file. Returns { name, exportedAt, prompts } and throws with a readable
+ * message on anything that isn't a usable pack.
+ */
+export function parsePromptPack(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || ""));
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  if (parsed?.kind !== PACK_KIND) {
+    throw new Error(
+      parsed?.kind === "toastyMills.workspace"
+        ? "That's a workspace backup; restore it from 💾 Backup instead."
+        : "That file isn't a ToastyMills prompt pack."
+    );
+  }
+  if (Number(parsed.version) > PACK_VERSION) {
+    throw new Error(`This pack is from a newer version (v${parsed.version}); update the app first.`);
+  }
+  const prompts = (Array.isArray(parsed.prompts) ? parsed.prompts : []).filter(
+    (p) => p && typeof p === "object" && typeof p.id === "string" && String(p.text || "").trim()
+  );
+  if (!prompts.length) throw new Error("No prompts found in that pack.");
+  return { name: String(parsed.name || ""), exportedAt: String(parsed.exportedAt || ""), prompts };
+}
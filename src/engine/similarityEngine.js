@@ -1,3 +1,60 @@
+// Above this many terms (dictionary packs), similarity scans look only at the words around
+// the one asked about instead of walking the whole list.
+const FULL_SCAN_TERMS = 5000;
+const NEIGHBOURHOOD_SCAN = 400;
+
+// Word index and thesaurus graph per terms array: a pack-sized dictionary is indexed once
+// per change, not on every message.
+const indexCache = new WeakMap();
+
+function lower(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function indexFor(terms) {
+  let index = indexCache.get(terms);
+  if (!index) {
+    const byWord = new Map();
+    terms.forEach((t) => {
+      const w = lower(t.word);
+      if (w && !byWord.has(w)) byWord.set(w, t);
+    });
+    terms.forEach((t) =>
+      (t.aliases || []).forEach((a) => {
+        if (!byWord.has(a)) byWord.set(a, t);
+      })
+    );
+    index = { byWord, graph: null };
+    indexCache.set(terms, index);
+  }
+  return index;
+}
+
+/**
+ * The term for `word`, or the term listing it as an alias; null when there is none.
+ */
+export function lookupTerm(word, terms) {
+  return indexFor(terms).byWord.get(lower(word)) || null;
+}
+
+/**
+ * Terms named by `words` (directly or through an alias), then the terms their synonyms
+ * and antonyms point at, `limit` at most. Lets callers work on the corner of a large
+ * dictionary a message is about.
+ */
+export function termNeighbourhood(words, terms, limit = 40) {
+  const { byWord } = indexFor(terms);
+  const picked = new Map();
+  const add = (w) => {
+    const t = byWord.get(lower(w));
+    if (t && picked.size < limit && !picked.has(t.word)) picked.set(t.word, t);
+  };
+  const seeds = words.map((w) => byWord.get(lower(w))).filter(Boolean);
+  seeds.forEach((t) => add(t.word));
+  seeds.forEach((t) => [...(t.synonyms || []), ...(t.antonyms || [])].forEach(add));
+  return [...picked.values()];
+}
+
 /**
  * Builds an adjacency list from synonyms across all dictionary terms.
  * @param {Array} terms - array of dictionary term objects
@@ -28,6 +85,15 @@ export function buildThesaurusGraph(terms) {
   return result;
 }
 
+/**
+ * buildThesaurusGraph, built once per terms array.
+ */
+export function thesaurusGraph(terms) {
+  const index = indexFor(terms);
+  if (!index.graph) index.graph = buildThesaurusGraph(terms);
+  return index.graph;
+}
+
 /**
  * Finds all dictionary terms similar to the given word.
  * @param {string} word
@@ -38,12 +104,23 @@ export function findSimilarities(word, terms) {
   const lowerWord = String(word || "").trim().toLowerCase();
   const results = [];
 
-  const sourceTerm = terms.find((t) => String(t.word || "").trim().toLowerCase() === lowerWord);
+  const found = lookupTerm(lowerWord, terms);
+  const sourceTerm = found && lower(found.word) === lowerWord ? found : null;
   const sourceSyns = sourceTerm ? (sourceTerm.synonyms || []).map((s) => String(s || "").trim().toLowerCase()) : [];
 
   if (!lowerWord) return results;
 
-  terms.forEach((term) => {
+  // Big dictionaries: only the word's synonyms/antonyms and theirs can score above "same category".
+  const candidates =
+    terms.length > FULL_SCAN_TERMS
+      ? termNeighbourhood(
+          [lowerWord, ...termNeighbourhood([lowerWord], terms).map((t) => t.word)],
+          terms,
+          NEIGHBOURHOOD_SCAN
+        )
+      : terms;
+
+  candidates.forEach((term) => {
     const termWord = String(term.word || "").trim().toLowerCase();
     if (!termWord) return;
     if (termWord === lowerWord) return;
@@ -177,7 +254,7 @@ export function scoreGuess(guessWord, targetWord, terms) {
   }
 
   // Build graph and find path
-  const graph = buildThesaurusGraph(terms);
+  const graph = thesaurusGraph(terms);
   const path = getSimilarityPath(guess, target, graph);
   if (path) {
     connections.push({ type: "path", words: path });
@@ -0,0 +1,101 @@
+/**
+ * slashCommands.js
+ * Suggestions for the composer's "/" popup: library prompts with a trigger plus the
+ * built-in chat commands.
+ *
+ * A suggestion is { key, kind: "prompt"|"command", label, hint, prompt?, insert? }:
+ *   prompt → the library prompt to expand (or open its variable form)
+ *   insert → text to put in the composer; a trailing space means "type the argument next"
+ */
+
+// Keep in sync with the commands handled in ToastyChat's send() and chatEngine's intents.
+const BUILTIN_COMMANDS = [
+  { name: "define", insert: "define ", hint: "Look up a word" },
+  { name: "synonyms", insert: "synonyms ", hint: "List synonyms of a word" },
+  { name: "antonyms", insert: "antonyms ", hint: "List antonyms of a word" },
+  { name: "similar to", insert: "similar to ", hint: "Related terms ranked by connection strength" },
+  { name: "connect", insert: "connect ", hint: "Shortest thesaurus path: connect A and B" },
+  { name: "help", insert: "help", hint: "What this chat can do" },
+  { name: "model", insert: "model ", hint: "Switch Ollama model, e.g. model mistral:latest" },
+  { name: "models", insert: "models", hint: "Open the model manager" },
+  { name: "style", insert: "style ", hint: "style claude | style neutral" },
+  { name: "thinking", insert: "thinking ", hint: "thinking standard | extended | off" },
+  { name: "options", insert: "options", hint: "Show sampling options" },
+  { name: "brain help", insert: "brain help", hint: "Model and sampling commands" },
+  { name: "learn", insert: "learn ", hint: "learn word | category | definition | synonyms | antonyms" },
+  { name: "learn json", insert: "learn json ", hint: "Learn terms from a JSON object or array" },
+  { name: "export learned", insert: "export learned", hint: "Download learned terms as JSON" },
+  { name: "export chat", insert: "export chat", hint: "Download this chat (add json or html)" },
+  { name: "export all chats", insert: "export all chats", hint: "Download every chat as JSON" },
+  { name: "backup", insert: "backup", hint: "Back up or restore the whole workspace" },
+  { name: "prompt packs", insert: "prompt packs", hint: "Share prompts and turn built-in packs on or off" },
+  { name: "vault", insert: "vault", hint: "Encrypt saved chats with a passphrase" },
+  { name: "lock", insert: "lock", hint: "Lock the vault now" },
+  { name: "clear chat", insert: "clear chat", hint: "Start this chat over" },
+  { name: "clear learned", insert: "clear learned", hint: "Forget all learned terms" },
+  { name: "bridge help", insert: "bridge help", hint: "Rig bridge commands" },
+  { name: "lookup", insert: "lookup ", hint: "Rig bridge: look something up", bridge: true },
+  { name: "search local", insert: "search local ", hint: "Rig bridge: search local logs", bridge: true },
+  { name: "clear local logs", insert: "clear local logs", hint: "Rig bridge: delete local logs", bridge: true },
+];
+
+const MAX_SUGGESTIONS = 12;
+
+/**
+ * The text after "/" when the composer holds a slash query, otherwise null.
+ */
+export function slashQuery(input) {
+  const m = String(input || "").match(/^\/([^\n]{0,40})$/);
+  return m ? m[1].trimStart().toLowerCase() : null;
+}
+
+// 0 = prefix match, 1 = word-start match, 2 = substring; -1 = no match.
+function matchRank(query, ...fields) {
+  let best = -1;
+  for (const field of fields) {
+    const f = String(field || "").toLowerCase();
+    if (!f) continue;
+    let rank = -1;
+    if (f.startsWith(query)) rank = 0;
+    else if (f.split(/[\s_-]+/).some((w) => w.startsWith(query))) rank = 1;
+    else if (f.includes(query)) rank = 2;
+    if (rank >= 0 && (best < 0 || rank < best)) best = rank;
+  }
+  return best;
+}
+
+/**
+ * Ranked suggestions for `query` (see slashQuery). Prompts come before commands at the
+ * same rank; an empty query lists every prompt trigger, then the commands.
+ */
+export function slashSuggestions(query, prompts, { bridge = false } = {}) {
+  const q = String(query || "").trim().toLowerCase();
+  const ranked = [];
+
+  for (const p of Array.isArray(prompts) ? prompts : []) {
+    if (!p?.trigger) continue;
+    const rank = q ? matchRank(q, p.trigger, p.title) : 0;
+    if (rank < 0) continue;
+    ranked.push({
+      rank,
+      order: 0,
+      item: { key: `p:${p.id}`, kind: "prompt", label: `/${p.trigger}`, hint: p.title, prompt: p },
+    });
+  }
+
+  for (const c of BUILTIN_COMMANDS) {
+    if (c.bridge && !bridge) continue;
+    const rank = q ? matchRank(q, c.name) : 0;
+    if (rank < 0) continue;
+    ranked.push({
+      rank,
+      order: 1,
+      item: { key: `c:${c.name}`, kind: "command", label: c.name, hint: c.hint, insert: c.insert },
+    });
+  }
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.order - b.order)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((r) => r.item);
+}
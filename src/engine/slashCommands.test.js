@@ -0,0 +1,54 @@
+import { slashQuery, slashSuggestions } from "./slashCommands";
+
+const prompts = [
+  { id: "p1", title: "Bug triage", trigger: "triage" },
+  { id: "p2", title: "Explain like I'm five", trigger: "eli5" },
+  { id: "p3", title: "No trigger", trigger: "" },
+];
+const labels = (list) => list.map((s) => s.label);
+
+test("slashQuery only fires for a single-line composer starting with /", () => {
+  expect(slashQuery("/Tri")).toBe("tri");
+  expect(slashQuery("/")).toBe("");
+  expect(slashQuery("hi /tri")).toBeNull();
+  expect(slashQuery("/tri\nmore")).toBeNull();
+});
+
+test("an empty query lists prompt triggers first, then commands, capped at twelve", () => {
+  const list = slashSuggestions("", prompts);
+  expect(list).toHaveLength(12);
+  expect(labels(list).slice(0, 3)).toEqual(["/triage", "/eli5", "define"]);
+  expect(list[0]).toMatchObject({ key: "p:p1", kind: "prompt", hint: "Bug triage", prompt: prompts[0] });
+});
+
+test("prefix matches rank above word-start and substring matches", () => {
+  expect(labels(slashSuggestions("ex", prompts))).toEqual([
+    "/eli5",
+    "export learned",
+    "export chat",
+    "export all chats",
+  ]);
+  expect(labels(slashSuggestions("lear", prompts))).toEqual([
+    "learn",
+    "learn json",
+    "export learned",
+    "clear learned",
+    "clear chat",
+  ]);
+});
+
+test("commands carry the text to insert", () => {
+  const [define] = slashSuggestions("defi", []);
+  expect(define).toEqual({
+    key: "c:define",
+    kind: "command",
+    label: "define",
+    hint: "Look up a word",
+    insert: "define ",
+  });
+});
+
+test("rig bridge commands only show when the bridge is on", () => {
+  expect(labels(slashSuggestions("lookup", []))).toEqual([]);
+  expect(labels(slashSuggestions("lookup", [], { bridge: true }))).toEqual(["lookup"]);
+});
@@ -0,0 +1,616 @@
+/**
+ * storage.js
+ * IndexedDB-backed persistence for every store (chats, prompts, learned terms, settings).
+ *
+ * Stores stay synchronous: initStorage() loads everything into an in-memory cache once at
+ * startup, reads come from that cache, and writes update it immediately and are flushed to
+ * IndexedDB in the background — one record per changed item, not a whole-blob rewrite.
+ *
+ * Collections ("chats", "prompts", "learnedTerms", "dictionaryPacks") hold keyed records
+ * plus a saved order; "kv" holds single values (active chat id, brain config, unknown-
+ * question log, ...).
+ * Without IndexedDB (old browsers, tests) everything still works in memory only.
+ *
+ * Tabs keep each other current: after every flush the changed keys are announced on a
+ * BroadcastChannel (or, failing that, a localStorage ping picked up by the `storage`
+ * event). Other tabs re-read those records, merge them into their cache and tell
+ * onStorageChange listeners which collections / values moved.
+ */
+
+const DB_NAME = "toastyMills";
+const COLLECTIONS = ["chats", "prompts", "learnedTerms", "dictionaryPacks"];
+const KV = "kv";
+
+// Schema migrations, applied in order from the database's previous version.
+const SCHEMA_MIGRATIONS = [
+  // v1: one object store per collection plus the key/value store (out-of-line keys).
+  (db) => {
+    for (const name of [...COLLECTIONS, KV]) {
+      if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+    }
+  },
+  // v2: imported dictionary packs, one record per pack.
+  (db) => {
+    if (!db.objectStoreNames.contains("dictionaryPacks")) db.createObjectStore("dictionaryPacks");
+  },
+];
+const DB_VERSION = SCHEMA_MIGRATIONS.length;
+
+// localStorage keys from before IndexedDB; imported once, then removed.
+const LEGACY_KEYS = {
+  chatSessions: ["toastyMills.chatSessions.v2", "toastyMills.chatSessions.v1"],
+  prompts: "toastyMills.prompts.v1",
+  learnedTerms: "toastyMills.learnedTerms.v1",
+  unknownQuestions: "toastyMills.unknownQuestions.v1",
+  brainConfig: "toastyMills.brainConfig.v1",
+};
+const IMPORTED_FLAG = "storage.importedLocalStorage";
+const CHANNEL_NAME = "toastyMills.storage";
+const PING_KEY = "toastyMills.storage.ping";
+
+const cache = {
+  records: new Map(COLLECTIONS.map((name) => [name, new Map()])),
+  kv: new Map(),
+};
+// Last serialized value per record, so unchanged records are never rewritten.
+const written = new Map([...COLLECTIONS, KV].map((name) => [name, new Map()]));
+const pending = new Map();
+const inFlight = new Set();
+const DELETE = Symbol("delete");
+const SEALED = Symbol("sealed");
+
+let db = null;
+let flushTimer = null;
+let flushing = Promise.resolve();
+const warningListeners = new Set();
+let lastWarning = "";
+
+const TAB_ID = `tab-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+let channel = null;
+const changeListeners = new Set();
+const mergers = new Map();
+
+// Collections encrypted at rest, and those whose records can't be read until unlocked.
+const codecs = new Map();
+const locked = new Set();
+
+function safeParse(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+function isSealed(value) {
+  return Boolean(value && typeof value === "object" && value.sealed && typeof value.sealed === "object");
+}
+
+function forgetCollection(collection) {
+  cache.records.get(collection).clear();
+  written.get(collection).clear();
+}
+
+function warn(message) {
+  lastWarning = message;
+  warningListeners.forEach((fn) => fn(message));
+}
+
+function isQuotaError(err) {
+  return err?.name === "QuotaExceededError" || err?.code === 22 || /quota/i.test(String(err?.message || ""));
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) SCHEMA_MIGRATIONS[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Storage is blocked by another open tab running an older version."));
+  });
+}
+
+async function loadStore(name) {
+  const tx = db.transaction(name, "readonly");
+  const store = tx.objectStore(name);
+  const [keys, values] = await Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]);
+  return keys.map((k, i) => [k, values[i]]);
+}
+
+function queue(store, key, value) {
+  if (!db) return; // memory-only mode
+  if (!pending.has(store)) pending.set(store, new Map());
+  pending.get(store).set(key, value);
+  if (!flushTimer) flushTimer = setTimeout(flushStorage, 0);
+}
+
+/**
+ * Writes queued changes to IndexedDB in one transaction. Resolves when done; a full disk
+ * is reported through onStorageWarning rather than thrown.
+ */
+export function flushStorage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!db || !pending.size) return flushing;
+
+  const batch = new Map(pending);
+  pending.clear();
+  inFlight.add(batch);
+  flushing = flushing.then(async () => {
+    let stored;
+    try {
+      stored = await sealBatch(batch);
+    } catch (err) {
+      inFlight.delete(batch);
+      onWriteError(err, batch);
+      return;
+    }
+    await new Promise((resolve) => {
+      let tx;
+      try {
+        tx = db.transaction(Array.from(stored.keys()), "readwrite");
+        for (const [store, ops] of stored) {
+          const os = tx.objectStore(store);
+          for (const [key, value] of ops) {
+            if (value === DELETE) os.delete(key);
+            else os.put(value, key);
+          }
+        }
+      } catch (err) {
+        inFlight.delete(batch);
+        onWriteError(err, batch);
+        resolve();
+        return;
+      }
+      tx.oncomplete = () => {
+        inFlight.delete(batch);
+        announce(stored);
+        resolve();
+      };
+      tx.onabort = () => {
+        inFlight.delete(batch);
+        onWriteError(tx.error, batch);
+        resolve();
+      };
+    });
+  });
+  return flushing;
+}
+
+// Encrypts records of sealed collections (see setCollectionCodec) on their way to disk.
+async function sealBatch(batch) {
+  const out = new Map();
+  for (const [store, ops] of batch) {
+    const codec = codecs.get(store);
+    const next = new Map();
+    for (const [key, value] of ops) {
+      next.set(key, codec && value !== DELETE ? { sealed: await codec.seal(value) } : value);
+    }
+    out.set(store, next);
+  }
+  return out;
+}
+
+function onWriteError(err, batch) {
+  // Forget what we thought was on disk so the next change retries these records.
+  for (const [store, ops] of batch) for (const key of ops.keys()) written.get(store).delete(key);
+  warn(
+    isQuotaError(err)
+      ? "Storage is full, so recent changes were not saved. Export and delete old chats (or remove prompt images) to free space."
+      : `Couldn't save changes: ${err?.message || "unknown storage error"}.`
+  );
+}
+
+/**
+ * Loads the database into memory. Call once before rendering; safe to call again.
+ * Imports pre-IndexedDB localStorage data the first time it runs.
+ */
+export async function initStorage() {
+  if (db) return;
+  if (typeof indexedDB === "undefined") {
+    warn("This browser has no IndexedDB, so nothing will be saved after you close the tab.");
+    return;
+  }
+
+  try {
+    db = await openDatabase();
+    db.onversionchange = () => {
+      db.close();
+      db = null;
+      warn("ToastyMills was updated in another tab. Reload this tab to keep saving changes.");
+    };
+    for (const name of COLLECTIONS) {
+      for (const [key, value] of await loadStore(name)) {
+        if (isSealed(value)) locked.add(name);
+        cache.records.get(name).set(key, value);
+        written.get(name).set(key, JSON.stringify(value));
+      }
+      if (locked.has(name)) forgetCollection(name);
+    }
+    for (const [key, value] of await loadStore(KV)) {
+      cache.kv.set(key, value);
+      written.get(KV).set(key, JSON.stringify(value));
+    }
+  } catch (err) {
+    db = null;
+    warn(`Couldn't open browser storage (${err?.message || "unknown error"}); changes won't be saved.`);
+    return;
+  }
+
+  if (!cache.kv.has(IMPORTED_FLAG)) await importLegacyLocalStorage();
+  listenToOtherTabs();
+}
+
+// ─── Cross-tab sync ───────────────────────────────────────────────────────────
+
+function announce(batch) {
+  const changes = [];
+  for (const [store, ops] of batch) {
+    for (const [key, value] of ops) changes.push(value === DELETE ? { store, key, deleted: true } : { store, key, value });
+  }
+  try {
+    if (channel) {
+      channel.postMessage({ from: TAB_ID, changes });
+    } else {
+      // localStorage is too small to carry the records; receivers read them from IndexedDB.
+      const keys = changes.map(({ store, key, deleted }) => ({ store, key, deleted }));
+      localStorage.setItem(PING_KEY, JSON.stringify({ from: TAB_ID, changes: keys, at: Date.now() }));
+    }
+  } catch {
+    // no way to reach other tabs; they pick the data up on their next reload
+  }
+}
+
+function listenToOtherTabs() {
+  if (channel || typeof window === "undefined") return;
+  if (typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => applyRemoteChanges(e.data);
+  } else {
+    window.addEventListener("storage", (e) => {
+      if (e.key === PING_KEY && e.newValue) applyRemoteChanges(safeParse(e.newValue, null));
+    });
+  }
+}
+
+// This tab's newest write for a record that isn't confirmed on disk yet (queued or in flight).
+function unsavedWrite(store, key) {
+  if (pending.get(store)?.has(key)) return { value: pending.get(store).get(key) };
+  const batches = Array.from(inFlight).reverse();
+  for (const batch of batches) if (batch.get(store)?.has(key)) return { value: batch.get(store).get(key) };
+  return null;
+}
+
+// A stored record as this tab can use it, or SEALED when it has no key for it.
+async function openRecord(store, value) {
+  if (!isSealed(value)) return value;
+  const codec = codecs.get(store);
+  if (!codec) return SEALED;
+  try {
+    return await codec.open(value.sealed);
+  } catch {
+    return SEALED;
+  }
+}
+
+async function readStored(changes) {
+  const tx = db.transaction(Array.from(new Set(changes.map((c) => c.store))), "readonly");
+  return Promise.all(changes.map((c) => requestToPromise(tx.objectStore(c.store).get(c.key))));
+}
+
+/**
+ * Pulls records another tab just wrote into this tab's cache.
+ * Records this tab hasn't touched since its last save are taken from IndexedDB as they
+ * are now. If this tab has its own write of the record still pending, the two copies are
+ * merged (registerMerge) and the result is written back; without a merger (and for kv
+ * values) the local write wins.
+ */
+async function applyRemoteChanges(message) {
+  if (!db || message?.from === TAB_ID || !Array.isArray(message?.changes)) return;
+  const changes = message.changes.filter(
+    (c) => c && (c.store === KV || cache.records.has(c.store)) && !locked.has(c.store)
+  );
+  if (!changes.length) return;
+
+  // Decide before awaiting: our own flush timer may run while the read is in progress.
+  const ours = changes.map((c) => unsavedWrite(c.store, c.key));
+  let stored;
+  let sent;
+  try {
+    stored = await Promise.all((await readStored(changes)).map((value, i) => openRecord(changes[i].store, value)));
+    sent = await Promise.all(changes.map((c, i) => ("value" in c ? openRecord(c.store, c.value) : stored[i])));
+  } catch {
+    return; // the database went away (version change); that path already warns
+  }
+
+  const changed = new Set();
+  changes.forEach((c, i) => {
+    if (locked.has(c.store)) return;
+    if (stored[i] === SEALED || sent[i] === SEALED) {
+      // Another tab turned on the vault (or sealed with a key we don't hold).
+      locked.add(c.store);
+      codecs.delete(c.store);
+      pending.delete(c.store);
+      forgetCollection(c.store);
+      changed.add(c.store);
+      return;
+    }
+
+    const target = c.store === KV ? cache.kv : cache.records.get(c.store);
+    const seenKeys = written.get(c.store);
+    const local = ours[i] || unsavedWrite(c.store, c.key);
+
+    if (local) {
+      const merge = c.store === KV ? null : mergers.get(c.store);
+      const theirs = sent[i];
+      if (!merge || local.value === DELETE || c.deleted || theirs === undefined) return;
+      const merged = merge(target.get(c.key) ?? local.value, theirs);
+      target.set(c.key, merged);
+      seenKeys.set(c.key, JSON.stringify(merged));
+      queue(c.store, c.key, merged);
+    } else if (stored[i] === undefined) {
+      if (!target.has(c.key)) return;
+      target.delete(c.key);
+      seenKeys.delete(c.key);
+    } else {
+      const json = JSON.stringify(stored[i]);
+      if (seenKeys.get(c.key) === json && target.has(c.key)) return;
+      seenKeys.set(c.key, json);
+      target.set(c.key, stored[i]);
+    }
+    changed.add(c.store === KV ? c.key : c.store);
+  });
+
+  if (changed.size) changeListeners.forEach((fn) => fn(changed));
+}
+
+/**
+ * Registers how to combine two copies of a record when another tab changed one this tab
+ * is still saving: merge(local, remote) → the record to keep (and write back).
+ */
+export function registerMerge(collection, merge) {
+  mergers.set(collection, merge);
+}
+
+/**
+ * Subscribes to changes made in other tabs (or announced by notifyStorageChange). The
+ * listener gets a Set holding the names of changed collections and kv keys (e.g. "chats",
+ * "brainConfig"); re-read them from here. Returns an unsubscribe function.
+ */
+export function onStorageChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Tells this tab's onStorageChange listeners that stores were rewritten wholesale here
+ * (e.g. a workspace restore). Other tabs hear about it through the normal flush.
+ */
+export function notifyStorageChange(names) {
+  const changed = new Set(names);
+  if (changed.size) changeListeners.forEach((fn) => fn(changed));
+}
+
+/**
+ * One-time copy of the old localStorage blobs into IndexedDB. Shapes are kept as-is;
+ * each store normalizes (and, for v1 chats, migrates) its records on load.
+ */
+async function importLegacyLocalStorage() {
+  const read = (key) => {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? safeParse(raw, null) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const sessions = LEGACY_KEYS.chatSessions.map(read).find(Boolean);
+  if (Array.isArray(sessions?.chats)) {
+    syncRecords("chats", sessions.chats.filter((c) => c && typeof c.id === "string"), (c) => c.id);
+    if (typeof sessions.activeId === "string") writeValue("chatSessions.activeId", sessions.activeId);
+  }
+
+  const prompts = read(LEGACY_KEYS.prompts);
+  if (Array.isArray(prompts?.prompts)) {
+    syncRecords("prompts", prompts.prompts.filter((p) => p && typeof p.id === "string"), (p) => p.id);
+  }
+
+  const learned = read(LEGACY_KEYS.learnedTerms);
+  if (Array.isArray(learned)) {
+    syncRecords("learnedTerms", learned.filter((t) => t && t.word), (t) => String(t.word).trim().toLowerCase());
+  }
+
+  const unknown = read(LEGACY_KEYS.unknownQuestions);
+  if (Array.isArray(unknown)) writeValue("unknownQuestions", unknown);
+
+  const brain = read(LEGACY_KEYS.brainConfig);
+  if (brain && typeof brain === "object") writeValue("brainConfig", brain);
+
+  writeValue(IMPORTED_FLAG, new Date().toISOString());
+  await flushStorage();
+
+  // Only drop the old copies once they are safely in IndexedDB.
+  if (cache.kv.has(IMPORTED_FLAG) && written.get(KV).has(IMPORTED_FLAG)) {
+    try {
+      Object.values(LEGACY_KEYS)
+        .flat()
+        .forEach((key) => localStorage.removeItem(key));
+    } catch {
+      // localStorage may be disabled; the import flag already prevents a second run
+    }
+  }
+}
+
+/**
+ * Records of a collection in their saved order.
+ */
+export function readAll(collection) {
+  const records = cache.records.get(collection);
+  if (!records || locked.has(collection)) return [];
+  const order = cache.kv.get(`order.${collection}`);
+  if (!Array.isArray(order)) return Array.from(records.values());
+
+  const seen = new Set();
+  const out = [];
+  for (const key of order) {
+    if (records.has(key) && !seen.has(key)) {
+      seen.add(key);
+      out.push(records.get(key));
+    }
+  }
+  for (const [key, value] of records) if (!seen.has(key)) out.push(value);
+  return out;
+}
+
+/**
+ * Makes a collection match `list`: only added/changed records are written, missing ones
+ * deleted, and the order saved alongside.
+ */
+export function syncRecords(collection, list, keyOf) {
+  const records = cache.records.get(collection);
+  if (!records) throw new Error(`Unknown collection: ${collection}`);
+  if (locked.has(collection)) return; // nothing to compare against; never overwrite sealed data
+  const seenKeys = written.get(collection);
+
+  const keys = [];
+  const next = new Map();
+  for (const item of Array.isArray(list) ? list : []) {
+    const key = keyOf(item);
+    if (key === undefined || key === null || key === "" || next.has(key)) continue;
+    keys.push(key);
+    next.set(key, item);
+  }
+
+  for (const [key, item] of next) {
+    const prev = records.get(key);
+    records.set(key, item);
+    if (prev === item && seenKeys.has(key)) continue;
+    const json = JSON.stringify(item);
+    if (seenKeys.get(key) === json) continue;
+    seenKeys.set(key, json);
+    queue(collection, key, item);
+  }
+
+  for (const key of Array.from(records.keys())) {
+    if (next.has(key)) continue;
+    records.delete(key);
+    seenKeys.delete(key);
+    queue(collection, key, DELETE);
+  }
+
+  writeValue(`order.${collection}`, keys);
+}
+
+export function readValue(key, fallback) {
+  return cache.kv.has(key) ? cache.kv.get(key) : fallback;
+}
+
+export function writeValue(key, value) {
+  cache.kv.set(key, value);
+  const json = JSON.stringify(value);
+  if (written.get(KV).get(key) === json) return;
+  written.get(KV).set(key, json);
+  queue(KV, key, value);
+}
+
+export function removeValue(key) {
+  if (!cache.kv.has(key)) return;
+  cache.kv.delete(key);
+  written.get(KV).delete(key);
+  queue(KV, key, DELETE);
+}
+
+/**
+ * Subscribes to user-facing storage problems (quota, unavailable storage).
+ * Returns an unsubscribe function. A warning raised before subscribing is replayed.
+ */
+export function onStorageWarning(listener) {
+  warningListeners.add(listener);
+  if (lastWarning) listener(lastWarning);
+  return () => warningListeners.delete(listener);
+}
+
+// ─── Sealed collections ───────────────────────────────────────────────────────
+
+/**
+ * Sets how a collection is encrypted at rest: codec = { seal(value) → Promise<box>,
+ * open(box) → Promise<value> }, or null for plaintext. Affects later writes only; call
+ * rewriteCollection to convert what's already stored.
+ */
+export function setCollectionCodec(collection, codec) {
+  if (codec) codecs.set(collection, codec);
+  else codecs.delete(collection);
+}
+
+/**
+ * Writes every record of an unlocked collection again with its current codec.
+ */
+export function rewriteCollection(collection) {
+  if (locked.has(collection)) return flushing;
+  for (const [key, value] of cache.records.get(collection)) queue(collection, key, value);
+  return flushStorage();
+}
+
+/**
+ * False in memory-only mode (no IndexedDB), where nothing is kept after the tab closes.
+ */
+export function isPersistent() {
+  return Boolean(db);
+}
+
+export function isCollectionLocked(collection) {
+  return locked.has(collection);
+}
+
+/**
+ * Saves pending changes, then drops the collection from memory. Until unlockCollection
+ * it reads as empty and writes to it are ignored, so sealed data can't be overwritten.
+ */
+export async function lockCollection(collection) {
+  await flushStorage();
+  codecs.delete(collection);
+  pending.delete(collection);
+  locked.add(collection);
+  forgetCollection(collection);
+}
+
+/**
+ * Loads a collection from disk, opening sealed records with `codec` (null = expect
+ * plaintext). Throws, leaving it locked, if a record can't be opened. Plaintext records
+ * found while a codec is given are sealed now.
+ */
+export async function unlockCollection(collection, codec) {
+  const entries = db ? await loadStore(collection) : [];
+  const opened = [];
+  const unsealed = [];
+  for (const [key, value] of entries) {
+    if (!isSealed(value)) {
+      opened.push([key, value]);
+      if (codec) unsealed.push(key);
+    } else if (!codec) {
+      throw new Error("This data is encrypted; unlock the vault first.");
+    } else {
+      opened.push([key, await codec.open(value.sealed)]);
+    }
+  }
+
+  setCollectionCodec(collection, codec);
+  locked.delete(collection);
+  forgetCollection(collection);
+  const records = cache.records.get(collection);
+  for (const [key, value] of opened) {
+    records.set(key, value);
+    written.get(collection).set(key, JSON.stringify(value));
+  }
+  for (const key of unsealed) queue(collection, key, records.get(key));
+}
@@ -0,0 +1,268 @@
+import { fakeIndexedDB, newDisk } from "./testing/fakeIndexedDB";
+
+// A fresh copy of storage.js, as after a page load.
+function loadStorage(disk) {
+  jest.resetModules();
+  if (disk) global.indexedDB = fakeIndexedDB(disk);
+  else delete global.indexedDB;
+  return require("./storage");
+}
+
+// Stands in for BroadcastChannel so a test can play the other tab.
+const channels = [];
+class FakeChannel {
+  constructor() {
+    this.sent = [];
+    channels.push(this);
+  }
+
+  postMessage(message) {
+    this.sent.push(message);
+  }
+}
+
+afterEach(() => {
+  delete global.indexedDB;
+  delete global.BroadcastChannel;
+  localStorage.clear();
+});
+
+describe("memory-only mode", () => {
+  test("works without IndexedDB and says nothing will be kept", async () => {
+    const storage = loadStorage(null);
+    const warnings = [];
+    await storage.initStorage();
+    storage.onStorageWarning((message) => warnings.push(message));
+    expect(warnings).toEqual(["This browser has no IndexedDB, so nothing will be saved after you close the tab."]);
+    expect(storage.isPersistent()).toBe(false);
+
+    storage.syncRecords("prompts", [{ id: "b" }, { id: "a" }, { id: "b" }, { id: "" }], (p) => p.id);
+    expect(storage.readAll("prompts").map((p) => p.id)).toEqual(["b", "a"]);
+    storage.writeValue("brainConfig", { model: "llama3.2" });
+    expect(storage.readValue("brainConfig")).toEqual({ model: "llama3.2" });
+    storage.removeValue("brainConfig");
+    expect(storage.readValue("brainConfig", null)).toBeNull();
+    await expect(storage.flushStorage()).resolves.toBeUndefined();
+    expect(() => storage.syncRecords("nope", [], (x) => x)).toThrow("Unknown collection: nope");
+  });
+});
+
+describe("schema migrations", () => {
+  test("a new database gets every store", async () => {
+    const disk = newDisk();
+    await loadStorage(disk).initStorage();
+    expect(disk.version).toBe(2);
+    expect(Array.from(disk.stores.keys()).sort()).toEqual(
+      ["chats", "dictionaryPacks", "kv", "learnedTerms", "prompts"].sort()
+    );
+  });
+
+  test("a v1 database keeps its data and gains the dictionary pack store", async () => {
+    const disk = newDisk(1, ["chats", "prompts", "learnedTerms", "kv"]);
+    disk.stores.get("chats").set("c1", { id: "c1", title: "Kept" });
+    disk.stores.get("kv").set("storage.importedLocalStorage", "2026-01-01T00:00:00.000Z");
+
+    const storage = loadStorage(disk);
+    await storage.initStorage();
+    expect(disk.version).toBe(2);
+    expect(disk.stores.has("dictionaryPacks")).toBe(true);
+    expect(storage.readAll("chats")).toEqual([{ id: "c1", title: "Kept" }]);
+    expect(storage.isPersistent()).toBe(true);
+  });
+});
+
+describe("localStorage import", () => {
+  test("copies the old .v1 blobs in once, then removes them", async () => {
+    localStorage.setItem(
+      "toastyMills.chatSessions.v1",
+      JSON.stringify({ activeId: "a", chats: [{ id: "a", messages: [] }, { id: 5 }, null] })
+    );
+    localStorage.setItem("toastyMills.prompts.v1", JSON.stringify({ prompts: [{ id: "p1", title: "Triage" }] }));
+    localStorage.setItem("toastyMills.learnedTerms.v1", JSON.stringify([{ word: " Calm ", definition: "Still." }]));
+    localStorage.setItem("toastyMills.unknownQuestions.v1", JSON.stringify([{ text: "define zephyr" }]));
+    localStorage.setItem("toastyMills.brainConfig.v1", "not json");
+
+    const disk = newDisk();
+    const storage = loadStorage(disk);
+    await storage.initStorage();
+
+    expect(storage.readAll("chats").map((c) => c.id)).toEqual(["a"]);
+    expect(storage.readValue("chatSessions.activeId")).toBe("a");
+    expect(storage.readAll("prompts")).toEqual([{ id: "p1", title: "Triage" }]);
+    expect(disk.stores.get("learnedTerms").get("calm")).toEqual({ word: " Calm ", definition: "Still." });
+    expect(storage.readValue("unknownQuestions")).toEqual([{ text: "define zephyr" }]);
+    expect(storage.readValue("brainConfig", null)).toBeNull();
+    expect(localStorage.getItem("toastyMills.chatSessions.v1")).toBeNull();
+    expect(localStorage.getItem("toastyMills.prompts.v1")).toBeNull();
+
+    // The next load reads IndexedDB and leaves whatever is in localStorage alone.
+    localStorage.setItem("toastyMills.prompts.v1", JSON.stringify({ prompts: [{ id: "p2" }] }));
+    const reloaded = loadStorage(disk);
+    await reloaded.initStorage();
+    expect(reloaded.readAll("prompts").map((p) => p.id)).toEqual(["p1"]);
+    expect(localStorage.getItem("toastyMills.prompts.v1")).not.toBeNull();
+  });
+
+  test("prefers the v2 chat blob over v1", async () => {
+    localStorage.setItem("toastyMills.chatSessions.v2", JSON.stringify({ chats: [{ id: "new" }] }));
+    localStorage.setItem("toastyMills.chatSessions.v1", JSON.stringify({ chats: [{ id: "old" }] }));
+    const storage = loadStorage(newDisk());
+    await storage.initStorage();
+    expect(storage.readAll("chats").map((c) => c.id)).toEqual(["new"]);
+    expect(localStorage.getItem("toastyMills.chatSessions.v1")).toBeNull();
+  });
+});
+
+describe("syncRecords and flushStorage", () => {
+  async function ready() {
+    const disk = newDisk();
+    const storage = loadStorage(disk);
+    await storage.initStorage();
+    disk.commits = 0;
+    disk.puts = 0;
+    return { disk, storage };
+  }
+
+  test("only writes records that changed, and deletes the ones that went away", async () => {
+    const { disk, storage } = await ready();
+    const a = { id: "a", text: "one" };
+    const b = { id: "b", text: "two" };
+    storage.syncRecords("prompts", [a, b], (p) => p.id);
+    await storage.flushStorage();
+    expect(disk.puts).toBe(3); // a, b and the order
+    expect(disk.stores.get("kv").get("order.prompts")).toEqual(["a", "b"]);
+
+    disk.puts = 0;
+    storage.syncRecords("prompts", [a, { id: "b", text: "two" }], (p) => p.id);
+    await storage.flushStorage();
+    expect(disk.puts).toBe(0); // same content under a new object isn't rewritten
+
+    storage.syncRecords("prompts", [{ id: "b", text: "edited" }], (p) => p.id);
+    await storage.flushStorage();
+    expect(disk.puts).toBe(3); // b, a's delete and the order
+    expect(Array.from(disk.stores.get("prompts").entries())).toEqual([["b", { id: "b", text: "edited" }]]);
+  });
+
+  test("writes are batched until the flush, which resolves once they are on disk", async () => {
+    const { disk, storage } = await ready();
+    storage.syncRecords("prompts", [{ id: "a" }], (p) => p.id);
+    storage.writeValue("brainConfig", { model: "x" });
+    expect(disk.stores.get("prompts").size).toBe(0);
+
+    await storage.flushStorage();
+    expect(disk.commits).toBe(1);
+    expect(disk.stores.get("prompts").has("a")).toBe(true);
+    expect(disk.stores.get("kv").get("brainConfig")).toEqual({ model: "x" });
+
+    // Without an explicit flush the queued change still lands on its own.
+    storage.removeValue("brainConfig");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(disk.stores.get("kv").has("brainConfig")).toBe(false);
+  });
+
+  test("a full disk is reported, and the records are retried on the next change", async () => {
+    const { disk, storage } = await ready();
+    const warnings = [];
+    storage.onStorageWarning((message) => warnings.push(message));
+    const list = [{ id: "a", text: "big" }];
+
+    disk.failWrites = Object.assign(new Error("over quota"), { name: "QuotaExceededError" });
+    storage.syncRecords("prompts", list, (p) => p.id);
+    await expect(storage.flushStorage()).resolves.toBeUndefined();
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(/^Storage is full, so recent changes were not saved/);
+    expect(disk.stores.get("prompts").size).toBe(0);
+
+    disk.failWrites = null;
+    storage.syncRecords("prompts", list, (p) => p.id);
+    await storage.flushStorage();
+    expect(disk.stores.get("prompts").get("a")).toEqual({ id: "a", text: "big" });
+
+    disk.failWrites = new Error("disk went away");
+    storage.writeValue("brainConfig", { model: "y" });
+    await storage.flushStorage();
+    expect(warnings[1]).toBe("Couldn't save changes: disk went away.");
+  });
+});
+
+describe("changes from other tabs", () => {
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+  async function openTab(disk) {
+    global.BroadcastChannel = FakeChannel;
+    const storage = loadStorage(disk);
+    await storage.initStorage();
+    const channel = channels[channels.length - 1];
+    // Another tab saves a record, then announces it.
+    const remoteWrite = async (store, key, value) => {
+      disk.stores.get(store).set(key, JSON.parse(JSON.stringify(value)));
+      channel.onmessage({ data: { from: "tab-other", changes: [{ store, key, value }] } });
+      await settle();
+    };
+    return { storage, channel, remoteWrite };
+  }
+
+  test("records this tab isn't writing are taken as stored, and listeners hear about it", async () => {
+    const disk = newDisk();
+    const { storage, channel, remoteWrite } = await openTab(disk);
+    storage.syncRecords("prompts", [{ id: "p1", text: "mine" }], (p) => p.id);
+    await storage.flushStorage();
+    const announced = channel.sent[channel.sent.length - 1].changes;
+    expect(announced).toContainEqual({ store: "prompts", key: "p1", value: { id: "p1", text: "mine" } });
+
+    const changed = [];
+    storage.onStorageChange((names) => changed.push(Array.from(names)));
+    await remoteWrite("prompts", "p1", { id: "p1", text: "theirs" });
+    expect(storage.readAll("prompts")).toEqual([{ id: "p1", text: "theirs" }]);
+    await remoteWrite("kv", "brainConfig", { model: "x" });
+    expect(changed).toEqual([["prompts"], ["brainConfig"]]);
+  });
+
+  test("a record this tab is still saving is merged and written back", async () => {
+    const disk = newDisk();
+    const { storage, remoteWrite } = await openTab(disk);
+    storage.registerMerge("prompts", (local, remote) => ({ id: local.id, notes: [...local.notes, ...remote.notes] }));
+
+    storage.syncRecords("prompts", [{ id: "p1", notes: ["mine"] }], (p) => p.id);
+    await remoteWrite("prompts", "p1", { id: "p1", notes: ["theirs"] });
+    expect(storage.readAll("prompts")).toEqual([{ id: "p1", notes: ["mine", "theirs"] }]);
+    await storage.flushStorage();
+    expect(disk.stores.get("prompts").get("p1")).toEqual({ id: "p1", notes: ["mine", "theirs"] });
+  });
+
+  test("a rename here and a reply in another tab both survive", async () => {
+    const disk = newDisk();
+    const { storage, remoteWrite } = await openTab(disk);
+    const { loadChatSessions, updateChatMeta } = require("./chatSessions");
+    const chat = {
+      id: "c1",
+      title: "Chat",
+      createdAt: "2026-10-01T00:00:00.000Z",
+      updatedAt: "2026-10-01T00:00:00.000Z",
+      messages: [{ id: "u1", parentId: null, role: "user", text: "hi" }],
+      leafId: "u1",
+    };
+    storage.syncRecords("chats", [chat], (c) => c.id);
+    await storage.flushStorage();
+
+    updateChatMeta(loadChatSessions([]), "c1", { title: "Trip plans" });
+    const reply = { id: "a1", parentId: "u1", role: "assistant", text: "hello" };
+    await remoteWrite("chats", "c1", {
+      ...chat,
+      updatedAt: "2026-10-02T00:00:00.000Z",
+      messages: [...chat.messages, reply],
+      leafId: "a1",
+    });
+
+    const [merged] = loadChatSessions([]).chats;
+    expect(merged.title).toBe("Trip plans");
+    expect(merged.messages.map((m) => m.id)).toEqual(["u1", "a1"]);
+  });
+
+  test("this tab's unsaved setting wins over another tab's", async () => {
+    const { storage, remoteWrite } = await openTab(newDisk());
+    storage.writeValue("brainConfig", { model: "mine" });
+    await remoteWrite("kv", "brainConfig", { model: "theirs" });
+    expect(storage.readValue("brainConfig")).toEqual({ model: "mine" });
+  });
+});
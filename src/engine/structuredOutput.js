@@ -0,0 +1,121 @@
+import { ollamaGenerate } from "./ollamaClient";
+
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Removes ```json fences and any prose around the first JSON object/array.
+ */
+export function stripCodeFences(text) {
+  let t = String(text || "").trim();
+  const fenced = t.match(/```(?:json|javascript|js)?\s*([\s\S]*?)```/i);
+  if (fenced) t = fenced[1].trim();
+
+  const start = t.search(/[[{]/);
+  if (start > 0) t = t.slice(start);
+  const end = Math.max(t.lastIndexOf("}"), t.lastIndexOf("]"));
+  if (end >= 0 && end < t.length - 1) t = t.slice(0, end + 1);
+  return t;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validates a value against the small JSON Schema subset we send to Ollama:
+ * type (string or list), properties, required, additionalProperties: false,
+ * items, enum, minimum/maximum and minLength.
+ * Returns a list of human-readable problems (empty = valid).
+ */
+export function validateSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    return [`${path} should be ${types.join(" or ")}, got ${typeOf(value)}`];
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map((x) => JSON.stringify(x)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === "string" && Number.isFinite(schema.minLength) && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      if (props[key]) errors.push(...validateSchema(value[key], props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+    });
+  }
+
+  return errors;
+}
+
+function repairPrompt(prompt, raw, problems) {
+  return [
+    prompt,
+    "",
+    "Your previous reply could not be used:",
+    ...problems.slice(0, 6).map((p) => `- ${p}`),
+    "",
+    "Previous reply:",
+    String(raw || "").slice(0, 1200),
+    "",
+    "Reply again with ONLY the corrected JSON value. No markdown, no commentary.",
+  ].join("\n");
+}
+
+/**
+ * Asks Ollama for JSON constrained by `schema` (via the `format` parameter), then parses
+ * and validates it. On failure it re-asks with a repair prompt up to `retries` times.
+ * Resolves to the parsed value. Rejects with a "StructuredOutputError" if no attempt gave
+ * valid JSON; request failures (network, AbortError) are passed through unchanged.
+ */
+export async function ollamaStructured(prompt, schema, { retries = DEFAULT_RETRIES, ...generateOpts } = {}) {
+  let currentPrompt = prompt;
+  let problems = [];
+
+  for (let attempt = 0; attempt <= Math.max(0, retries); attempt++) {
+    const raw = await ollamaGenerate(currentPrompt, { ...generateOpts, format: schema });
+
+    let value;
+    try {
+      value = JSON.parse(stripCodeFences(raw));
+      problems = validateSchema(value, schema);
+    } catch (e) {
+      problems = [`reply is not valid JSON (${e instanceof Error ? e.message : String(e)})`];
+    }
+
+    if (!problems.length) return value;
+    currentPrompt = repairPrompt(prompt, raw, problems);
+  }
+
+  const err = new Error(`Model did not return valid JSON: ${problems.slice(0, 3).join("; ")}`);
+  err.name = "StructuredOutputError";
+  throw err;
+}
@@ -0,0 +1,85 @@
+import { DICTIONARY_TERM_SCHEMA, ROUTER_COMMAND_SCHEMA } from "./llmRouter";
+import { ollamaStructured, stripCodeFences, validateSchema } from "./structuredOutput";
+
+describe("stripCodeFences", () => {
+  test("unwraps fenced JSON", () => {
+    expect(stripCodeFences('```json\n{"a": 1}\n```')).toBe('{"a": 1}');
+  });
+
+  test("drops prose around the first object or array", () => {
+    expect(stripCodeFences('Sure! Here it is: {"a": [1, 2]} Hope that helps.')).toBe('{"a": [1, 2]}');
+    expect(stripCodeFences("Result:\n[1, 2, 3]\n")).toBe("[1, 2, 3]");
+  });
+
+  test("leaves plain JSON and empty input alone", () => {
+    expect(stripCodeFences(' {"ok":true} ')).toBe('{"ok":true}');
+    expect(stripCodeFences(undefined)).toBe("");
+  });
+});
+
+describe("validateSchema", () => {
+  const term = { word: "calm", definition: "Not excited.", category: "mood", synonyms: ["still"], antonyms: [] };
+
+  test("accepts a valid value", () => {
+    expect(validateSchema(term, DICTIONARY_TERM_SCHEMA)).toEqual([]);
+    expect(validateSchema({ command: null, confidence: 0.4, reason: "" }, ROUTER_COMMAND_SCHEMA)).toEqual([]);
+  });
+
+  test("reports missing, extra and mistyped fields with their path", () => {
+    const { antonyms, ...missing } = term;
+    expect(validateSchema({ ...missing, synonyms: ["ok", 3], extra: 1 }, DICTIONARY_TERM_SCHEMA)).toEqual([
+      "$.antonyms is required",
+      "$.synonyms[1] should be string, got integer",
+      "$.extra is not allowed",
+    ]);
+  });
+
+  test("checks ranges, blank strings and enums", () => {
+    expect(validateSchema({ command: "help", confidence: 1.5, reason: "" }, ROUTER_COMMAND_SCHEMA)).toEqual([
+      "$.confidence should be <= 1",
+    ]);
+    expect(validateSchema({ ...term, definition: "  " }, DICTIONARY_TERM_SCHEMA)).toEqual([
+      "$.definition should not be empty",
+    ]);
+    expect(validateSchema("c", { enum: ["a", "b"] })).toEqual(['$ should be one of "a", "b"']);
+  });
+});
+
+describe("ollamaStructured", () => {
+  const schema = { type: "object", properties: { n: { type: "integer" } }, required: ["n"] };
+  const reply = (text) => ({
+    ok: true,
+    headers: { get: () => "application/json" },
+    json: async () => ({ response: text, done: true }),
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test("re-asks with a repair prompt until the reply validates", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(reply("no idea"))
+      .mockResolvedValueOnce(reply('```json\n{"n": 2}\n```'));
+    await expect(ollamaStructured("count", schema)).resolves.toEqual({ n: 2 });
+    const retry = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(retry.prompt).toMatch(/Previous reply:\nno idea/);
+    expect(retry.format).toEqual(schema);
+  });
+
+  test("rejects with a StructuredOutputError once the retries run out", async () => {
+    global.fetch = jest.fn().mockResolvedValue(reply('{"n": "two"}'));
+    await expect(ollamaStructured("count", schema, { retries: 1 })).rejects.toMatchObject({
+      name: "StructuredOutputError",
+      message: expect.stringContaining("$.n should be integer, got string"),
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("passes request failures through unchanged", async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+    await expect(ollamaStructured("count", schema)).rejects.toThrow(TypeError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * termModel.js
+ * The term shape shared by dictionary.js, learned terms and dictionary packs:
+ *
+ *   { word, definition, category, synonyms, antonyms,
+ *     partOfSpeech?, ipa?, register?, usage?,
+ *     senses?: [{ definition, partOfSpeech?, register?, usage?, examples, synonyms, antonyms }] }
+ *
+ * Older single-definition entries are valid as they are. For a term with senses,
+ * `definition` mirrors the first sense and `synonyms` / `antonyms` hold the words of every
+ * sense, so code that only knows the flat fields (thesaurus graph, search) keeps working.
+ */
+
+const MAX_SENSES = 12;
+const MAX_EXAMPLES = 5;
+
+// Optional fields a sense or term may carry (with their length limits); empty ones are left
+// out of stored records.
+const NOTE_FIELDS = { partOfSpeech: 40, register: 40, usage: 300 };
+
+function cleanWord(word) {
+  return String(word || "").trim().toLowerCase();
+}
+
+function cleanText(text, max = 400) {
+  return String(text || "")
+    .trim()
+    .slice(0, max);
+}
+
+function cleanWords(list) {
+  const src = Array.isArray(list) ? list : typeof list === "string" ? list.split(",") : [];
+  return Array.from(new Set(src.map(cleanWord).filter(Boolean)));
+}
+
+function withNotes(target, raw) {
+  Object.entries(NOTE_FIELDS).forEach(([field, max]) => {
+    const value = cleanText(raw?.[field], max);
+    if (value) target[field] = field === "partOfSpeech" ? value.toLowerCase() : value;
+  });
+  return target;
+}
+
+/**
+ * One sense: a plain string is taken as its definition.
+ */
+export function normalizeSense(raw) {
+  const src = typeof raw === "string" ? { definition: raw } : raw || {};
+  const examples = (Array.isArray(src.examples) ? src.examples : src.examples ? [src.examples] : [])
+    .map((e) => cleanText(e, 200))
+    .filter(Boolean)
+    .slice(0, MAX_EXAMPLES);
+  return withNotes(
+    {
+      definition: cleanText(src.definition),
+      examples,
+      synonyms: cleanWords(src.synonyms),
+      antonyms: cleanWords(src.antonyms),
+    },
+    src
+  );
+}
+
+/**
+ * Word, definition, related words and the optional rich fields of a raw term, with the
+ * flat fields filled in from its senses. Category and source are left to the caller.
+ */
+export function normalizeTermFields(raw) {
+  const senses = (Array.isArray(raw?.senses) ? raw.senses : [])
+    .map(normalizeSense)
+    .filter((s) => s.definition)
+    .slice(0, MAX_SENSES);
+
+  const term = withNotes(
+    {
+      word: cleanWord(raw?.word),
+      definition: cleanText(raw?.definition, 1000) || senses[0]?.definition || "",
+      synonyms: cleanWords([...cleanWords(raw?.synonyms), ...senses.flatMap((s) => s.synonyms)]),
+      antonyms: cleanWords([...cleanWords(raw?.antonyms), ...senses.flatMap((s) => s.antonyms)]),
+    },
+    raw
+  );
+  const ipa = cleanText(raw?.ipa, 60);
+  if (ipa) term.ipa = /^[/[]/.test(ipa) ? ipa : `/${ipa}/`;
+  if (senses.length) {
+    term.senses = senses;
+    if (!term.partOfSpeech && senses[0].partOfSpeech) term.partOfSpeech = senses[0].partOfSpeech;
+  }
+  return term;
+}
+
+/**
+ * A term's senses; an old single-definition term reads as one sense built from its flat
+ * fields.
+ */
+export function termSenses(term) {
+  if (Array.isArray(term?.senses) && term.senses.length) return term.senses;
+  return [
+    withNotes(
+      {
+        definition: term?.definition || "",
+        examples: [],
+        synonyms: term?.synonyms || [],
+        antonyms: term?.antonyms || [],
+      },
+      term
+    ),
+  ];
+}
+
+/**
+ * Sense `n` (1-based), or null when the term doesn't have that many.
+ */
+export function senseAt(term, n) {
+  const senses = termSenses(term);
+  return Number.isInteger(n) && n >= 1 && n <= senses.length ? senses[n - 1] : null;
+}
@@ -0,0 +1,76 @@
+import { normalizeSense, normalizeTermFields, senseAt, termSenses } from "./termModel";
+
+test("normalizeSense accepts a plain definition string", () => {
+  expect(normalizeSense("  A short rest. ")).toEqual({
+    definition: "A short rest.",
+    examples: [],
+    synonyms: [],
+    antonyms: [],
+  });
+});
+
+test("normalizeSense cleans lists, caps examples and keeps only filled notes", () => {
+  const sense = normalizeSense({
+    definition: "Fast.",
+    examples: ["one", " ", "two", "three", "four", "five", "six"],
+    synonyms: "Quick, quick , SWIFT",
+    antonyms: ["slow", ""],
+    partOfSpeech: " Adjective ",
+    register: "",
+    usage: "Often of walking.",
+  });
+  expect(sense).toEqual({
+    definition: "Fast.",
+    examples: ["one", "two", "three", "four", "five"],
+    synonyms: ["quick", "swift"],
+    antonyms: ["slow"],
+    partOfSpeech: "adjective",
+    usage: "Often of walking.",
+  });
+  expect(normalizeSense({ definition: "x", examples: "single example" }).examples).toEqual(["single example"]);
+});
+
+test("an old single-definition term stays flat", () => {
+  expect(normalizeTermFields({ word: " Calm ", definition: "Not excited.", synonyms: ["still"], ipa: "" })).toEqual({
+    word: "calm",
+    definition: "Not excited.",
+    synonyms: ["still"],
+    antonyms: [],
+  });
+});
+
+test("flat fields are filled in from the senses", () => {
+  const term = normalizeTermFields({
+    word: "bank",
+    ipa: "bæŋk",
+    synonyms: ["shore"],
+    senses: [
+      { definition: "Land beside a river.", partOfSpeech: "Noun", synonyms: ["shore", "edge"] },
+      { definition: "" },
+      { definition: "A place that keeps money.", antonyms: ["mattress"] },
+    ],
+  });
+  expect(term).toMatchObject({
+    word: "bank",
+    definition: "Land beside a river.",
+    synonyms: ["shore", "edge"],
+    antonyms: ["mattress"],
+    ipa: "/bæŋk/",
+    partOfSpeech: "noun",
+  });
+  expect(term.senses.map((s) => s.definition)).toEqual(["Land beside a river.", "A place that keeps money."]);
+  expect(normalizeTermFields({ word: "x", ipa: "[ks]" }).ipa).toBe("[ks]");
+});
+
+test("termSenses and senseAt read old and new terms alike", () => {
+  const old = { word: "calm", definition: "Not excited.", synonyms: ["still"], antonyms: [], register: "formal" };
+  expect(termSenses(old)).toEqual([
+    { definition: "Not excited.", examples: [], synonyms: ["still"], antonyms: [], register: "formal" },
+  ]);
+
+  const rich = normalizeTermFields({ word: "bank", senses: ["Riverside.", "Money keeper."] });
+  expect(senseAt(rich, 2).definition).toBe("Money keeper.");
+  expect(senseAt(rich, 3)).toBeNull();
+  expect(senseAt(rich, 0)).toBeNull();
+  expect(senseAt(old, 1).definition).toBe("Not excited.");
+});
@@ -0,0 +1,76 @@
+/**
+ * fakeIndexedDB.js
+ * Just enough IndexedDB for storage.js in tests: versioned open, keyed stores, one-shot
+ * transactions. A `disk` (see newDisk) outlives the module under test, like a real
+ * database outlives a page load; set disk.failWrites to an error to make commits abort.
+ */
+
+const later = (fn) => setTimeout(fn, 0);
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export function fakeIndexedDB(disk) {
+  function request(run) {
+    const req = {};
+    later(() => {
+      req.result = run();
+      req.onsuccess?.();
+    });
+    return req;
+  }
+
+  function transaction(names) {
+    const tx = { error: null };
+    const writes = [];
+    tx.objectStore = (name) => {
+      const data = disk.stores.get(name);
+      return {
+        get: (key) => request(() => copy(data.get(key))),
+        getAll: () => request(() => Array.from(data.values(), copy)),
+        getAllKeys: () => request(() => Array.from(data.keys())),
+        put: (value, key) => writes.push(() => data.set(key, copy(value))),
+        delete: (key) => writes.push(() => data.delete(key)),
+      };
+    };
+    later(() => {
+      if (disk.failWrites && writes.length) {
+        tx.error = disk.failWrites;
+        tx.onabort?.();
+        return;
+      }
+      writes.forEach((write) => write());
+      disk.commits += writes.length ? 1 : 0;
+      disk.puts += writes.length;
+      tx.oncomplete?.();
+    });
+    return tx;
+  }
+
+  return {
+    open(name, version) {
+      const req = {};
+      later(() => {
+        req.result = {
+          objectStoreNames: { contains: (store) => disk.stores.has(store) },
+          createObjectStore: (store) => disk.stores.set(store, new Map()),
+          transaction,
+          close() {},
+        };
+        if (version > disk.version) {
+          const oldVersion = disk.version;
+          disk.version = version;
+          req.onupgradeneeded?.({ oldVersion });
+        }
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+}
+
+export const newDisk = (version = 0, stores = []) => ({
+  version,
+  stores: new Map(stores.map((name) => [name, new Map()])),
+  failWrites: null,
+  commits: 0,
+  puts: 0,
+});
@@ -0,0 +1,198 @@
+import { KEY_ITERATIONS, deriveKey, openText, randomSalt, sealText } from "./cryptoBox";
+import {
+  flushStorage,
+  isCollectionLocked,
+  isPersistent,
+  lockCollection,
+  onStorageChange,
+  readValue,
+  removeValue,
+  rewriteCollection,
+  setCollectionCodec,
+  unlockCollection,
+  writeValue,
+} from "./storage";
+
+/**
+ * vault.js
+ * Optional encryption of chat history at rest.
+ *
+ * With the vault on, every chat record is stored AES-GCM encrypted under a key derived
+ * from the user's passphrase (PBKDF2). The key is non-extractable and only lives in this
+ * tab's memory, so every new tab and every reload asks for the passphrase again; after
+ * `autoLockMinutes` without keyboard/pointer activity the tab locks itself.
+ * That is stricter than "unlocked once per browser session" on purpose: sessionStorage
+ * can't hold a CryptoKey, and one kept in IndexedDB would sit on disk next to the data.
+ * The unknown-question log is a plain kv value, so nothing is added to it while the vault
+ * is on (see learningStore.logUnknownQuestion).
+ * The passphrase can't be recovered: forgetting it means the chats are gone.
+ */
+
+const CONFIG_KEY = "vault"; // { salt, iterations, check, autoLockMinutes }
+// Earlier versions kept the raw key here for the browser session; initVault removes it.
+const LEGACY_SESSION_KEY = "toastyMills.vault.sessionKey";
+const CHECK_TEXT = "toastyMills.vault.v1";
+const SEALED_COLLECTIONS = ["chats"];
+export const AUTO_LOCK_CHOICES = [5, 15, 30, 60, 0]; // minutes; 0 = never
+const DEFAULT_AUTO_LOCK = 15;
+
+let key = null;
+let lockTimer = null;
+const listeners = new Set();
+
+function readConfig() {
+  const cfg = readValue(CONFIG_KEY, null);
+  return cfg && typeof cfg === "object" && cfg.salt && cfg.check ? cfg : null;
+}
+
+function codecFor(k) {
+  return {
+    seal: async (value) => sealText(k, JSON.stringify(value)),
+    open: async (box) => JSON.parse(await openText(k, box)),
+  };
+}
+
+function notify() {
+  const status = getVaultStatus();
+  listeners.forEach((fn) => fn(status));
+}
+
+function scheduleAutoLock() {
+  clearTimeout(lockTimer);
+  lockTimer = null;
+  const minutes = getVaultStatus().autoLockMinutes;
+  if (key && minutes > 0) lockTimer = setTimeout(lockVault, minutes * 60 * 1000);
+}
+
+async function unlockWith(k) {
+  const cfg = readConfig();
+  await openText(k, cfg.check);
+  for (const name of SEALED_COLLECTIONS) await unlockCollection(name, codecFor(k));
+  key = k;
+  scheduleAutoLock();
+  notify();
+}
+
+export function getVaultStatus() {
+  const cfg = readConfig();
+  const minutes = Number(cfg?.autoLockMinutes);
+  return {
+    enabled: Boolean(cfg),
+    unlocked: !cfg || (Boolean(key) && !SEALED_COLLECTIONS.some(isCollectionLocked)),
+    autoLockMinutes: AUTO_LOCK_CHOICES.includes(minutes) ? minutes : DEFAULT_AUTO_LOCK,
+  };
+}
+
+/**
+ * Subscribes to lock / unlock / on / off. Returns an unsubscribe function.
+ */
+export function onVaultChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Call once after initStorage. Locks sealed collections; the app then shows the unlock
+ * screen.
+ */
+export async function initVault() {
+  onStorageChange((changed) => {
+    if (changed.has(CONFIG_KEY) || SEALED_COLLECTIONS.some((name) => changed.has(name))) followOtherTab();
+  });
+
+  try {
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  } catch {
+    // sessionStorage disabled: nothing was stored there either
+  }
+
+  if (!readConfig()) return;
+  for (const name of SEALED_COLLECTIONS) if (!isCollectionLocked(name)) await lockCollection(name);
+}
+
+// Another tab turned the vault on or off (or resealed chats): catch up with it.
+async function followOtherTab() {
+  const cfg = readConfig();
+  if (!cfg && (key || SEALED_COLLECTIONS.some(isCollectionLocked))) {
+    key = null;
+    clearTimeout(lockTimer);
+    for (const name of SEALED_COLLECTIONS) {
+      setCollectionCodec(name, null);
+      if (isCollectionLocked(name)) await unlockCollection(name, null).catch(() => {});
+    }
+  } else if (cfg && !key) {
+    for (const name of SEALED_COLLECTIONS) if (!isCollectionLocked(name)) await lockCollection(name);
+  }
+  notify();
+}
+
+export async function unlockVault(passphrase) {
+  const cfg = readConfig();
+  if (!cfg) return;
+  if (!String(passphrase || "")) throw new Error("Enter your passphrase.");
+  await unlockWith(await deriveKey(passphrase, cfg.salt, cfg.iterations));
+}
+
+/**
+ * Forgets the key. Pending chat changes are saved (encrypted) first.
+ */
+export async function lockVault() {
+  if (!readConfig()) return;
+  clearTimeout(lockTimer);
+  lockTimer = null;
+  for (const name of SEALED_COLLECTIONS) await lockCollection(name);
+  key = null;
+  notify();
+}
+
+/**
+ * Restarts the auto-lock countdown; called on user activity.
+ */
+export function touchVault() {
+  if (key && lockTimer) scheduleAutoLock();
+}
+
+export async function enableVault(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK) {
+  if (readConfig()) throw new Error("The vault is already on.");
+  if (!isPersistent()) {
+    throw new Error("Nothing is saved in this browser (no IndexedDB), so there is nothing to encrypt.");
+  }
+  if (String(passphrase || "").length < 8) throw new Error("Use a passphrase of at least 8 characters.");
+
+  const salt = randomSalt();
+  const k = await deriveKey(passphrase, salt, KEY_ITERATIONS);
+  const check = await sealText(k, CHECK_TEXT);
+  for (const name of SEALED_COLLECTIONS) setCollectionCodec(name, codecFor(k));
+  writeValue(CONFIG_KEY, { salt, iterations: KEY_ITERATIONS, check, autoLockMinutes });
+  for (const name of SEALED_COLLECTIONS) await rewriteCollection(name);
+  key = k;
+  scheduleAutoLock();
+  notify();
+}
+
+/**
+ * Decrypts everything back to plaintext storage. Needs the passphrase even when unlocked.
+ */
+export async function disableVault(passphrase) {
+  const cfg = readConfig();
+  if (!cfg) return;
+  const k = await deriveKey(passphrase, cfg.salt, cfg.iterations);
+  await openText(k, cfg.check);
+  if (!key) for (const name of SEALED_COLLECTIONS) await unlockCollection(name, codecFor(k));
+
+  for (const name of SEALED_COLLECTIONS) setCollectionCodec(name, null);
+  removeValue(CONFIG_KEY);
+  for (const name of SEALED_COLLECTIONS) await rewriteCollection(name);
+  await flushStorage();
+  key = null;
+  clearTimeout(lockTimer);
+  notify();
+}
+
+export function setAutoLock(minutes) {
+  const cfg = readConfig();
+  if (!cfg || !AUTO_LOCK_CHOICES.includes(minutes)) return;
+  writeValue(CONFIG_KEY, { ...cfg, autoLockMinutes: minutes });
+  scheduleAutoLock();
+  notify();
+}
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from "crypto";
+import { fakeIndexedDB, newDisk } from "./testing/fakeIndexedDB";
+
+const PASSPHRASE = "correct horse";
+const secretChat = { id: "c1", title: "Bank login", messages: [{ id: "u1", role: "user", text: "pin is 4321" }] };
+
+beforeAll(() => {
+  global.window = { crypto: webcrypto };
+  global.BroadcastChannel = class {
+    postMessage() {}
+  };
+});
+
+afterAll(() => {
+  delete global.window;
+  delete global.BroadcastChannel;
+  delete global.indexedDB;
+});
+
+// A page load: fresh modules over the same disk, storage and vault started the way index.js does.
+async function openPage(disk) {
+  jest.resetModules();
+  global.indexedDB = fakeIndexedDB(disk);
+  const storage = require("./storage");
+  const vault = require("./vault");
+  const learning = require("./learningStore");
+  await storage.initStorage();
+  await vault.initVault();
+  return { storage, vault, learning };
+}
+
+test("chats are sealed on disk, locked on every load and opened only by the passphrase", async () => {
+  const disk = newDisk();
+  const first = await openPage(disk);
+  first.storage.syncRecords("chats", [secretChat], (c) => c.id);
+  await first.vault.enableVault(PASSPHRASE, 0);
+  await first.storage.flushStorage();
+
+  expect(first.vault.getVaultStatus()).toEqual({ enabled: true, unlocked: true, autoLockMinutes: 0 });
+  const stored = disk.stores.get("chats").get("c1");
+  expect(Object.keys(stored)).toEqual(["sealed"]);
+  expect(JSON.stringify(stored)).not.toContain("4321");
+
+  await first.vault.lockVault();
+  expect(first.vault.getVaultStatus().unlocked).toBe(false);
+  expect(first.storage.readAll("chats")).toEqual([]);
+  // Writes while locked are ignored rather than overwriting the sealed records.
+  first.storage.syncRecords("chats", [], (c) => c.id);
+  await first.storage.flushStorage();
+  expect(disk.stores.get("chats").has("c1")).toBe(true);
+
+  const page = await openPage(disk);
+  expect(page.vault.getVaultStatus().unlocked).toBe(false);
+  await expect(page.vault.unlockVault("wrong horse")).rejects.toThrow("Wrong passphrase");
+  expect(page.storage.isCollectionLocked("chats")).toBe(true);
+  await expect(page.vault.unlockVault("")).rejects.toThrow("Enter your passphrase.");
+
+  await page.vault.unlockVault(PASSPHRASE);
+  expect(page.vault.getVaultStatus().unlocked).toBe(true);
+  expect(page.storage.readAll("chats")).toEqual([secretChat]);
+});
+
+test("turning the vault off needs the passphrase and stores chats in plaintext again", async () => {
+  const disk = newDisk();
+  const page = await openPage(disk);
+  page.storage.syncRecords("chats", [secretChat], (c) => c.id);
+  await expect(page.vault.enableVault("short", 0)).rejects.toThrow("at least 8 characters");
+  await page.vault.enableVault(PASSPHRASE, 0);
+  await expect(page.vault.enableVault(PASSPHRASE, 0)).rejects.toThrow("already on");
+
+  await expect(page.vault.disableVault("wrong horse")).rejects.toThrow("Wrong passphrase");
+  await page.vault.disableVault(PASSPHRASE);
+  expect(page.vault.getVaultStatus()).toMatchObject({ enabled: false, unlocked: true });
+  expect(disk.stores.get("chats").get("c1")).toEqual(secretChat);
+});
+
+test("unknown questions aren't logged in plaintext while the vault is on", async () => {
+  const page = await openPage(newDisk());
+  page.learning.logUnknownQuestion("define zephyr");
+  expect(page.learning.loadUnknownQuestions().map((q) => q.text)).toEqual(["define zephyr"]);
+
+  await page.vault.enableVault(PASSPHRASE, 0);
+  page.learning.logUnknownQuestion("what is my pin 4321");
+  expect(page.learning.loadUnknownQuestions().map((q) => q.text)).toEqual(["define zephyr"]);
+});
@@ -0,0 +1,270 @@
+import { decryptText, encryptText, isCryptoBox } from "./cryptoBox";
+import { getBrainConfig, normalizeBrainConfig, setBrainConfig } from "./brainStore";
+import { importChats, loadChatSessions } from "./chatSessions";
+import { DICTIONARY_PACK_KEYS, loadDictionaryPacks, saveDictionaryPacks } from "./dictionaryPacks";
+import { GAME_STATS_KEY, loadGameStats, normalizeGameStats, saveGameStats } from "./gameStats";
+import {
+  loadLearnedTerms,
+  loadTermAliases,
+  loadUnknownQuestions,
+  saveLearnedTerms,
+  saveTermAliases,
+  saveUnknownQuestions,
+} from "./learningStore";
+import { loadPrompts, savePrompts } from "./promptLibrary";
+import { flushStorage, notifyStorageChange } from "./storage";
+
+/**
+ * workspaceBackup.js
+ * Whole-workspace archive: chats (every branch), prompts, learned terms and aliases,
+ * dictionary packs (with their on/off state), the unknown-question log, Similarity Game
+ * stats and brain settings in one versioned JSON file.
+ *
+ *   { kind, version, createdAt, data }        plain
+ *   { kind, version, createdAt, encrypted }   data sealed with a passphrase (cryptoBox)
+ *
+ * Restoring either replaces everything or merges: chats by id (messages by id, see
+ * importChats), prompts by id, terms by word and packs by id (newer copy wins), aliases by
+ * alias (the backup's wins), unknown questions de-duplicated, game stats from whichever
+ * copy has more rounds played; settings are only taken over on replace.
+ */
+
+export const RESTORE_MODES = ["merge", "replace"];
+const BACKUP_KIND = "toastyMills.workspace";
+const BACKUP_VERSION = 1;
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function termKey(t) {
+  return String(t?.word || "").trim().toLowerCase();
+}
+
+function questionKey(q) {
+  return `${q?.time || ""}|${q?.text || ""}`;
+}
+
+function collectWorkspace() {
+  const sessions = loadChatSessions([]);
+  return {
+    activeChatId: sessions.activeId,
+    chats: sessions.chats,
+    prompts: loadPrompts(),
+    learnedTerms: loadLearnedTerms(),
+    termAliases: loadTermAliases(),
+    dictionaryPacks: loadDictionaryPacks(),
+    unknownQuestions: loadUnknownQuestions(),
+    gameStats: loadGameStats(),
+    brainConfig: getBrainConfig(),
+  };
+}
+
+function normalizeData(data) {
+  const src = data && typeof data === "object" ? data : {};
+  return {
+    activeChatId: typeof src.activeChatId === "string" ? src.activeChatId : "",
+    chats: list(src.chats).filter((c) => c && typeof c.id === "string" && Array.isArray(c.messages)),
+    prompts: list(src.prompts).filter((p) => p && typeof p.id === "string"),
+    learnedTerms: list(src.learnedTerms).filter((t) => termKey(t) && t.definition),
+    termAliases: Object.fromEntries(
+      Object.entries(src.termAliases && typeof src.termAliases === "object" ? src.termAliases : {}).filter(
+        ([alias, word]) => alias && typeof word === "string" && word
+      )
+    ),
+    dictionaryPacks: list(src.dictionaryPacks).filter((p) => p && typeof p.id === "string" && Array.isArray(p.terms)),
+    unknownQuestions: list(src.unknownQuestions).filter((q) => q && typeof q.text === "string"),
+    // Backups made before game stats were included have none; restoring them leaves stats alone.
+    gameStats: src.gameStats && typeof src.gameStats === "object" ? src.gameStats : null,
+    brainConfig: src.brainConfig && typeof src.brainConfig === "object" ? src.brainConfig : null,
+  };
+}
+
+/**
+ * Serialized archive of the current workspace; sealed when a passphrase is given.
+ */
+export async function createBackup(passphrase) {
+  const data = collectWorkspace();
+  const head = { kind: BACKUP_KIND, version: BACKUP_VERSION, createdAt: new Date().toISOString() };
+  if (passphrase) {
+    return JSON.stringify({ ...head, encrypted: await encryptText(JSON.stringify(data), passphrase) });
+  }
+  return JSON.stringify({ ...head, data }, null, 2);
+}
+
+export function backupFileName() {
+  return `toastyMills-backup-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Checks a backup file's envelope. Returns { createdAt, encrypted, archive } and throws
+ * with a readable message on anything that isn't a usable backup.
+ */
+export function parseBackup(text) {
+  let archive;
+  try {
+    archive = JSON.parse(String(text || ""));
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  if (archive?.kind !== BACKUP_KIND) {
+    throw new Error(
+      archive?.kind === "toastyMills.chats"
+        ? "That's a chat export; import it from the chat sidebar instead."
+        : "That file isn't a ToastyMills workspace backup."
+    );
+  }
+  if (Number(archive.version) > BACKUP_VERSION) {
+    throw new Error(`This backup is from a newer version (v${archive.version}); update the app first.`);
+  }
+  const encrypted = isCryptoBox(archive.encrypted);
+  if (!encrypted && (!archive.data || typeof archive.data !== "object")) {
+    throw new Error("That backup has no data in it.");
+  }
+  return { createdAt: String(archive.createdAt || ""), encrypted, archive };
+}
+
+/**
+ * Workspace data from a parsed backup, decrypting it first when needed.
+ */
+export async function openBackup(parsed, passphrase) {
+  if (!parsed.encrypted) return normalizeData(parsed.archive.data);
+  const text = await decryptText(parsed.archive.encrypted, passphrase);
+  try {
+    return normalizeData(JSON.parse(text));
+  } catch {
+    throw new Error("That backup decrypted, but its contents are damaged.");
+  }
+}
+
+function compareKeyed(current, incoming, keyOf, mode) {
+  const now = new Map(current.map((item) => [keyOf(item), JSON.stringify(item)]));
+  const next = new Set();
+  let added = 0;
+  let updated = 0;
+  for (const item of incoming) {
+    const key = keyOf(item);
+    if (next.has(key)) continue;
+    next.add(key);
+    if (!now.has(key)) added += 1;
+    else if (now.get(key) !== JSON.stringify(item)) updated += 1;
+  }
+  const removed = mode === "replace" ? Array.from(now.keys()).filter((k) => !next.has(k)).length : 0;
+  return { incoming: next.size, added, updated, removed };
+}
+
+/**
+ * What restoring `data` would change, per store:
+ * [{ key, label, incoming, added, updated, removed }]
+ */
+export function previewRestore(data, mode) {
+  const current = collectWorkspace();
+  const terms = compareKeyed(current.learnedTerms, data.learnedTerms, termKey, mode);
+  const aliases = compareKeyed(
+    Object.entries(current.termAliases),
+    Object.entries(data.termAliases),
+    ([alias]) => alias,
+    mode
+  );
+  const questions = compareKeyed(current.unknownQuestions, data.unknownQuestions, questionKey, mode);
+  const settingsDiffer =
+    Boolean(data.brainConfig) &&
+    JSON.stringify(normalizeBrainConfig(data.brainConfig)) !== JSON.stringify(current.brainConfig);
+  const statsDiffer =
+    takesGameStats(current.gameStats, data.gameStats, mode) &&
+    JSON.stringify(normalizeGameStats(data.gameStats)) !== JSON.stringify(current.gameStats);
+
+  return [
+    { key: "chats", label: "Chats", ...compareKeyed(current.chats, data.chats, (c) => c.id, mode) },
+    { key: "prompts", label: "Prompts", ...compareKeyed(current.prompts, data.prompts, (p) => p.id, mode) },
+    { key: "learnedTerms", label: "Learned terms", ...terms },
+    { key: "termAliases", label: "Aliases", ...aliases },
+    {
+      key: "dictionaryPacks",
+      label: "Dictionary packs",
+      ...compareKeyed(current.dictionaryPacks, data.dictionaryPacks, (p) => p.id, mode),
+    },
+    { key: "unknownQuestions", label: "Unknown questions", ...questions },
+    {
+      key: "gameStats",
+      label: "Game stats",
+      incoming: data.gameStats ? 1 : 0,
+      added: 0,
+      updated: statsDiffer ? 1 : 0,
+      removed: 0,
+    },
+    {
+      key: "brainConfig",
+      label: "Settings",
+      incoming: data.brainConfig ? 1 : 0,
+      added: 0,
+      updated: mode === "replace" && settingsDiffer ? 1 : 0,
+      removed: 0,
+    },
+  ];
+}
+
+// Game stats are running totals, so two copies can't be added up: keep the longer history.
+function takesGameStats(current, incoming, mode) {
+  return Boolean(incoming) && (mode === "replace" || Number(incoming.played) > current.played);
+}
+
+function mergeByKey(current, incoming, keyOf, stampOf) {
+  const out = [...current];
+  const index = new Map(out.map((item, i) => [keyOf(item), i]));
+  for (const item of incoming) {
+    const key = keyOf(item);
+    if (!index.has(key)) {
+      index.set(key, out.length);
+      out.push(item);
+    } else if (String(stampOf(item) || "").localeCompare(String(stampOf(out[index.get(key)]) || "")) > 0) {
+      out[index.get(key)] = item;
+    }
+  }
+  return out;
+}
+
+/**
+ * Writes backup data into the workspace ("merge" or "replace") and waits until it is on
+ * disk. Listeners of onStorageChange reload their stores afterwards.
+ */
+export async function restoreWorkspace(data, mode) {
+  if (!RESTORE_MODES.includes(mode)) throw new Error(`Unknown restore mode: ${mode}`);
+  const current = collectWorkspace();
+
+  if (mode === "replace") {
+    importChats({ activeId: data.activeChatId, chats: [] }, data.chats);
+    savePrompts(data.prompts);
+    saveLearnedTerms(data.learnedTerms);
+    saveTermAliases(data.termAliases);
+    saveDictionaryPacks(data.dictionaryPacks);
+    saveUnknownQuestions(data.unknownQuestions);
+    if (data.gameStats) saveGameStats(data.gameStats);
+    if (data.brainConfig) setBrainConfig(data.brainConfig);
+  } else {
+    importChats({ activeId: current.activeChatId, chats: current.chats }, data.chats);
+    savePrompts(mergeByKey(current.prompts, data.prompts, (p) => p.id, (p) => p.updatedAt));
+    saveLearnedTerms(mergeByKey(current.learnedTerms, data.learnedTerms, termKey, (t) => t.learnedAt));
+    saveTermAliases({ ...current.termAliases, ...data.termAliases });
+    saveDictionaryPacks(mergeByKey(current.dictionaryPacks, data.dictionaryPacks, (p) => p.id, (p) => p.importedAt));
+    const known = new Set(current.unknownQuestions.map(questionKey));
+    saveUnknownQuestions(
+      [...current.unknownQuestions, ...data.unknownQuestions.filter((q) => !known.has(questionKey(q)))].sort((a, b) =>
+        String(b.time || "").localeCompare(String(a.time || ""))
+      )
+    );
+    if (takesGameStats(current.gameStats, data.gameStats, mode)) saveGameStats(data.gameStats);
+  }
+
+  await flushStorage();
+  notifyStorageChange([
+    "chats",
+    "prompts",
+    "learnedTerms",
+    "termAliases",
+    ...DICTIONARY_PACK_KEYS,
+    "unknownQuestions",
+    GAME_STATS_KEY,
+    "brainConfig",
+  ]);
+}
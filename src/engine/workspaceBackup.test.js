@@ -0,0 +1,146 @@
+import { saveChatSessions } from "./chatSessions";
+import { saveDictionaryPacks } from "./dictionaryPacks";
+import { GAME_STATS_KEY, loadGameStats, saveGameStats } from "./gameStats";
+import {
+  loadLearnedTerms,
+  loadTermAliases,
+  loadUnknownQuestions,
+  saveLearnedTerms,
+  saveTermAliases,
+  saveUnknownQuestions,
+} from "./learningStore";
+import { onStorageChange } from "./storage";
+import { createBackup, openBackup, parseBackup, previewRestore, restoreWorkspace } from "./workspaceBackup";
+
+const term = (word, learnedAt, definition = `${word} (${learnedAt})`) => ({ word, definition, learnedAt });
+const stats = (played, solved) => ({ played, solved, streak: 0, bestStreak: 1, totalScore: played * 50, words: {} });
+const chat = (id, text) => ({
+  id,
+  title: id,
+  createdAt: "2026-10-01T00:00:00.000Z",
+  updatedAt: "2026-10-01T00:00:00.000Z",
+  messages: [{ id: `${id}-m1`, parentId: null, role: "user", text }],
+  leafId: `${id}-m1`,
+});
+
+// Current workspace: two chats, two learned terms, one alias, one logged question, four game rounds.
+function seedWorkspace() {
+  saveChatSessions({ activeId: "c1", chats: [chat("c1", "hello"), chat("c2", "bye")] });
+  saveLearnedTerms([term("calm", "2026-10-01"), term("brisk", "2026-10-01")]);
+  saveTermAliases({ serene: "calm" });
+  saveUnknownQuestions([{ text: "define zephyr", time: "2026-10-01T10:00:00.000Z" }]);
+  saveDictionaryPacks([]);
+  saveGameStats(stats(4, 2));
+}
+
+// What a backup taken elsewhere holds: one chat in common, a newer "calm" and a new term.
+function backupData() {
+  return {
+    activeChatId: "c1",
+    chats: [chat("c1", "hello"), chat("c3", "new")],
+    prompts: [],
+    learnedTerms: [term("calm", "2026-10-05", "Peaceful."), term("vivid", "2026-10-02")],
+    termAliases: { serene: "quiet", tranquil: "calm" },
+    dictionaryPacks: [],
+    unknownQuestions: [
+      { text: "define zephyr", time: "2026-10-01T10:00:00.000Z" },
+      { text: "define gale", time: "2026-10-03T10:00:00.000Z" },
+    ],
+    gameStats: stats(9, 6),
+    brainConfig: null,
+  };
+}
+
+const rowOf = (rows, key) => rows.find((r) => r.key === key);
+
+describe("parseBackup", () => {
+  test("explains what's wrong with a file that isn't a usable backup", () => {
+    expect(() => parseBackup("nope")).toThrow("isn't valid JSON");
+    expect(() => parseBackup('{"kind":"toastyMills.chats"}')).toThrow("That's a chat export");
+    expect(() => parseBackup('{"kind":"other"}')).toThrow("isn't a ToastyMills workspace backup");
+    expect(() => parseBackup('{"kind":"toastyMills.workspace","version":7}')).toThrow("newer version (v7)");
+    expect(() => parseBackup('{"kind":"toastyMills.workspace","version":1}')).toThrow("has no data");
+  });
+
+  test("a plain backup reads back the current workspace", async () => {
+    seedWorkspace();
+    const parsed = parseBackup(await createBackup());
+    expect(parsed.encrypted).toBe(false);
+
+    const data = await openBackup(parsed);
+    expect(data.chats.map((c) => c.id)).toEqual(["c1", "c2"]);
+    expect(data.learnedTerms.map((t) => t.word).sort()).toEqual(["brisk", "calm"]);
+    expect(data.termAliases).toEqual({ serene: "calm" });
+    expect(data.gameStats).toMatchObject({ played: 4, solved: 2 });
+  });
+});
+
+describe("previewRestore", () => {
+  test("merge counts additions and updates but never removals", () => {
+    seedWorkspace();
+    const rows = previewRestore(backupData(), "merge");
+    expect(rowOf(rows, "chats")).toMatchObject({ label: "Chats", incoming: 2, added: 1, removed: 0 });
+    expect(rowOf(rows, "learnedTerms")).toMatchObject({ incoming: 2, added: 1, updated: 1, removed: 0 });
+    expect(rowOf(rows, "termAliases")).toMatchObject({ added: 1, updated: 1, removed: 0 });
+    expect(rowOf(rows, "unknownQuestions")).toMatchObject({ added: 1, updated: 0 });
+    expect(rowOf(rows, "gameStats")).toMatchObject({ label: "Game stats", incoming: 1, updated: 1 });
+    expect(rowOf(rows, "brainConfig")).toMatchObject({ incoming: 0, updated: 0 });
+  });
+
+  test("replace also counts what would be removed", () => {
+    seedWorkspace();
+    const rows = previewRestore(backupData(), "replace");
+    expect(rowOf(rows, "chats").removed).toBe(1);
+    expect(rowOf(rows, "learnedTerms").removed).toBe(1);
+  });
+});
+
+describe("restoreWorkspace", () => {
+  test("merge keeps current data, takes newer terms and the backup's aliases", async () => {
+    seedWorkspace();
+    await restoreWorkspace(backupData(), "merge");
+
+    const terms = Object.fromEntries(loadLearnedTerms().map((t) => [t.word, t.definition]));
+    expect(terms).toEqual({ calm: "Peaceful.", brisk: "brisk (2026-10-01)", vivid: "vivid (2026-10-02)" });
+    expect(loadTermAliases()).toEqual({ serene: "quiet", tranquil: "calm" });
+    expect(loadUnknownQuestions().map((q) => q.text)).toEqual(["define gale", "define zephyr"]);
+  });
+
+  test("a newer current term isn't overwritten by an older backup copy", async () => {
+    seedWorkspace();
+    saveLearnedTerms([term("calm", "2026-10-09", "Mine.")]);
+    await restoreWorkspace(backupData(), "merge");
+    expect(loadLearnedTerms().find((t) => t.word === "calm").definition).toBe("Mine.");
+  });
+
+  test("replace makes the workspace match the backup", async () => {
+    seedWorkspace();
+    await restoreWorkspace(backupData(), "replace");
+    expect(loadLearnedTerms().map((t) => t.word).sort()).toEqual(["calm", "vivid"]);
+    expect(loadUnknownQuestions()).toHaveLength(2);
+  });
+
+  test("game stats keep the longer history on merge; a backup without them leaves them alone", async () => {
+    seedWorkspace();
+    const changed = [];
+    const stop = onStorageChange((names) => changed.push(...names));
+    await restoreWorkspace(backupData(), "merge");
+    stop();
+    expect(loadGameStats()).toMatchObject({ played: 9, solved: 6 });
+    expect(changed).toContain(GAME_STATS_KEY);
+
+    saveGameStats(stats(12, 3));
+    await restoreWorkspace(backupData(), "merge");
+    expect(loadGameStats().played).toBe(12);
+    expect(rowOf(previewRestore(backupData(), "merge"), "gameStats").updated).toBe(0);
+
+    await restoreWorkspace({ ...backupData(), gameStats: null }, "replace");
+    expect(loadGameStats().played).toBe(12);
+    await restoreWorkspace(backupData(), "replace");
+    expect(loadGameStats().played).toBe(9);
+  });
+
+  test("rejects an unknown mode", async () => {
+    await expect(restoreWorkspace(backupData(), "append")).rejects.toThrow("Unknown restore mode: append");
+  });
+});